@@ -222,6 +222,8 @@ Text to analyze:
     console.log('🔗 Combining data from multiple documents...');
 
     const combinedData = {};
+    // Index into aiResults of the document each combined field was taken from
+    const fieldSources = {};
     let highestConfidenceDoc = null;
     let highestConfidence = 0;
 
@@ -236,14 +238,18 @@ Text to analyze:
     // Start with highest confidence document as base
     if (highestConfidenceDoc && highestConfidenceDoc.extractedData) {
       Object.assign(combinedData, highestConfidenceDoc.extractedData);
+      Object.keys(highestConfidenceDoc.extractedData).forEach(key => {
+        fieldSources[key] = aiResults.indexOf(highestConfidenceDoc);
+      });
     }
 
     // Fill in missing data from other documents
-    aiResults.forEach(result => {
+    aiResults.forEach((result, index) => {
       if (result.success && result.extractedData) {
         Object.keys(result.extractedData).forEach(key => {
           if (!combinedData[key] || combinedData[key] === "Not specified") {
             combinedData[key] = result.extractedData[key];
+            fieldSources[key] = index;
           }
         });
       }
@@ -251,6 +257,7 @@ Text to analyze:
 
     return {
       combinedData: combinedData,
+      fieldSources: fieldSources,
       sourceDocuments: aiResults.length,
       primarySource: highestConfidenceDoc?.fileName || 'Unknown',
       averageConfidence: Math.round(
@@ -0,0 +1,90 @@
+const db = require('./database');
+
+// Append-only audit trail of security- and report-relevant actions.
+// Entries record who did what to which record, the field-level before/after diff and where from.
+class AuditService {
+  constructor() {
+    // Never copied into audit entries
+    this.redactedFields = [
+      'password_hash', 'email_verification_token', 'totp_secret',
+      'refresh_token_hash', 'previous_token_hash', 'token_hash', 'code_hash'
+    ];
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+  }
+
+  // Flatten nested objects to dot paths so a change deep inside report_data
+  // shows up as e.g. "report_data.land_rate". Arrays are compared as whole values.
+  flatten(value, prefix = '', output = {}) {
+    if (!this.isPlainObject(value)) {
+      if (prefix) output[prefix] = value;
+      return output;
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (this.redactedFields.includes(key)) continue;
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (this.isPlainObject(child) && Object.keys(child).length > 0) {
+        this.flatten(child, path, output);
+      } else {
+        output[path] = child;
+      }
+    }
+    return output;
+  }
+
+  normalize(value) {
+    if (value instanceof Date) return value.toISOString();
+    return value === undefined ? null : value;
+  }
+
+  // Returns { path: { before, after } } for every field that changed, or null if nothing did
+  diff(before, after) {
+    const flatBefore = this.flatten(before || {});
+    const flatAfter = this.flatten(after || {});
+    const changes = {};
+
+    for (const path of new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])) {
+      // updated_at always moves and the entry timestamp already records when;
+      // report_data_sources is bookkeeping for report_data, which is diffed itself
+      if (path === 'updated_at' || path.startsWith('report_data_sources.')) continue;
+
+      const oldValue = this.normalize(flatBefore[path]);
+      const newValue = this.normalize(flatAfter[path]);
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes[path] = { before: oldValue, after: newValue };
+      }
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  // Write an entry. actor defaults to req.user; pass actor explicitly for
+  // unauthenticated actions such as login, and req as null for background work. Failures are logged, never thrown,
+  // so auditing cannot break the action being audited.
+  async record(req, { action, targetType, targetId, before, after, metadata, actor }) {
+    try {
+      const auditActor = actor || (req && req.user) || null;
+
+      return await db.createAuditLog({
+        actor_id: auditActor ? auditActor.id : null,
+        actor_role: auditActor ? auditActor.role : null,
+        firm_id: auditActor ? auditActor.firm_id : null,
+        action,
+        target_type: targetType || null,
+        target_id: targetId !== undefined && targetId !== null ? String(targetId) : null,
+        changes: before !== undefined || after !== undefined ? this.diff(before, after) : null,
+        metadata: metadata || null,
+        ip_address: req ? req.ip : null,
+        user_agent: req ? (req.get('user-agent') || '').slice(0, 500) : null
+      });
+    } catch (error) {
+      console.error(`❌ Failed to write audit log entry ${action}:`, error);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+const auditService = new AuditService();
+module.exports = auditService;
\ No newline at end of file
@@ -0,0 +1,262 @@
+const db = require('./database');
+const authService = require('./authService');
+const policyService = require('./policyService');
+
+// Row ids are positive 32-bit integers; anything else would make Postgres raise a type error
+const isRowId = (value) => /^[1-9]\d{0,9}$/.test(String(value)) && Number(value) <= 2147483647;
+
+// Require a valid access token for a live session and attach the authenticated user to req.user.
+// Routes must read the acting user id from req.user, never from query or body params.
+async function requireAuth(req, res, next) {
+  const token = authService.extractBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  let payload;
+  try {
+    payload = authService.verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+    });
+  }
+
+  try {
+    // Logging out or revoking a session invalidates its access tokens immediately
+    const session = payload.sid && await db.getActiveSession(payload.sid);
+    if (!session || String(session.user_id) !== String(payload.sub)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked'
+      });
+    }
+
+    const user = await db.getUserById(payload.sub);
+    if (!user || !user.is_active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account not found or inactive'
+      });
+    }
+
+    req.user = {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      firm_id: user.firm_id,
+      session_id: session.id
+    };
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate request',
+      details: error.message
+    });
+  }
+}
+
+// Allow the request only if the authenticated user holds one of the given roles
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!policyService.hasRole(req.user, ...roles)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+}
+
+// Load the report named by the request and enforce the given policy check
+// ('read', 'comment' or 'update'). getReportId pulls the id out of the request
+// (params or body); the loaded report is attached as req.report for the route handler.
+// Soft-deleted reports are reported as not found unless includeDeleted is set.
+function requireReportAccess(getReportId, access = 'read', { includeDeleted = false } = {}) {
+  return async (req, res, next) => {
+    const reportId = getReportId(req);
+
+    if (!reportId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Report ID is required'
+      });
+    }
+
+    if (!isRowId(reportId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    try {
+      const report = await db.getReportById(reportId, { includeDeleted });
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Report not found'
+        });
+      }
+
+      const context = {
+        isAssignedReviewer: policyService.hasRole(req.user, 'reviewer') &&
+          await db.isReportReviewer(report.id, req.user.id)
+      };
+
+      let allowed;
+      if (access === 'update') {
+        allowed = policyService.canUpdateReport(req.user, report);
+      } else if (access === 'comment') {
+        allowed = policyService.canCommentOnReport(req.user, report, context);
+      } else {
+        allowed = policyService.canReadReport(req.user, report, context);
+      }
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have access to this report'
+        });
+      }
+
+      req.report = report;
+      next();
+    } catch (error) {
+      console.error('Report authorization error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to authorize request',
+        details: error.message
+      });
+    }
+  };
+}
+
+// Load the document named by the request and its report, and enforce 'read' or 'update'
+// access through the report. Attaches req.document and req.report. Documents of a
+// deleted report are not found.
+function requireDocumentAccess(getDocumentId, access = 'read', { includeDeleted = false } = {}) {
+  return async (req, res, next) => {
+    const documentId = getDocumentId(req);
+
+    if (!documentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Document ID is required'
+      });
+    }
+
+    if (!isRowId(documentId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    try {
+      const document = await db.getDocumentById(documentId, { includeDeleted });
+      const report = document && await db.getReportById(document.report_id);
+      if (!document || !report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+
+      const context = {
+        isAssignedReviewer: policyService.hasRole(req.user, 'reviewer') &&
+          await db.isReportReviewer(report.id, req.user.id)
+      };
+
+      const allowed = access === 'update'
+        ? policyService.canUpdateDocument(req.user, document, report)
+        : policyService.canAccessDocument(req.user, document, report, context);
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have access to this document'
+        });
+      }
+
+      req.document = document;
+      req.report = report;
+      next();
+    } catch (error) {
+      console.error('Document authorization error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to authorize request',
+        details: error.message
+      });
+    }
+  };
+}
+
+// Load the processing job named by the request and enforce access through its report.
+// Attaches req.job (with its items) and req.report.
+function requireJobAccess(getJobId, access = 'read') {
+  const checkReport = requireReportAccess(req => req.job.report_id, access);
+
+  return async (req, res, next) => {
+    const jobId = getJobId(req);
+
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Job ID is required'
+      });
+    }
+
+    if (!isRowId(jobId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    try {
+      const job = await db.getProcessingJob(jobId);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      req.job = job;
+      await checkReport(req, res, next);
+    } catch (error) {
+      console.error('Job authorization error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to authorize request',
+        details: error.message
+      });
+    }
+  };
+}
+
+// Reject requests that target another user's account via a route param
+function requireSelf(paramName) {
+  return (req, res, next) => {
+    if (!policyService.canAccessUser(req.user, req.params[paramName])) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only access your own account'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { requireAuth, requireRole, requireReportAccess, requireDocumentAccess, requireJobAccess, requireSelf };
\ No newline at end of file
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+class AuthService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET;
+    this.accessTokenExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+    this.twoFactorTokenExpiresIn = '5m';
+    this.emailVerificationTtlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24');
+    this.passwordResetTtlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+    this.minPasswordLength = 8;
+    this.loginLockoutThreshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5');
+    this.loginLockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+
+    if (!this.jwtSecret) {
+      console.warn('⚠️ JWT_SECRET not set. Login and authenticated routes will be unavailable.');
+    }
+  }
+
+  async hashPassword(password) {
+    return await bcrypt.hash(password, 12);
+  }
+
+  async verifyPassword(password, passwordHash) {
+    if (!password || !passwordHash) return false;
+    return await bcrypt.compare(password, passwordHash);
+  }
+
+  // Returns an error message, or null if the password is acceptable
+  validatePassword(password) {
+    if (!password || password.length < this.minPasswordLength) {
+      return `Password must be at least ${this.minPasswordLength} characters`;
+    }
+    return null;
+  }
+
+  // Seconds until a locked account can log in again, or 0 if it is not locked
+  lockoutSecondsRemaining(user) {
+    if (!user || !user.locked_until) return 0;
+    return Math.max(0, Math.ceil((new Date(user.locked_until) - Date.now()) / 1000));
+  }
+
+  // Reset and refresh tokens are stored as SHA-256 hashes so a database leak cannot be replayed
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Issue a signed access token carrying the user id as the subject and the login session id
+  generateAccessToken(user, sessionId) {
+    if (!this.jwtSecret) {
+      throw new Error('JWT secret not configured');
+    }
+
+    const token = jwt.sign(
+      { email: user.email, sid: sessionId },
+      this.jwtSecret,
+      { subject: String(user.id), expiresIn: this.accessTokenExpiresIn }
+    );
+    const { exp } = jwt.decode(token);
+
+    return {
+      token: token,
+      expiresAt: new Date(exp * 1000).toISOString()
+    };
+  }
+
+  // Returns the decoded payload, or throws if the token is invalid or expired
+  verifyAccessToken(token) {
+    if (!this.jwtSecret) {
+      throw new Error('JWT secret not configured');
+    }
+    const payload = jwt.verify(token, this.jwtSecret);
+    if (payload.purpose) {
+      throw new jwt.JsonWebTokenError('Not an access token');
+    }
+    return payload;
+  }
+
+  // Short-lived token proving the password step passed, exchanged for a session once
+  // the user supplies a TOTP or recovery code
+  generateTwoFactorToken(user) {
+    if (!this.jwtSecret) {
+      throw new Error('JWT secret not configured');
+    }
+    return jwt.sign(
+      { purpose: '2fa' },
+      this.jwtSecret,
+      { subject: String(user.id), expiresIn: this.twoFactorTokenExpiresIn }
+    );
+  }
+
+  verifyTwoFactorToken(token) {
+    if (!this.jwtSecret) {
+      throw new Error('JWT secret not configured');
+    }
+    const payload = jwt.verify(token, this.jwtSecret);
+    if (payload.purpose !== '2fa') {
+      throw new jwt.JsonWebTokenError('Not a two-factor token');
+    }
+    return payload;
+  }
+
+  // Random single-use token for the email verification link
+  generateEmailVerificationToken() {
+    return {
+      token: crypto.randomBytes(32).toString('hex'),
+      expiresAt: new Date(Date.now() + this.emailVerificationTtlHours * 60 * 60 * 1000)
+    };
+  }
+
+  generatePasswordResetToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return {
+      token: token,
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + this.passwordResetTtlMinutes * 60 * 1000)
+    };
+  }
+
+  // Opaque refresh token; only its hash is stored in user_sessions
+  generateRefreshToken() {
+    const token = crypto.randomBytes(48).toString('hex');
+    return {
+      token: token,
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000)
+    };
+  }
+
+  extractBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+  }
+}
+
+// Export singleton instance
+const authService = new AuthService();
+module.exports = authService;
\ No newline at end of file
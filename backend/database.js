@@ -1,4 +1,9 @@
 const { Pool } = require('pg');
+const reportContentService = require('./reportContentService');
+const reportDataService = require('./reportDataService');
+
+// JSONB parameter that keeps SQL NULL for missing values
+const toJson = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
 
 class DatabaseService {
   constructor() {
@@ -7,6 +12,20 @@ class DatabaseService {
       ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
     });
 
+    // Sortable report listing columns. Expressions never yield NULL so keyset comparisons hold;
+    // reports without a valuation sort as the lowest market value.
+    this.reportSortKeys = {
+      created_at: { expression: 'r.created_at', type: 'timestamp' },
+      updated_at: { expression: 'r.updated_at', type: 'timestamp' },
+      report_reference: { expression: 'r.report_reference', type: 'text' },
+      client_reference: { expression: "COALESCE(r.client_reference, '')", type: 'text' },
+      market_value: { expression: 'COALESCE(v.market_value, -1)', type: 'numeric' }
+    };
+
+    // Indexed expression behind document search. It must match the idx_documents_search index
+    // (migrations/014_full_text_search.js); changing it needs a migration that rebuilds that index.
+    this.documentSearchVector = "to_tsvector('simple', COALESCE(extracted_data->>'extracted_text', '') || ' ' || file_name)";
+
     // Test connection on startup
     this.testConnection();
   }
@@ -38,6 +57,23 @@ class DatabaseService {
     return await this.pool.connect();
   }
 
+  // Run callback(client) inside BEGIN/COMMIT, rolling back if it throws
+  async transaction(callback) {
+    const client = await this.getClient();
+
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   async close() {
     await this.pool.end();
   }
@@ -61,96 +97,13 @@ class DatabaseService {
     }
   }
 
-  // Initialize database schema
+  // Initialize database schema by applying any pending migrations (see migrations/)
   async initializeSchema() {
-    const client = await this.getClient();
-
-    try {
-      await client.query('BEGIN');
-
-      // Users table - Enhanced with IVSL professional fields
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS users (
-          id SERIAL PRIMARY KEY,
-          email VARCHAR(255) UNIQUE NOT NULL,
-          password_hash VARCHAR(255) NOT NULL,
-
-          -- Personal Details (based on planning/document-analysis.md lines 14-22)
-          honorable VARCHAR(10),
-          full_name VARCHAR(255) NOT NULL,
-          professional_title VARCHAR(255),
-          qualifications JSONB,
-
-          -- Professional Registration (lines 23-27)
-          ivsl_registration VARCHAR(100),
-          professional_status VARCHAR(255),
-          ivsl_membership_type VARCHAR(50),
-
-          -- Contact Information (lines 28-35)
-          house_number VARCHAR(50),
-          street_name VARCHAR(255),
-          area_name VARCHAR(255),
-          city VARCHAR(100),
-          district VARCHAR(100),
-          phone_number VARCHAR(20),
-          mobile_number VARCHAR(20),
-          alternative_contact VARCHAR(20),
-
-          -- Professional Files
-          signature_path VARCHAR(500),
-          letterhead_path VARCHAR(500),
-          profile_picture_path VARCHAR(500),
-
-          -- Account Management
-          email_verified BOOLEAN DEFAULT FALSE,
-          email_verification_token VARCHAR(255),
-          is_active BOOLEAN DEFAULT TRUE,
-
-          created_at TIMESTAMP DEFAULT NOW(),
-          updated_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
-
-      // Valuation reports table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS valuation_reports (
-          id SERIAL PRIMARY KEY,
-          valuer_id INTEGER REFERENCES users(id),
-          report_reference VARCHAR(100) UNIQUE NOT NULL,
-          client_reference VARCHAR(100),
-          property_address TEXT,
-          gps_coordinates JSONB,
-          status VARCHAR(50) DEFAULT 'draft',
-          report_data JSONB,
-          created_at TIMESTAMP DEFAULT NOW(),
-          updated_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
-
-      // Documents table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS documents (
-          id SERIAL PRIMARY KEY,
-          report_id INTEGER REFERENCES valuation_reports(id),
-          file_name VARCHAR(255) NOT NULL,
-          file_path VARCHAR(500) NOT NULL,
-          file_type VARCHAR(100) NOT NULL,
-          file_size INTEGER,
-          extracted_data JSONB,
-          uploaded_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
-
-      await client.query('COMMIT');
-      console.log('✅ Database schema initialized successfully');
-
-    } catch (error) {
-      await client.query('ROLLBACK');
-      console.error('❌ Database schema initialization failed:', error);
-      throw error;
-    } finally {
-      client.release();
-    }
+    // Required lazily because the runner itself uses this service
+    const migrationRunner = require('./migrationRunner');
+    const result = await migrationRunner.migrate();
+    console.log('✅ Database schema initialized successfully');
+    return result;
   }
 
   // User management methods
@@ -160,7 +113,7 @@ class DatabaseService {
       ivsl_registration, professional_status, ivsl_membership_type,
       house_number, street_name, area_name, city, district,
       phone_number, mobile_number, alternative_contact,
-      email_verification_token
+      email_verification_token, email_verification_expires_at
     } = userData;
 
     const result = await this.query(
@@ -168,14 +121,16 @@ class DatabaseService {
         email, password_hash, honorable, full_name, professional_title, qualifications,
         ivsl_registration, professional_status, ivsl_membership_type,
         house_number, street_name, area_name, city, district,
-        phone_number, mobile_number, alternative_contact, email_verification_token
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+        phone_number, mobile_number, alternative_contact, email_verification_token,
+        email_verification_expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
       RETURNING id, email, honorable, full_name, professional_title, ivsl_registration, created_at`,
       [
         email, password_hash, honorable, full_name, professional_title,
         JSON.stringify(qualifications), ivsl_registration, professional_status, ivsl_membership_type,
         house_number, street_name, area_name, city, district,
-        phone_number, mobile_number, alternative_contact, email_verification_token
+        phone_number, mobile_number, alternative_contact, email_verification_token,
+        email_verification_expires_at
       ]
     );
     return result.rows[0];
@@ -236,15 +191,231 @@ class DatabaseService {
     return result.rows[0];
   }
 
+  // Tokens issued before expiry tracking have no expiry and stay valid until used
   async verifyUserEmail(email, token) {
     const result = await this.query(
-      `UPDATE users SET email_verified = TRUE, email_verification_token = NULL
-       WHERE email = $1 AND email_verification_token = $2 RETURNING id, email`,
+      `UPDATE users SET email_verified = TRUE, email_verification_token = NULL,
+         email_verification_expires_at = NULL
+       WHERE email = $1 AND email_verification_token = $2
+         AND (email_verification_expires_at IS NULL OR email_verification_expires_at > NOW())
+       RETURNING id, email`,
       [email, token]
     );
     return result.rows[0];
   }
 
+  async setEmailVerificationToken(userId, token, expiresAt) {
+    const result = await this.query(
+      `UPDATE users SET email_verification_token = $2, email_verification_expires_at = $3, updated_at = NOW()
+       WHERE id = $1 AND email_verified = FALSE RETURNING id, email, full_name`,
+      [userId, token, expiresAt]
+    );
+    return result.rows[0];
+  }
+
+  async updateUserPassword(userId, passwordHash) {
+    const result = await this.query(
+      'UPDATE users SET password_hash = $2, updated_at = NOW() WHERE id = $1 RETURNING id, email',
+      [userId, passwordHash]
+    );
+    return result.rows[0];
+  }
+
+  // Counts a failed login and locks the account once the threshold is reached.
+  // The counter restarts after a lock so each lock needs a fresh run of failures.
+  async recordFailedLogin(userId, threshold, lockMinutes) {
+    const result = await this.query(
+      `UPDATE users SET
+         locked_until = CASE WHEN COALESCE(failed_login_attempts, 0) + 1 >= $2
+           THEN NOW() + ($3 * INTERVAL '1 minute') ELSE locked_until END,
+         failed_login_attempts = CASE WHEN COALESCE(failed_login_attempts, 0) + 1 >= $2
+           THEN 0 ELSE COALESCE(failed_login_attempts, 0) + 1 END
+       WHERE id = $1
+       RETURNING failed_login_attempts, locked_until`,
+      [userId, threshold, lockMinutes]
+    );
+    return result.rows[0];
+  }
+
+  async resetFailedLogins(userId) {
+    await this.query(
+      'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1',
+      [userId]
+    );
+  }
+
+  // Password reset token methods
+  async createPasswordResetToken(userId, tokenHash, expiresAt) {
+    // Only the most recently requested link stays valid
+    await this.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+    const result = await this.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, $3) RETURNING id, user_id, expires_at`,
+      [userId, tokenHash, expiresAt]
+    );
+    return result.rows[0];
+  }
+
+  // Marks the token used and returns its user id, or undefined if invalid, used or expired
+  async consumePasswordResetToken(tokenHash) {
+    const result = await this.query(
+      `UPDATE password_reset_tokens SET used_at = NOW()
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [tokenHash]
+    );
+    return result.rows[0]?.user_id;
+  }
+
+  // Two-factor authentication methods
+
+  // Stores a new secret that only takes effect once enableTotp confirms a code from it
+  async setPendingTotpSecret(userId, secret) {
+    const result = await this.query(
+      `UPDATE users SET totp_secret = $2, totp_last_used_step = NULL, updated_at = NOW()
+       WHERE id = $1 AND totp_enabled = FALSE RETURNING id`,
+      [userId, secret]
+    );
+    return result.rows[0];
+  }
+
+  // Enables 2FA and replaces any existing recovery codes in one transaction
+  async enableTotp(userId, usedStep, recoveryCodeHashes) {
+    await this.transaction(async (client) => {
+      await client.query(
+        `UPDATE users SET totp_enabled = TRUE, totp_last_used_step = $2, updated_at = NOW()
+         WHERE id = $1`,
+        [userId, usedStep]
+      );
+      await this.replaceRecoveryCodes(userId, recoveryCodeHashes, client);
+    });
+  }
+
+  async disableTotp(userId) {
+    await this.transaction(async (client) => {
+      await client.query(
+        `UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_used_step = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [userId]
+      );
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    });
+  }
+
+  // Records the time step of an accepted code; fails if a concurrent login already used it
+  async markTotpStepUsed(userId, step) {
+    const result = await this.query(
+      `UPDATE users SET totp_last_used_step = $2
+       WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+       RETURNING id`,
+      [userId, step]
+    );
+    return result.rows[0];
+  }
+
+  async replaceRecoveryCodes(userId, codeHashes, client = null) {
+    const runner = client || this;
+    await runner.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    for (const codeHash of codeHashes) {
+      await runner.query(
+        'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+        [userId, codeHash]
+      );
+    }
+  }
+
+  // Marks a recovery code used; returns undefined if it is unknown or already used
+  async consumeRecoveryCode(userId, codeHash) {
+    const result = await this.query(
+      `UPDATE user_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, codeHash]
+    );
+    return result.rows[0];
+  }
+
+  async countRecoveryCodes(userId) {
+    const result = await this.query(
+      'SELECT COUNT(*)::int AS remaining FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+    return result.rows[0].remaining;
+  }
+
+  async createSession({ user_id, refresh_token_hash, user_agent, ip_address, expires_at }) {
+    const result = await this.query(
+      `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id, user_id, expires_at, created_at`,
+      [user_id, refresh_token_hash, user_agent, ip_address, expires_at]
+    );
+    return result.rows[0];
+  }
+
+  async getActiveSession(id) {
+    const result = await this.query(
+      'SELECT * FROM user_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Looks up a session by its current or previous refresh token hash
+  async getSessionByRefreshToken(tokenHash) {
+    const result = await this.query(
+      'SELECT * FROM user_sessions WHERE refresh_token_hash = $1 OR previous_token_hash = $1',
+      [tokenHash]
+    );
+    return result.rows[0];
+  }
+
+  // Swaps in the new refresh token; fails if another request rotated the session first
+  async rotateSessionToken(id, currentHash, nextHash, expiresAt) {
+    const result = await this.query(
+      `UPDATE user_sessions
+       SET previous_token_hash = refresh_token_hash, refresh_token_hash = $3,
+           expires_at = $4, last_used_at = NOW()
+       WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL
+       RETURNING id, user_id, expires_at`,
+      [id, currentHash, nextHash, expiresAt]
+    );
+    return result.rows[0];
+  }
+
+  async getUserSessions(userId) {
+    const result = await this.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  async revokeSession(id, userId) {
+    const result = await this.query(
+      `UPDATE user_sessions SET revoked_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [id, userId]
+    );
+    return result.rows[0];
+  }
+
+  // Revokes every session of the user, optionally keeping one (the caller's own)
+  async revokeUserSessions(userId, exceptSessionId = null) {
+    const result = await this.query(
+      `UPDATE user_sessions SET revoked_at = NOW()
+       WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id <> $2)`,
+      [userId, exceptSessionId]
+    );
+    return result.rowCount;
+  }
+
   async getUserByEmail(email) {
     const result = await this.query('SELECT * FROM users WHERE email = $1', [email]);
     return result.rows[0];
@@ -255,66 +426,944 @@ class DatabaseService {
     return result.rows[0];
   }
 
+  // Role and firm management methods
+  async getUsers({ firm_id } = {}) {
+    const result = await this.query(
+      `SELECT id, email, honorable, full_name, professional_title, ivsl_registration,
+              role, firm_id, is_active, email_verified, created_at
+       FROM users
+       WHERE ($1::INTEGER IS NULL OR firm_id = $1)
+       ORDER BY created_at DESC`,
+      [firm_id || null]
+    );
+    return result.rows;
+  }
+
+  async updateUserRole(userId, role) {
+    const result = await this.query(
+      'UPDATE users SET role = $2, updated_at = NOW() WHERE id = $1 RETURNING id, email, role, firm_id',
+      [userId, role]
+    );
+    return result.rows[0];
+  }
+
+  async updateUserFirm(userId, firmId) {
+    const result = await this.query(
+      'UPDATE users SET firm_id = $2, updated_at = NOW() WHERE id = $1 RETURNING id, email, role, firm_id',
+      [userId, firmId]
+    );
+    return result.rows[0];
+  }
+
+  async setUserActive(userId, isActive) {
+    const result = await this.query(
+      'UPDATE users SET is_active = $2, updated_at = NOW() WHERE id = $1 RETURNING id, email, role, firm_id, is_active',
+      [userId, isActive]
+    );
+    return result.rows[0];
+  }
+
+  async createFirm(name) {
+    const result = await this.query('INSERT INTO firms (name) VALUES ($1) RETURNING *', [name]);
+    return result.rows[0];
+  }
+
+  async getFirms() {
+    const result = await this.query('SELECT * FROM firms ORDER BY name');
+    return result.rows;
+  }
+
+  async getFirmById(id) {
+    const result = await this.query('SELECT * FROM firms WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
   // Report management methods
   async createReport(reportData) {
     const { valuer_id, report_reference, client_reference, property_address, gps_coordinates } = reportData;
+    return await this.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO valuation_reports (valuer_id, report_reference, client_reference, property_address, gps_coordinates)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [valuer_id, report_reference, client_reference, property_address, JSON.stringify(gps_coordinates)]
+      );
+      const report = result.rows[0];
+      await this.saveReportContent(report.id, reportContentService.fromReportData(report.report_data, report), client);
+      await this.refreshReportSearch(report.id, client);
+      await this.createReportRevision(report, { source: 'created', created_by: valuer_id }, client);
+      return report;
+    });
+  }
+
+  // Keyset-paginated listing of one valuer's reports. Filters combine with AND; total counts
+  // every match regardless of the cursor. The cursor is the sort value and id of the last row
+  // on the previous page, so pages stay stable while reports are added or edited.
+  // state: 'active' (default), 'archived', 'deleted' or 'all' (active and archived, never deleted)
+  async listReports(valuer_id, options = {}) {
+    const {
+      state = 'active', status, from, to, client_reference, district, min_value, max_value,
+      sort = 'created_at', order = 'desc', limit = 25, cursor
+    } = options;
+    const stateFilters = {
+      active: 'r.deleted_at IS NULL AND r.archived_at IS NULL',
+      archived: 'r.deleted_at IS NULL AND r.archived_at IS NOT NULL',
+      deleted: 'r.deleted_at IS NOT NULL',
+      all: 'r.deleted_at IS NULL'
+    };
+    if (!stateFilters[state]) {
+      throw new Error(`Unknown report state ${state}`);
+    }
+    const sortKey = this.reportSortKeys[sort];
+    if (!sortKey) {
+      throw new Error(`Unknown report sort ${sort}`);
+    }
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    const conditions = ['r.valuer_id = $1', stateFilters[state]];
+    const params = [valuer_id];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    const likeEscape = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+    if (status && status.length > 0) add('r.status = ANY(?)', status);
+    if (from) add('r.created_at >= ?::date', from);
+    if (to) add('r.created_at < ?::date + 1', to);
+    if (client_reference) add('r.client_reference ILIKE ?', `%${likeEscape(client_reference)}%`);
+    if (district) add('p.district ILIKE ?', likeEscape(district));
+    if (min_value !== undefined && min_value !== null) add('v.market_value >= ?', min_value);
+    if (max_value !== undefined && max_value !== null) add('v.market_value <= ?', max_value);
+
+    const tables = `
+      FROM valuation_reports r
+      LEFT JOIN report_parcels p ON p.report_id = r.id
+      LEFT JOIN report_valuations v ON v.report_id = r.id`;
+    const count = await this.query(
+      `SELECT COUNT(*)::int AS total ${tables} WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+
+    if (cursor) {
+      params.push(cursor.value, cursor.id);
+      conditions.push(
+        `(${sortKey.expression}, r.id) ${direction === 'ASC' ? '>' : '<'} ($${params.length - 1}::${sortKey.type}, $${params.length})`
+      );
+    }
+    params.push(limit + 1);
+
     const result = await this.query(
-      `INSERT INTO valuation_reports (valuer_id, report_reference, client_reference, property_address, gps_coordinates)
-       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [valuer_id, report_reference, client_reference, property_address, JSON.stringify(gps_coordinates)]
+      `SELECT r.*, p.district, v.market_value::float8 AS market_value, (${sortKey.expression})::text AS sort_value
+       ${tables}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${sortKey.expression} ${direction}, r.id ${direction}
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = result.rows.length > limit ? { value: last.sort_value, id: last.id } : null;
+    const reports = rows.map(({ sort_value, ...report }) => report);
+
+    return { reports, total: count.rows[0].total, nextCursor };
+  }
+
+  // Cursors travel as opaque base64url tokens; anything that does not decode returns null
+  encodeReportCursor(cursor) {
+    return Buffer.from(JSON.stringify([cursor.value, cursor.id])).toString('base64url');
+  }
+
+  decodeReportCursor(token) {
+    try {
+      const [value, id] = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+      if (typeof value !== 'string' || !Number.isInteger(id)) return null;
+      return { value, id };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Deleted reports are treated as missing unless includeDeleted is set
+  async getReportById(id, { includeDeleted = false } = {}) {
+    const result = await this.query(
+      `SELECT * FROM valuation_reports WHERE id = $1 ${includeDeleted ? '' : 'AND deleted_at IS NULL'}`,
+      [id]
     );
     return result.rows[0];
   }
 
-  async getReportsByUser(valuer_id) {
+  async deleteReport(id, userId) {
     const result = await this.query(
-      'SELECT * FROM valuation_reports WHERE valuer_id = $1 ORDER BY created_at DESC',
-      [valuer_id]
+      `UPDATE valuation_reports SET deleted_at = NOW(), deleted_by = $2
+       WHERE id = $1 AND deleted_at IS NULL RETURNING *`,
+      [id, userId]
     );
-    return result.rows;
+    return result.rows[0];
+  }
+
+  async undeleteReport(id) {
+    const result = await this.query(
+      `UPDATE valuation_reports SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  async archiveReport(id, userId) {
+    const result = await this.query(
+      `UPDATE valuation_reports SET archived_at = NOW(), archived_by = $2
+       WHERE id = $1 AND archived_at IS NULL AND deleted_at IS NULL RETURNING *`,
+      [id, userId]
+    );
+    return result.rows[0];
   }
 
-  async getReportById(id) {
-    const result = await this.query('SELECT * FROM valuation_reports WHERE id = $1', [id]);
+  async unarchiveReport(id) {
+    const result = await this.query(
+      `UPDATE valuation_reports SET archived_at = NULL, archived_by = NULL
+       WHERE id = $1 AND archived_at IS NOT NULL AND deleted_at IS NULL RETURNING *`,
+      [id]
+    );
     return result.rows[0];
   }
 
+  // Permanently removes a soft-deleted report; documents, content, revisions, reviewers
+  // and comments go with it (ON DELETE CASCADE). Returns { report, documentCount, filePaths }
+  // so the caller can remove the stored files and thumbnails, or null if the report is not soft-deleted.
+  async purgeReport(id) {
+    return await this.transaction(async (client) => {
+      const documents = await client.query('SELECT file_path, thumbnail_path, processed_file_path FROM documents WHERE report_id = $1', [id]);
+      const result = await client.query(
+        'DELETE FROM valuation_reports WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *',
+        [id]
+      );
+      if (result.rows.length === 0) return null;
+      return {
+        report: result.rows[0],
+        documentCount: documents.rows.length,
+        filePaths: documents.rows.flatMap(row => [row.file_path, row.thumbnail_path, row.processed_file_path]).filter(Boolean)
+      };
+    });
+  }
+
+  // Updates status and/or merges report_data patches (see reportDataService).
+  // Pass report_data with its provenance, or patches: [{ data, provenance }] applied in order.
+  // The report content tables are rebuilt from the merged report_data in the same transaction.
+  // Returns { report, skippedFields } where skippedFields lists paths kept because a valuer edited them.
+  // Every call snapshots the updated report as a new revision attributed to updated_by.
   async updateReport(id, updateData) {
-    const { status, report_data } = updateData;
+    const { status, report_data, provenance, updated_by } = updateData;
+    const patches = updateData.patches || (report_data !== undefined ? [{ data: report_data, provenance }] : []);
+
+    return await this.transaction(async (client) => {
+      const current = await client.query(
+        'SELECT report_data, report_data_sources FROM valuation_reports WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      if (current.rows.length === 0) {
+        return { report: undefined, skippedFields: [] };
+      }
+
+      let data = current.rows[0].report_data || {};
+      let sources = current.rows[0].report_data_sources || {};
+      const skippedFields = [];
+      for (const patch of patches) {
+        const merged = reportDataService.merge(data, sources, patch.data, patch.provenance);
+        ({ data, sources } = merged);
+        skippedFields.push(...merged.skipped);
+      }
+
+      const result = await client.query(
+        `UPDATE valuation_reports
+         SET status = COALESCE($2, status),
+             report_data = COALESCE($3, report_data),
+             report_data_sources = COALESCE($4, report_data_sources),
+             updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [
+          id,
+          status,
+          patches.length > 0 ? JSON.stringify(data) : null,
+          patches.length > 0 ? JSON.stringify(sources) : null
+        ]
+      );
+      const report = result.rows[0];
+      if (patches.length > 0) {
+        await this.saveReportContent(report.id, reportContentService.fromReportData(report.report_data, report), client);
+        await this.refreshReportSearch(report.id, client);
+      }
+
+      const patchSources = [...new Set(patches.map(patch => patch.provenance.source))];
+      await this.createReportRevision(report, {
+        source: patchSources.length === 1 ? patchSources[0] : patchSources.length > 1 ? 'mixed' : 'status',
+        created_by: updated_by || patches.map(patch => patch.provenance.user_id).find(Boolean) || null
+      }, client);
+
+      return { report, skippedFields: [...new Set(skippedFields)] };
+    });
+  }
+
+  // Report revision methods
+  // Snapshots the report's current content as its next revision number. Callers hold
+  // the report row lock (or have just created it), so numbers cannot collide.
+  async createReportRevision(report, { source, created_by = null, restored_from = null }, client = null) {
+    const runner = client || this;
+    const result = await runner.query(
+      `INSERT INTO report_revisions (
+         report_id, revision_number, status, client_reference, property_address,
+         gps_coordinates, report_data, report_data_sources, source, restored_from, created_by
+       )
+       SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+       FROM report_revisions WHERE report_id = $1
+       RETURNING *`,
+      [
+        report.id, report.status, report.client_reference, report.property_address,
+        toJson(report.gps_coordinates), toJson(report.report_data),
+        JSON.stringify(report.report_data_sources || {}), source, restored_from, created_by
+      ]
+    );
+    return result.rows[0];
+  }
+
+  // Revision list without the snapshots themselves
+  async getReportRevisions(reportId) {
     const result = await this.query(
-      `UPDATE valuation_reports
-       SET status = COALESCE($2, status),
-           report_data = COALESCE($3, report_data),
-           updated_at = NOW()
-       WHERE id = $1 RETURNING *`,
-      [id, status, JSON.stringify(report_data)]
+      `SELECT r.id, r.revision_number, r.status, r.source, r.restored_from, r.created_by,
+              u.full_name AS created_by_name, r.created_at
+       FROM report_revisions r
+       LEFT JOIN users u ON u.id = r.created_by
+       WHERE r.report_id = $1
+       ORDER BY r.revision_number DESC`,
+      [reportId]
+    );
+    return result.rows;
+  }
+
+  async getReportRevision(reportId, revisionNumber) {
+    const result = await this.query(
+      `SELECT r.*, u.full_name AS created_by_name
+       FROM report_revisions r
+       LEFT JOIN users u ON u.id = r.created_by
+       WHERE r.report_id = $1 AND r.revision_number = $2`,
+      [reportId, revisionNumber]
     );
     return result.rows[0];
   }
 
-  // Document management methods
-  async saveDocument(documentData) {
-    const { report_id, file_name, file_path, file_type, file_size, extracted_data } = documentData;
+  // Puts an old revision's content back (status is left as it is) and records
+  // the restore as a new revision. Returns { report, revision } or null if the revision does not exist.
+  async restoreReportRevision(reportId, revisionNumber, userId) {
+    return await this.transaction(async (client) => {
+      await client.query('SELECT id FROM valuation_reports WHERE id = $1 FOR UPDATE', [reportId]);
+      const revisionResult = await client.query(
+        'SELECT * FROM report_revisions WHERE report_id = $1 AND revision_number = $2',
+        [reportId, revisionNumber]
+      );
+      const revision = revisionResult.rows[0];
+      if (!revision) return null;
+
+      const result = await client.query(
+        `UPDATE valuation_reports
+         SET client_reference = $2,
+             property_address = $3,
+             gps_coordinates = $4,
+             report_data = $5,
+             report_data_sources = $6,
+             updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [
+          reportId, revision.client_reference, revision.property_address,
+          toJson(revision.gps_coordinates), toJson(revision.report_data),
+          JSON.stringify(revision.report_data_sources || {})
+        ]
+      );
+      const report = result.rows[0];
+      await this.saveReportContent(report.id, reportContentService.fromReportData(report.report_data, report), client);
+      await this.refreshReportSearch(report.id, client);
+      const newRevision = await this.createReportRevision(report, {
+        source: 'restore',
+        created_by: userId,
+        restored_from: revision.revision_number
+      }, client);
+
+      return { report, revision: newRevision };
+    });
+  }
+
+  // Report content methods (normalized sections, see reportContentService)
+  // Replaces every section of a report's content: single-row sections are upserted
+  // (or deleted when null), multi-row sections are rewritten in order
+  async saveReportContent(reportId, content, client = null) {
+    const runner = client || this;
+
+    for (const [name, section] of Object.entries(reportContentService.sections)) {
+      const columns = Object.keys(section.columns);
+      const toParam = (row, column) => (
+        section.columns[column] === 'json' && row[column] !== null ? JSON.stringify(row[column]) : row[column]
+      );
+
+      if (section.multiple) {
+        await runner.query(`DELETE FROM ${section.table} WHERE report_id = $1`, [reportId]);
+        const rows = content[name] || [];
+        for (let index = 0; index < rows.length; index++) {
+          const placeholders = columns.map((_, i) => `$${i + 3}`).join(', ');
+          await runner.query(
+            `INSERT INTO ${section.table} (report_id, sort_order, ${columns.join(', ')}) VALUES ($1, $2, ${placeholders})`,
+            [reportId, index, ...columns.map(column => toParam(rows[index], column))]
+          );
+        }
+      } else if (content[name]) {
+        const placeholders = columns.map((_, i) => `$${i + 2}`).join(', ');
+        const updates = columns.map(column => `${column} = EXCLUDED.${column}`).join(', ');
+        await runner.query(
+          `INSERT INTO ${section.table} (report_id, ${columns.join(', ')}) VALUES ($1, ${placeholders})
+           ON CONFLICT (report_id) DO UPDATE SET ${updates}, updated_at = NOW()`,
+          [reportId, ...columns.map(column => toParam(content[name], column))]
+        );
+      } else {
+        await runner.query(`DELETE FROM ${section.table} WHERE report_id = $1`, [reportId]);
+      }
+    }
+  }
+
+  // Rebuilds the searchable text of one report, or of every report when reportId is null
+  async refreshReportSearch(reportId, client = null) {
+    const runner = client || this;
+    await runner.query(
+      `INSERT INTO report_search (report_id, search_text)
+       SELECT r.id, concat_ws(' • ',
+         r.report_reference,
+         r.client_reference,
+         r.property_address,
+         (SELECT concat_ws(' • ', 'Plan ' || p.plan_number, 'Lot ' || p.lot_number, 'Assessment ' || p.assessment_number,
+                 p.land_name, p.village_name, p.district)
+          FROM report_parcels p WHERE p.report_id = r.id),
+         (SELECT string_agg(concat_ws(' • ', o.owner_name, o.previous_owner, 'Deed ' || o.deed_number, o.notary_public), ' • ' ORDER BY o.sort_order)
+          FROM report_ownership_deeds o WHERE o.report_id = r.id)
+       )
+       FROM valuation_reports r
+       WHERE $1::int IS NULL OR r.id = $1
+       ON CONFLICT (report_id) DO UPDATE SET search_text = EXCLUDED.search_text, updated_at = NOW()`,
+      [reportId]
+    );
+  }
+
+  // Returns { parcel, ownership: [], boundaries: [], buildings: [], locality, valuation, client_instructions }
+  async getReportContent(reportId) {
+    const content = {};
+
+    for (const [name, section] of Object.entries(reportContentService.sections)) {
+      // Dates as YYYY-MM-DD and amounts as numbers rather than pg's Date objects and NUMERIC strings
+      const columns = Object.entries(section.columns).map(([column, type]) => {
+        if (type === 'date') return `TO_CHAR(${column}, 'YYYY-MM-DD') AS ${column}`;
+        if (type !== 'text' && type !== 'json') return `${column}::float8 AS ${column}`;
+        return column;
+      }).join(', ');
+      const result = await this.query(
+        `SELECT id, ${columns}, updated_at FROM ${section.table} WHERE report_id = $1
+         ${section.multiple ? 'ORDER BY sort_order, id' : ''}`,
+        [reportId]
+      );
+      content[name] = section.multiple ? result.rows : result.rows[0] || null;
+    }
+    return content;
+  }
+
+  // Report review methods
+  async assignReportReviewer(report_id, reviewer_id, assigned_by) {
     const result = await this.query(
-      `INSERT INTO documents (report_id, file_name, file_path, file_type, file_size, extracted_data)
-       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-      [report_id, file_name, file_path, file_type, file_size, JSON.stringify(extracted_data)]
+      `INSERT INTO report_reviewers (report_id, reviewer_id, assigned_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (report_id, reviewer_id) DO UPDATE SET assigned_by = $3, assigned_at = NOW()
+       RETURNING *`,
+      [report_id, reviewer_id, assigned_by]
     );
     return result.rows[0];
   }
 
-  async getDocumentsByReport(report_id) {
+  async isReportReviewer(report_id, reviewer_id) {
     const result = await this.query(
-      'SELECT * FROM documents WHERE report_id = $1 ORDER BY uploaded_at DESC',
+      'SELECT 1 FROM report_reviewers WHERE report_id = $1 AND reviewer_id = $2',
+      [report_id, reviewer_id]
+    );
+    return result.rows.length > 0;
+  }
+
+  async getReportsAssignedTo(reviewer_id) {
+    const result = await this.query(
+      `SELECT r.*, rr.assigned_at
+       FROM valuation_reports r
+       JOIN report_reviewers rr ON rr.report_id = r.id
+       WHERE rr.reviewer_id = $1 AND r.deleted_at IS NULL
+       ORDER BY rr.assigned_at DESC`,
+      [reviewer_id]
+    );
+    return result.rows;
+  }
+
+  async addReportComment(report_id, author_id, comment) {
+    const result = await this.query(
+      'INSERT INTO report_comments (report_id, author_id, comment) VALUES ($1, $2, $3) RETURNING *',
+      [report_id, author_id, comment]
+    );
+    return result.rows[0];
+  }
+
+  async getReportComments(report_id) {
+    const result = await this.query(
+      `SELECT c.*, u.full_name AS author_name, u.role AS author_role
+       FROM report_comments c
+       JOIN users u ON u.id = c.author_id
+       WHERE c.report_id = $1
+       ORDER BY c.created_at ASC`,
       [report_id]
     );
     return result.rows;
   }
 
-  async getDocumentById(id) {
-    const result = await this.query('SELECT * FROM documents WHERE id = $1', [id]);
+  // Document management methods
+  async saveDocument(documentData, client = null) {
+    const runner = client || this;
+    const {
+      report_id, file_name, file_path, file_type, file_size, checksum_sha256, extracted_data, preprocessing_options, ocr_layout
+    } = documentData;
+    const result = await runner.query(
+      `INSERT INTO documents (report_id, file_name, file_path, file_type, file_size, checksum_sha256, extracted_data, preprocessing_options, ocr_layout)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+      [
+        report_id, file_name, file_path, file_type, file_size, checksum_sha256 || null,
+        JSON.stringify(extracted_data), preprocessing_options ? JSON.stringify(preprocessing_options) : null,
+        ocr_layout ? JSON.stringify(ocr_layout) : null
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async getDocumentsByReport(report_id, { includeDeleted = false } = {}) {
+    const result = await this.query(
+      `SELECT * FROM documents WHERE report_id = $1 ${includeDeleted ? '' : 'AND deleted_at IS NULL'}
+       ORDER BY uploaded_at DESC`,
+      [report_id]
+    );
+    return result.rows;
+  }
+
+  // Deleted documents are treated as missing unless includeDeleted is set
+  async getDocumentById(id, { includeDeleted = false } = {}) {
+    const result = await this.query(
+      `SELECT * FROM documents WHERE id = $1 ${includeDeleted ? '' : 'AND deleted_at IS NULL'}`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  async deleteDocument(id, userId) {
+    const result = await this.query(
+      `UPDATE documents SET deleted_at = NOW(), deleted_by = $2
+       WHERE id = $1 AND deleted_at IS NULL RETURNING *`,
+      [id, userId]
+    );
+    return result.rows[0];
+  }
+
+  async undeleteDocument(id) {
+    const result = await this.query(
+      `UPDATE documents SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Documents of a report whose content matches one of the given SHA-256 checksums. A pending
+  // document without a processing job will never be processed, so it does not count as a copy.
+  async getDocumentsByChecksum(reportId, checksums) {
+    const result = await this.query(
+      `SELECT * FROM documents d
+       WHERE d.report_id = $1 AND d.checksum_sha256 = ANY($2::TEXT[]) AND d.deleted_at IS NULL
+         AND (d.extracted_data->>'ocr_status' IS DISTINCT FROM 'pending'
+              OR EXISTS (SELECT 1 FROM processing_job_items i WHERE i.document_id = d.id))
+       ORDER BY d.uploaded_at, d.id`,
+      [reportId, checksums]
+    );
+    return result.rows;
+  }
+
+  // The most recent fully processed document with this content in any report the user
+  // owns or reviews, so its OCR and AI results can be reused for an identical upload
+  async findProcessedDocumentByChecksum(checksum, userId) {
+    const result = await this.query(
+      `SELECT d.* FROM documents d
+       JOIN valuation_reports r ON r.id = d.report_id
+       WHERE d.checksum_sha256 = $1 AND d.deleted_at IS NULL AND r.deleted_at IS NULL
+         AND d.extracted_data->>'ocr_status' = 'success'
+         AND d.extracted_data->>'ai_status' = 'success'
+         AND (r.valuer_id = $2 OR EXISTS (
+           SELECT 1 FROM report_reviewers rr WHERE rr.report_id = r.id AND rr.reviewer_id = $2
+         ))
+       ORDER BY d.uploaded_at DESC, d.id DESC
+       LIMIT 1`,
+      [checksum, userId]
+    );
     return result.rows[0];
   }
+
+  async setDocumentThumbnail(id, thumbnailPath) {
+    const result = await this.query('UPDATE documents SET thumbnail_path = $2 WHERE id = $1 RETURNING *', [id, thumbnailPath]);
+    return result.rows[0];
+  }
+
+  async setDocumentProcessedFile(id, processedFilePath) {
+    const result = await this.query('UPDATE documents SET processed_file_path = $2 WHERE id = $1 RETURNING *', [id, processedFilePath]);
+    return result.rows[0];
+  }
+
+  async setDocumentPreprocessingOptions(id, options) {
+    const result = await this.query(
+      'UPDATE documents SET preprocessing_options = $2 WHERE id = $1 RETURNING *',
+      [id, options ? JSON.stringify(options) : null]
+    );
+    return result.rows[0];
+  }
+
+  // Replaces the extraction data and the OCR layout it was read with (cleared when not given)
+  async setDocumentExtraction(id, extractedData, ocrLayout = null) {
+    const result = await this.query(
+      'UPDATE documents SET extracted_data = $2, ocr_layout = $3 WHERE id = $1 RETURNING *',
+      [id, JSON.stringify(extractedData), ocrLayout ? JSON.stringify(ocrLayout) : null]
+    );
+    return result.rows[0];
+  }
+
+  // Permanently removes a soft-deleted document; returns the deleted row or null
+  async purgeDocument(id) {
+    const result = await this.query('DELETE FROM documents WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *', [id]);
+    return result.rows[0] || null;
+  }
+
+  // Processing job methods
+  // A job processes the documents of one upload; each document is a job item that
+  // workers claim, run and either finish or put back in the queue to try again.
+  // Documents in reused_document_ids already carry results copied from an identical file;
+  // their items start out succeeded with stage 'reused'. Runs in the given client's transaction
+  // if there is one, otherwise in its own.
+  async createProcessingJob({ report_id, created_by, document_ids, reused_document_ids = [], max_attempts = 3 }, client = null) {
+    const create = async (runner) => {
+      const result = await runner.query(
+        'INSERT INTO processing_jobs (report_id, created_by) VALUES ($1, $2) RETURNING *',
+        [report_id, created_by]
+      );
+      const job = result.rows[0];
+      await runner.query(
+        `INSERT INTO processing_job_items (job_id, document_id, max_attempts, status, stage, started_at, finished_at)
+         SELECT $1, document_id, $3,
+                CASE WHEN reused THEN 'succeeded' ELSE 'queued' END,
+                CASE WHEN reused THEN 'reused' ELSE 'queued' END,
+                CASE WHEN reused THEN NOW() END,
+                CASE WHEN reused THEN NOW() END
+         FROM (
+           SELECT document_id, document_id = ANY($4::INTEGER[]) AS reused
+           FROM unnest($2::INTEGER[]) AS document_id
+         ) documents`,
+        [job.id, document_ids, max_attempts, reused_document_ids]
+      );
+      return job;
+    };
+    return client ? await create(client) : await this.transaction(create);
+  }
+
+  // Returns the job with its items (and each item's document name), or undefined
+  async getProcessingJob(id) {
+    const result = await this.query('SELECT * FROM processing_jobs WHERE id = $1', [id]);
+    const job = result.rows[0];
+    if (!job) return undefined;
+
+    const items = await this.query(
+      `SELECT i.*, d.file_name, d.file_type, d.file_size
+       FROM processing_job_items i
+       JOIN documents d ON d.id = i.document_id
+       WHERE i.job_id = $1
+       ORDER BY i.id`,
+      [id]
+    );
+    return { ...job, items: items.rows };
+  }
+
+  async getProcessingJobsByReport(reportId, { limit = 20 } = {}) {
+    const result = await this.query(
+      'SELECT * FROM processing_jobs WHERE report_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+      [reportId, limit]
+    );
+    return result.rows;
+  }
+
+  async isDocumentProcessing(documentId) {
+    const result = await this.query(
+      `SELECT 1 FROM processing_job_items WHERE document_id = $1 AND status IN ('queued', 'running') LIMIT 1`,
+      [documentId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Claims the next queued item that is due. SKIP LOCKED lets several workers (and
+  // several server instances) poll the same queue without handing out an item twice.
+  async claimProcessingJobItem(workerId) {
+    return await this.transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE processing_job_items
+         SET status = 'running', stage = 'starting', attempts = attempts + 1,
+             locked_by = $1, locked_at = NOW(), started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+         WHERE id = (
+           SELECT id FROM processing_job_items
+           WHERE status = 'queued' AND run_after <= NOW()
+           ORDER BY run_after, id
+           FOR UPDATE SKIP LOCKED
+           LIMIT 1
+         )
+         RETURNING *`,
+        [workerId]
+      );
+      const item = result.rows[0];
+      if (item) {
+        await client.query(
+          `UPDATE processing_jobs
+           SET status = 'running', started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+           WHERE id = $1 AND status = 'queued'`,
+          [item.job_id]
+        );
+      }
+      return item;
+    });
+  }
+
+  // Records progress; locked_at doubles as a heartbeat for stale item recovery
+  async setProcessingJobItemStage(id, stage) {
+    await this.query(
+      'UPDATE processing_job_items SET stage = $2, locked_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [id, stage]
+    );
+  }
+
+  async finishProcessingJobItem(id, { status, error = null }) {
+    const result = await this.query(
+      `UPDATE processing_job_items
+       SET status = $2, stage = $2, error = $3, locked_by = NULL, locked_at = NULL,
+           finished_at = NOW(), updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [id, status, error]
+    );
+    return result.rows[0];
+  }
+
+  // Puts an item back in the queue to be tried again after delaySeconds
+  async requeueProcessingJobItem(id, { error, delaySeconds }) {
+    const result = await this.query(
+      `UPDATE processing_job_items
+       SET status = 'queued', stage = 'queued', error = $2, locked_by = NULL, locked_at = NULL,
+           run_after = NOW() + make_interval(secs => $3), updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [id, error, delaySeconds]
+    );
+    return result.rows[0];
+  }
+
+  // Items whose worker stopped sending heartbeats (e.g. the server restarted mid-document)
+  // are queued again, or failed once they have used all their attempts
+  async releaseStaleProcessingJobItems(staleSeconds) {
+    const result = await this.query(
+      `UPDATE processing_job_items
+       SET status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+           stage = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+           error = 'Processing was interrupted',
+           finished_at = CASE WHEN attempts < max_attempts THEN NULL ELSE NOW() END,
+           locked_by = NULL, locked_at = NULL, run_after = NOW(), updated_at = NOW()
+       WHERE status = 'running' AND locked_at < NOW() - make_interval(secs => $1)
+       RETURNING *`,
+      [staleSeconds]
+    );
+    return result.rows;
+  }
+
+  // Jobs whose items have all finished but which have not been completed yet
+  async getUnfinishedProcessingJobIds(staleSeconds) {
+    const result = await this.query(
+      `SELECT j.id FROM processing_jobs j
+       WHERE j.status IN ('queued', 'running')
+         AND (j.finished_at IS NULL OR j.finished_at < NOW() - make_interval(secs => $1))
+         AND NOT EXISTS (
+           SELECT 1 FROM processing_job_items i
+           WHERE i.job_id = j.id AND i.status IN ('queued', 'running')
+         )`,
+      [staleSeconds]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  // Claims a job for completion once none of its items are queued or running. Only one
+  // caller gets the row back; finished_at marks the claim until completeProcessingJob
+  // sets the final status, and a claim older than staleSeconds can be taken over.
+  async claimProcessingJobCompletion(id, staleSeconds) {
+    const result = await this.query(
+      `UPDATE processing_jobs j
+       SET finished_at = NOW(), updated_at = NOW()
+       WHERE j.id = $1
+         AND j.status IN ('queued', 'running')
+         AND (j.finished_at IS NULL OR j.finished_at < NOW() - make_interval(secs => $2))
+         AND NOT EXISTS (
+           SELECT 1 FROM processing_job_items i
+           WHERE i.job_id = j.id AND i.status IN ('queued', 'running')
+         )
+       RETURNING *`,
+      [id, staleSeconds]
+    );
+    return result.rows[0];
+  }
+
+  async completeProcessingJob(id, { status, result }) {
+    const updated = await this.query(
+      `UPDATE processing_jobs SET status = $2, result = $3, finished_at = NOW(), updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [id, status, JSON.stringify(result)]
+    );
+    return updated.rows[0];
+  }
+
+  // Queues failed items (all of them, or only those for documentIds) for another run and
+  // reopens the job. Returns the number of items queued, or null while the job is still active.
+  async retryProcessingJobItems(jobId, documentIds = null) {
+    return await this.transaction(async (client) => {
+      const job = await client.query(
+        'SELECT status FROM processing_jobs WHERE id = $1 FOR UPDATE',
+        [jobId]
+      );
+      if (!job.rows[0] || ['queued', 'running'].includes(job.rows[0].status)) {
+        return null;
+      }
+
+      const items = await client.query(
+        `UPDATE processing_job_items
+         SET status = 'queued', stage = 'queued', attempts = 0, error = NULL, run_after = NOW(),
+             started_at = NULL, finished_at = NULL, updated_at = NOW()
+         WHERE job_id = $1 AND status = 'failed'
+           AND ($2::INTEGER[] IS NULL OR document_id = ANY($2))
+         RETURNING id`,
+        [jobId, documentIds]
+      );
+      if (items.rowCount > 0) {
+        await client.query(
+          `UPDATE processing_jobs SET status = 'queued', finished_at = NULL, updated_at = NOW()
+           WHERE id = $1`,
+          [jobId]
+        );
+      }
+      return items.rowCount;
+    });
+  }
+
+  // Search methods
+  // Full-text search over the reports a user may read and the OCR text of their documents.
+  // query uses web search syntax ("exact phrase", or, -exclude). Snippets mark matches with
+  // <mark></mark> around otherwise unescaped text.
+  async search(query, { userId, includeAssigned = false, types = ['reports', 'documents'], limit = 10 }) {
+    const headline = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "';
+    const readable = `(r.valuer_id = $1${includeAssigned
+      ? ' OR EXISTS (SELECT 1 FROM report_reviewers rr WHERE rr.report_id = r.id AND rr.reviewer_id = $1)'
+      : ''})`;
+    const results = { reports: [], documents: [] };
+
+    if (types.includes('reports')) {
+      const result = await this.query(
+        `SELECT r.id, r.report_reference, r.client_reference, r.property_address, r.status,
+                r.created_at, r.updated_at, r.archived_at,
+                ts_rank(s.search_vector, q) AS rank,
+                ts_headline('simple', s.search_text, q, $3) AS snippet
+         FROM report_search s
+         JOIN valuation_reports r ON r.id = s.report_id
+         CROSS JOIN websearch_to_tsquery('simple', $2) q
+         WHERE s.search_vector @@ q AND r.deleted_at IS NULL AND ${readable}
+         ORDER BY rank DESC, r.updated_at DESC
+         LIMIT $4`,
+        [userId, query, headline, limit]
+      );
+      results.reports = result.rows;
+    }
+
+    if (types.includes('documents')) {
+      const result = await this.query(
+        `SELECT d.id, d.report_id, d.file_name, d.file_type, d.uploaded_at, r.report_reference,
+                ts_rank(${this.documentSearchVector}, q) AS rank,
+                ts_headline('simple', COALESCE(d.extracted_data->>'extracted_text', ''), q, $3) AS snippet
+         FROM documents d
+         JOIN valuation_reports r ON r.id = d.report_id
+         CROSS JOIN websearch_to_tsquery('simple', $2) q
+         WHERE ${this.documentSearchVector} @@ q AND d.deleted_at IS NULL AND r.deleted_at IS NULL AND ${readable}
+         ORDER BY rank DESC, d.uploaded_at DESC
+         LIMIT $4`,
+        [userId, query, headline, limit]
+      );
+      results.documents = result.rows;
+    }
+
+    return results;
+  }
+
+  // Audit log methods
+  async createAuditLog(entry) {
+    const {
+      actor_id, actor_role, firm_id, action, target_type, target_id,
+      changes, metadata, ip_address, user_agent
+    } = entry;
+    const result = await this.query(
+      `INSERT INTO audit_logs (actor_id, actor_role, firm_id, action, target_type, target_id,
+                               changes, metadata, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [actor_id, actor_role, firm_id, action, target_type, target_id,
+        changes ? JSON.stringify(changes) : null, metadata ? JSON.stringify(metadata) : null,
+        ip_address, user_agent]
+    );
+    return result.rows[0];
+  }
+
+  // Filters are all optional. action ending in '.*' matches a prefix (e.g. 'report.*');
+  // field matches entries whose diff touched that path or anything below it. Prefixes are
+  // compared literally (not with LIKE), so _ and % in field names match only themselves.
+  async getAuditLogs(filters = {}) {
+    const { actor_id, firm_id, action, target_type, target_id, field, from, to, limit = 50, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (actor_id) add('actor_id = ?', actor_id);
+    if (firm_id) add('firm_id = ?', firm_id);
+    if (action) {
+      if (action.endsWith('.*')) add('starts_with(action, ?)', action.slice(0, -1));
+      else add('action = ?', action);
+    }
+    if (target_type) add('target_type = ?', target_type);
+    if (target_id) add('target_id = ?', String(target_id));
+    if (field) {
+      params.push(field);
+      const p = `$${params.length}`;
+      conditions.push(`EXISTS (SELECT 1 FROM jsonb_object_keys(changes) AS k WHERE k = ${p} OR starts_with(k, ${p} || '.'))`);
+    }
+    if (from) add('created_at >= ?', from);
+    if (to) add('created_at <= ?', to);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const count = await this.query(`SELECT COUNT(*)::int AS total FROM audit_logs ${where}`, params);
+    const result = await this.query(
+      `SELECT * FROM audit_logs ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return { entries: result.rows, total: count.rows[0].total };
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,138 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const templates = require('./emailTemplates');
+
+// Transports share one interface: async send({ from, to, subject, text, html }) -> { messageId }
+
+class SmtpTransport {
+  constructor() {
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+// Writes each message as a JSON file so developers can open verification links locally
+class FileTransport {
+  constructor(outboxDir) {
+    this.outboxDir = outboxDir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(this.outboxDir, `${messageId}.json`);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    console.log(`📧 Email written to ${filePath}`);
+    return { messageId };
+  }
+}
+
+// Keeps messages in memory for tests
+class MemoryTransport {
+  constructor() {
+    this.outbox = [];
+  }
+
+  async send(message) {
+    const messageId = `memory-${this.outbox.length + 1}`;
+    this.outbox.push({ ...message, messageId, sentAt: new Date().toISOString() });
+    return { messageId };
+  }
+}
+
+class EmailService {
+  constructor() {
+    this.from = process.env.EMAIL_FROM || process.env.SMTP_USER || 'no-reply@localhost';
+    this.backendUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3001}`;
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    this.setTransport(this.createTransport(process.env.EMAIL_TRANSPORT || this.defaultTransportName()));
+  }
+
+  defaultTransportName() {
+    if (process.env.NODE_ENV === 'production') return 'smtp';
+    if (process.env.NODE_ENV === 'test') return 'memory';
+    return 'file';
+  }
+
+  createTransport(name) {
+    switch (name) {
+      case 'smtp':
+        if (!process.env.SMTP_HOST) {
+          console.warn('⚠️ SMTP_HOST not set. Emails will fail to send.');
+        }
+        return new SmtpTransport();
+      case 'file':
+        return new FileTransport(process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, 'tmp', 'outbox'));
+      case 'memory':
+        return new MemoryTransport();
+      default:
+        throw new Error(`Unknown email transport: ${name}`);
+    }
+  }
+
+  // Swap the transport at runtime, e.g. to a MemoryTransport in tests
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getOutbox() {
+    return this.transport.outbox || [];
+  }
+
+  async send(to, { subject, text, html }) {
+    const result = await this.transport.send({ from: this.from, to, subject, text, html });
+    console.log(`📧 Email sent to ${to}: ${subject}`);
+    return result;
+  }
+
+  buildVerificationUrl(email, token) {
+    const params = new URLSearchParams({ email, token });
+    return `${this.backendUrl}/api/auth/verify-email?${params.toString()}`;
+  }
+
+  async sendVerificationEmail(user, { token, expiresAt }) {
+    return await this.send(user.email, templates.verificationEmail({
+      fullName: user.full_name,
+      verifyUrl: this.buildVerificationUrl(user.email, token),
+      expiresInHours: Math.round((new Date(expiresAt) - Date.now()) / (60 * 60 * 1000))
+    }));
+  }
+
+  async sendPasswordResetEmail(user, { token, expiresAt }) {
+    const params = new URLSearchParams({ reset_token: token });
+    return await this.send(user.email, templates.passwordResetEmail({
+      fullName: user.full_name,
+      resetUrl: `${this.frontendUrl}/login?${params.toString()}`,
+      expiresInMinutes: Math.round((new Date(expiresAt) - Date.now()) / (60 * 1000))
+    }));
+  }
+
+  async sendNotification(user, { title, message, actionPath, actionLabel }) {
+    return await this.send(user.email, templates.notificationEmail({
+      fullName: user.full_name,
+      title,
+      message,
+      actionUrl: actionPath ? `${this.frontendUrl}${actionPath}` : null,
+      actionLabel
+    }));
+  }
+}
+
+// Export singleton instance
+const emailService = new EmailService();
+emailService.MemoryTransport = MemoryTransport;
+module.exports = emailService;
\ No newline at end of file
@@ -0,0 +1,89 @@
+// Email templates. Each template returns { subject, text, html } for the email service.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (title, bodyHtml) => `
+<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #1f4e79;">🏠 ${escapeHtml(title)}</h2>
+    ${bodyHtml}
+    <p style="font-size: 12px; color: #888; margin-top: 30px;">
+      AI-Powered Valuation System | IVSL-Compliant • Secure • Professional
+    </p>
+  </body>
+</html>`;
+
+const button = (url, label) => `
+    <p>
+      <a href="${escapeHtml(url)}" style="display: inline-block; padding: 12px 24px; background: #4ECDC4; color: white; text-decoration: none; border-radius: 8px;">
+        ${escapeHtml(label)}
+      </a>
+    </p>
+    <p style="font-size: 13px;">Or copy this link into your browser:<br/>${escapeHtml(url)}</p>`;
+
+function verificationEmail({ fullName, verifyUrl, expiresInHours }) {
+  return {
+    subject: 'Verify your email address',
+    text: [
+      `Dear ${fullName},`,
+      '',
+      'Thank you for registering with the AI-Powered Valuation System.',
+      'Please verify your email address by opening the link below:',
+      '',
+      verifyUrl,
+      '',
+      `This link expires in ${expiresInHours} hours. If you did not register, you can ignore this email.`
+    ].join('\n'),
+    html: layout('Verify your email address', `
+    <p>Dear ${escapeHtml(fullName)},</p>
+    <p>Thank you for registering with the AI-Powered Valuation System. Please verify your email address to activate your account.</p>
+    ${button(verifyUrl, 'Verify Email Address')}
+    <p>This link expires in ${escapeHtml(expiresInHours)} hours. If you did not register, you can ignore this email.</p>`)
+  };
+}
+
+function passwordResetEmail({ fullName, resetUrl, expiresInMinutes }) {
+  return {
+    subject: 'Reset your password',
+    text: [
+      `Dear ${fullName},`,
+      '',
+      'We received a request to reset the password for your valuer account.',
+      'Open the link below to choose a new password:',
+      '',
+      resetUrl,
+      '',
+      `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request a password reset, you can ignore this email.'
+    ].join('\n'),
+    html: layout('Reset your password', `
+    <p>Dear ${escapeHtml(fullName)},</p>
+    <p>We received a request to reset the password for your valuer account.</p>
+    ${button(resetUrl, 'Choose a New Password')}
+    <p>This link expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once.
+    If you did not request a password reset, you can ignore this email.</p>`)
+  };
+}
+
+function notificationEmail({ fullName, title, message, actionUrl, actionLabel }) {
+  return {
+    subject: title,
+    text: [
+      `Dear ${fullName},`,
+      '',
+      message,
+      ...(actionUrl ? ['', actionUrl] : [])
+    ].join('\n'),
+    html: layout(title, `
+    <p>Dear ${escapeHtml(fullName)},</p>
+    <p>${escapeHtml(message)}</p>
+    ${actionUrl ? button(actionUrl, actionLabel || 'Open') : ''}`)
+  };
+}
+
+module.exports = { verificationEmail, passwordResetEmail, notificationEmail };
\ No newline at end of file
@@ -0,0 +1,213 @@
+const sharp = require('sharp');
+
+// Cleans up photographed and scanned images before OCR. Phone photos of old deeds are often
+// rotated, skewed or faded, which hurts DOCUMENT_TEXT_DETECTION badly. Steps, in order:
+// - rotate: apply the EXIF orientation
+// - downscale: shrink images larger than max_dimension on either side
+// - normalize: grayscale and stretch contrast to the full range
+// - denoise: a 3x3 median filter against sensor noise and paper grain
+// - deskew: find the text angle from row projections and straighten it
+// - binarize: black and white with an Otsu threshold. Off by default: a single threshold loses
+//   faint strokes on unevenly lit photos, so it is best enabled per document for flat, faded scans.
+// PDFs and multi-page TIFFs go to Vision as they are.
+class ImagePreprocessingService {
+  constructor() {
+    this.defaults = {
+      enabled: true,
+      rotate: true,
+      downscale: true,
+      normalize: true,
+      denoise: true,
+      deskew: true,
+      binarize: false,
+      max_dimension: 3000
+    };
+    this.contentType = 'image/png';
+    // Skew is searched within ±maxSkewDegrees; smaller angles than minSkewDegrees are left alone
+    this.maxSkewDegrees = 15;
+    this.minSkewDegrees = 0.3;
+    // Width of the downscaled copy used to measure skew
+    this.analysisWidth = 800;
+  }
+
+  supports(mimeType) {
+    return ['image/jpeg', 'image/png', 'image/tiff'].includes(mimeType);
+  }
+
+  // Returns an error message, or null if options is a valid (partial) set of preprocessing options
+  validateOptions(options) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      return 'Preprocessing options must be an object';
+    }
+    for (const [key, value] of Object.entries(options)) {
+      if (!(key in this.defaults)) {
+        return `Unknown preprocessing option ${key}; use ${Object.keys(this.defaults).join(', ')}`;
+      }
+      if (key === 'max_dimension') {
+        if (!Number.isInteger(value) || value < 500 || value > 10000) {
+          return 'max_dimension must be a whole number of pixels between 500 and 10000';
+        }
+      } else if (typeof value !== 'boolean') {
+        return `${key} must be true or false`;
+      }
+    }
+    return null;
+  }
+
+  // Document options over the defaults
+  resolveOptions(options) {
+    return { ...this.defaults, ...(options || {}) };
+  }
+
+  // Otsu's method: the threshold that best separates the histogram into two classes
+  otsuThreshold(pixels) {
+    const histogram = new Array(256).fill(0);
+    for (const value of pixels) histogram[value]++;
+
+    const total = pixels.length;
+    const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+    let backgroundSum = 0;
+    let backgroundCount = 0;
+    let bestThreshold = 128;
+    let bestVariance = -1;
+
+    for (let threshold = 0; threshold < 256; threshold++) {
+      backgroundCount += histogram[threshold];
+      if (backgroundCount === 0) continue;
+      const foregroundCount = total - backgroundCount;
+      if (foregroundCount === 0) break;
+
+      backgroundSum += threshold * histogram[threshold];
+      const backgroundMean = backgroundSum / backgroundCount;
+      const foregroundMean = (sum - backgroundSum) / foregroundCount;
+      const variance = backgroundCount * foregroundCount * (backgroundMean - foregroundMean) ** 2;
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        bestThreshold = threshold;
+      }
+    }
+    return bestThreshold;
+  }
+
+  // Text lines are sharpest when dark pixels are projected along their angle: the row
+  // histogram is then most peaked, which the sum of squared row counts rewards
+  projectionScore(points, width, height, degrees) {
+    const radians = (degrees * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Int32Array(height + 2 * width + 1);
+
+    for (let i = 0; i < points.length; i += 2) {
+      rows[Math.round(points[i + 1] * cos - points[i] * sin) + width]++;
+    }
+    let score = 0;
+    for (const count of rows) score += count * count;
+    return score;
+  }
+
+  // Skew of the text in degrees, positive when lines run downhill from left to right
+  async estimateSkew(buffer) {
+    const { data, info } = await sharp(buffer)
+      .resize({ width: this.analysisWidth, withoutEnlargement: true })
+      .grayscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const threshold = this.otsuThreshold(data);
+    const points = [];
+    for (let y = 0; y < info.height; y++) {
+      for (let x = 0; x < info.width; x++) {
+        if (data[y * info.width + x] < threshold) points.push(x, y);
+      }
+    }
+    // A blank page, or one that is mostly ink, has no lines to measure
+    const darkShare = points.length / 2 / (info.width * info.height);
+    if (darkShare < 0.001 || darkShare > 0.5) return 0;
+
+    const search = (from, to, step, best) => {
+      for (let degrees = from; degrees <= to + 1e-9; degrees += step) {
+        const score = this.projectionScore(points, info.width, info.height, degrees);
+        if (score > best.score) {
+          best.score = score;
+          best.degrees = degrees;
+        }
+      }
+      return best;
+    };
+
+    const coarse = search(-this.maxSkewDegrees, this.maxSkewDegrees, 1, { degrees: 0, score: -1 });
+    const fine = search(coarse.degrees - 1, coarse.degrees + 1, 0.1, { ...coarse });
+    return Math.round(fine.degrees * 10) / 10;
+  }
+
+  // Returns { buffer, contentType, summary } with the processed PNG, or null when the image is
+  // not preprocessed (unsupported type, a multi-page TIFF or preprocessing disabled)
+  async process(buffer, mimeType, options) {
+    const settings = this.resolveOptions(options);
+    if (!settings.enabled || !this.supports(mimeType)) return null;
+
+    const metadata = await sharp(buffer).metadata();
+    if ((metadata.pages || 1) > 1) return null;
+
+    const steps = [];
+    let pipeline = sharp(buffer);
+    if (settings.rotate) {
+      pipeline = pipeline.rotate();
+      if (metadata.orientation && metadata.orientation !== 1) steps.push('rotate');
+    }
+    if (settings.downscale) {
+      pipeline = pipeline.resize({
+        width: settings.max_dimension,
+        height: settings.max_dimension,
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+      if (Math.max(metadata.width, metadata.height) > settings.max_dimension) steps.push('downscale');
+    }
+    pipeline = pipeline.flatten({ background: '#ffffff' }).grayscale();
+    if (settings.normalize) {
+      pipeline = pipeline.normalise();
+      steps.push('normalize');
+    }
+    if (settings.denoise) {
+      pipeline = pipeline.median(3);
+      steps.push('denoise');
+    }
+    let image = await pipeline.png().toBuffer();
+
+    let skewAngle = 0;
+    if (settings.deskew) {
+      skewAngle = await this.estimateSkew(image);
+      if (Math.abs(skewAngle) >= this.minSkewDegrees) {
+        image = await sharp(image).rotate(-skewAngle, { background: '#ffffff' }).png().toBuffer();
+        steps.push('deskew');
+      }
+    }
+
+    let threshold = null;
+    if (settings.binarize) {
+      const { data } = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+      threshold = this.otsuThreshold(data);
+      image = await sharp(image).threshold(threshold).png().toBuffer();
+      steps.push('binarize');
+    }
+
+    const processed = await sharp(image).metadata();
+    return {
+      buffer: image,
+      contentType: this.contentType,
+      summary: {
+        options: settings,
+        steps,
+        skew_angle: skewAngle,
+        threshold,
+        original_size: { width: metadata.width, height: metadata.height },
+        processed_size: { width: processed.width, height: processed.height }
+      }
+    };
+  }
+}
+
+// Export singleton instance
+const imagePreprocessingService = new ImagePreprocessingService();
+module.exports = imagePreprocessingService;
\ No newline at end of file
@@ -1,86 +1,81 @@
-// Database migration script to add enhanced user fields
-const { Pool } = require('pg');
+// Database migration CLI. Applies or reverts the numbered migrations in migrations/.
+//
+// Usage:
+//   node migrate-database.js [up] [--to=<version>] [--dry-run]   apply pending migrations
+//   node migrate-database.js down [--steps=<n> | --to=<version>] [--dry-run]
+//   node migrate-database.js status
+require('dotenv').config();
+const migrationRunner = require('./migrationRunner');
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
-
-async function migrateDatabase() {
-  const client = await pool.connect();
-
-  try {
-    console.log('🔄 Starting database migration...');
-
-    await client.query('BEGIN');
+// Apply pending migrations (used by POST /api/db/migrate)
+async function migrateDatabase(options = {}) {
+  console.log('🔄 Starting database migration...');
+  const result = await migrationRunner.migrate(options);
+  console.log(result.dryRun ? '🔍 Dry run complete - no changes were saved' : '✅ Database migration completed successfully!');
+  return result;
+}
 
-    // Add new columns to users table
-    const alterQueries = [
-      // Personal Details
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS honorable VARCHAR(10)`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS qualifications JSONB`,
+async function rollbackDatabase(options = {}) {
+  console.log('🔄 Rolling back database migrations...');
+  const result = await migrationRunner.rollback(options);
+  console.log(result.dryRun ? '🔍 Dry run complete - no changes were saved' : '✅ Database rollback completed successfully!');
+  return result;
+}
 
-      // Professional Registration
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS professional_status VARCHAR(255)`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS ivsl_membership_type VARCHAR(50)`,
+function parseArgs(argv) {
+  const options = { command: 'up', dryRun: false, to: null, steps: 1 };
 
-      // Contact Information
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS house_number VARCHAR(50)`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS street_name VARCHAR(255)`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS area_name VARCHAR(255)`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS city VARCHAR(100)`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS district VARCHAR(100)`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_number VARCHAR(20)`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS mobile_number VARCHAR(20)`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS alternative_contact VARCHAR(20)`,
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--to=')) {
+      options.to = parseInt(arg.slice('--to='.length), 10);
+    } else if (arg.startsWith('--steps=')) {
+      options.steps = parseInt(arg.slice('--steps='.length), 10);
+    } else if (!arg.startsWith('--')) {
+      options.command = arg;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
 
-      // Professional Files
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS signature_path VARCHAR(500)`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS letterhead_path VARCHAR(500)`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_picture_path VARCHAR(500)`,
+  if (Number.isNaN(options.to) || Number.isNaN(options.steps) || options.steps < 1) {
+    throw new Error('--to and --steps must be numbers (--steps at least 1)');
+  }
+  return options;
+}
 
-      // Account Management
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT FALSE`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verification_token VARCHAR(255)`,
-      `ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE`
-    ];
+async function main(argv) {
+  const { command, dryRun, to, steps } = parseArgs(argv);
 
-    for (const query of alterQueries) {
-      try {
-        await client.query(query);
-        console.log(`✅ ${query.split('ADD COLUMN IF NOT EXISTS')[1]?.split(' ')[1] || 'Column'} added successfully`);
-      } catch (error) {
-        if (error.message.includes('already exists')) {
-          console.log(`⚠️ Column already exists: ${query.split('ADD COLUMN IF NOT EXISTS')[1]?.split(' ')[1]}`);
-        } else {
-          throw error;
-        }
-      }
+  if (command === 'up') {
+    const result = await migrateDatabase({ dryRun, to });
+    if (dryRun) result.statements.forEach(statement => console.log(`${statement};\n`));
+  } else if (command === 'down') {
+    const result = await rollbackDatabase({ dryRun, to, steps });
+    if (dryRun) result.statements.forEach(statement => console.log(`${statement};\n`));
+  } else if (command === 'status') {
+    const { migrations, missing } = await migrationRunner.status();
+    for (const migration of migrations) {
+      const appliedAt = migration.applied_at ? new Date(migration.applied_at).toISOString() : '';
+      console.log(`${migration.applied ? '✅' : '⏳'} ${migration.name} ${appliedAt}`);
     }
-
-    await client.query('COMMIT');
-    console.log('✅ Database migration completed successfully!');
-
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('❌ Database migration failed:', error);
-    throw error;
-  } finally {
-    client.release();
+    for (const row of missing) {
+      console.log(`⚠️ ${row.name} is applied but its migration file is missing`);
+    }
+  } else {
+    throw new Error(`Unknown command "${command}". Use up, down or status.`);
   }
 }
 
-module.exports = { migrateDatabase };
+module.exports = { migrateDatabase, rollbackDatabase };
 
 // Run migration if called directly
 if (require.main === module) {
-  migrateDatabase()
-    .then(() => {
-      console.log('🎉 Migration complete!');
-      process.exit(0);
-    })
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
     .catch((error) => {
-      console.error('💥 Migration failed:', error);
+      console.error('💥 Migration failed:', error.message);
       process.exit(1);
     });
 }
\ No newline at end of file
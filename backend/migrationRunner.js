@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./database');
+
+// Arbitrary key for pg_advisory_lock so two instances never migrate at the same time
+const MIGRATION_LOCK_KEY = 72410310;
+
+// Applies the numbered files in migrations/ (NNN_name.js exporting { description, up, down })
+// and records each applied version in schema_migrations.
+class MigrationRunner {
+  constructor(migrationsDir = path.join(__dirname, 'migrations')) {
+    this.migrationsDir = migrationsDir;
+  }
+
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+      .map(file => {
+        const migration = require(path.join(this.migrationsDir, file));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+          throw new Error(`Migration ${file} must export up and down functions`);
+        }
+        return {
+          version: parseInt(file.split('_')[0], 10),
+          name: file.replace(/\.js$/, ''),
+          description: migration.description || '',
+          up: migration.up,
+          down: migration.down
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}`);
+      }
+    }
+    return migrations;
+  }
+
+  async ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+  }
+
+  async getAppliedMigrations(client) {
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+  }
+
+  // Every known migration with whether it has been applied, plus applied versions whose file is gone
+  async status() {
+    return await this.withLock(async (client) => {
+      const applied = await this.getAppliedMigrations(client);
+      const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+      const migrations = this.loadMigrations();
+      const knownVersions = new Set(migrations.map(m => m.version));
+
+      return {
+        migrations: migrations.map(m => ({
+          version: m.version,
+          name: m.name,
+          description: m.description,
+          applied: appliedByVersion.has(m.version),
+          applied_at: appliedByVersion.get(m.version)?.applied_at || null
+        })),
+        missing: applied.filter(row => !knownVersions.has(row.version))
+      };
+    });
+  }
+
+  // Apply pending migrations up to and including `to` (default: all).
+  // Each migration runs in its own transaction. With dryRun every pending migration
+  // runs inside one transaction that is rolled back, and the SQL it issued is returned.
+  async migrate({ dryRun = false, to = null } = {}) {
+    return await this.withLock(async (client) => {
+      const appliedVersions = new Set((await this.getAppliedMigrations(client)).map(row => row.version));
+      const pending = this.loadMigrations()
+        .filter(m => !appliedVersions.has(m.version) && (to === null || m.version <= to));
+
+      if (pending.length === 0) {
+        console.log('✅ Database schema is up to date');
+        return { direction: 'up', dryRun, migrations: [] };
+      }
+
+      return await this.run(client, pending, 'up', dryRun);
+    });
+  }
+
+  // Revert the last `steps` applied migrations, or every migration above version `to`
+  async rollback({ dryRun = false, steps = 1, to = null } = {}) {
+    return await this.withLock(async (client) => {
+      const migrationsByVersion = new Map(this.loadMigrations().map(m => [m.version, m]));
+      const applied = (await this.getAppliedMigrations(client)).reverse();
+      const targets = to !== null
+        ? applied.filter(row => row.version > to)
+        : applied.slice(0, steps);
+
+      const missing = targets.filter(row => !migrationsByVersion.has(row.version));
+      if (missing.length > 0) {
+        throw new Error(`Cannot roll back ${missing.map(row => row.name).join(', ')}: migration file not found`);
+      }
+
+      if (targets.length === 0) {
+        console.log('✅ Nothing to roll back');
+        return { direction: 'down', dryRun, migrations: [] };
+      }
+
+      return await this.run(client, targets.map(row => migrationsByVersion.get(row.version)), 'down', dryRun);
+    });
+  }
+
+  async run(client, migrations, direction, dryRun) {
+    const statements = [];
+    // In dry-run mode record the SQL each migration issues
+    const migrationClient = dryRun
+      ? { query: (text, params) => { statements.push(text.trim()); return client.query(text, params); } }
+      : client;
+
+    const record = async (migration) => {
+      if (direction === 'up') {
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+    };
+
+    if (dryRun) {
+      await client.query('BEGIN');
+      try {
+        for (const migration of migrations) {
+          console.log(`🔍 [dry run] ${direction} ${migration.name}`);
+          await migration[direction](migrationClient);
+          await record(migration);
+        }
+      } finally {
+        await client.query('ROLLBACK');
+      }
+    } else {
+      for (const migration of migrations) {
+        console.log(`🔄 Migrating ${direction}: ${migration.name}`);
+        await client.query('BEGIN');
+        try {
+          await migration[direction](client);
+          await record(migration);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          console.error(`❌ Migration ${migration.name} failed:`, error);
+          throw error;
+        }
+        console.log(`✅ ${migration.name} ${direction === 'up' ? 'applied' : 'rolled back'}`);
+      }
+    }
+
+    return {
+      direction,
+      dryRun,
+      migrations: migrations.map(m => ({ version: m.version, name: m.name, description: m.description })),
+      ...(dryRun ? { statements } : {})
+    };
+  }
+
+  // Run callback(client) on one connection holding the migration lock
+  async withLock(callback) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      await this.ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+  }
+}
+
+// Export singleton instance
+const migrationRunner = new MigrationRunner();
+module.exports = migrationRunner;
\ No newline at end of file
@@ -0,0 +1,114 @@
+// Users, valuation reports and documents as they existed before versioned migrations.
+// Uses IF NOT EXISTS throughout so databases created by the old initializeSchema
+// or migrate-database.js can adopt the migration history without changes.
+
+// Columns added to users by the original migrate-database.js
+const legacyUserColumns = [
+  ['honorable', 'VARCHAR(10)'],
+  ['qualifications', 'JSONB'],
+  ['professional_status', 'VARCHAR(255)'],
+  ['ivsl_membership_type', 'VARCHAR(50)'],
+  ['house_number', 'VARCHAR(50)'],
+  ['street_name', 'VARCHAR(255)'],
+  ['area_name', 'VARCHAR(255)'],
+  ['city', 'VARCHAR(100)'],
+  ['district', 'VARCHAR(100)'],
+  ['phone_number', 'VARCHAR(20)'],
+  ['mobile_number', 'VARCHAR(20)'],
+  ['alternative_contact', 'VARCHAR(20)'],
+  ['signature_path', 'VARCHAR(500)'],
+  ['letterhead_path', 'VARCHAR(500)'],
+  ['profile_picture_path', 'VARCHAR(500)'],
+  ['email_verified', 'BOOLEAN DEFAULT FALSE'],
+  ['email_verification_token', 'VARCHAR(255)'],
+  ['is_active', 'BOOLEAN DEFAULT TRUE']
+];
+
+module.exports = {
+  description: 'Create users, valuation_reports and documents tables',
+
+  async up(client) {
+    // Users table - Enhanced with IVSL professional fields
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+
+        -- Personal Details (based on planning/document-analysis.md lines 14-22)
+        honorable VARCHAR(10),
+        full_name VARCHAR(255) NOT NULL,
+        professional_title VARCHAR(255),
+        qualifications JSONB,
+
+        -- Professional Registration (lines 23-27)
+        ivsl_registration VARCHAR(100),
+        professional_status VARCHAR(255),
+        ivsl_membership_type VARCHAR(50),
+
+        -- Contact Information (lines 28-35)
+        house_number VARCHAR(50),
+        street_name VARCHAR(255),
+        area_name VARCHAR(255),
+        city VARCHAR(100),
+        district VARCHAR(100),
+        phone_number VARCHAR(20),
+        mobile_number VARCHAR(20),
+        alternative_contact VARCHAR(20),
+
+        -- Professional Files
+        signature_path VARCHAR(500),
+        letterhead_path VARCHAR(500),
+        profile_picture_path VARCHAR(500),
+
+        -- Account Management
+        email_verified BOOLEAN DEFAULT FALSE,
+        email_verification_token VARCHAR(255),
+        is_active BOOLEAN DEFAULT TRUE,
+
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    for (const [column, type] of legacyUserColumns) {
+      await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+    }
+
+    // Valuation reports table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS valuation_reports (
+        id SERIAL PRIMARY KEY,
+        valuer_id INTEGER REFERENCES users(id),
+        report_reference VARCHAR(100) UNIQUE NOT NULL,
+        client_reference VARCHAR(100),
+        property_address TEXT,
+        gps_coordinates JSONB,
+        status VARCHAR(50) DEFAULT 'draft',
+        report_data JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Documents table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS documents (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER REFERENCES valuation_reports(id),
+        file_name VARCHAR(255) NOT NULL,
+        file_path VARCHAR(500) NOT NULL,
+        file_type VARCHAR(100) NOT NULL,
+        file_size INTEGER,
+        extracted_data JSONB,
+        uploaded_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS documents');
+    await client.query('DROP TABLE IF EXISTS valuation_reports');
+    await client.query('DROP TABLE IF EXISTS users');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,47 @@
+module.exports = {
+  description: 'Add firms, user roles and report reviewers/comments',
+
+  async up(client) {
+    // Firms - valuation practices that group valuers under a firm admin
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS firms (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(30) NOT NULL DEFAULT 'valuer'`);
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS firm_id INTEGER REFERENCES firms(id)');
+
+    // Reviewers assigned to a report get read and comment access
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_reviewers (
+        report_id INTEGER REFERENCES valuation_reports(id),
+        reviewer_id INTEGER REFERENCES users(id),
+        assigned_by INTEGER REFERENCES users(id),
+        assigned_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (report_id, reviewer_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_comments (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER REFERENCES valuation_reports(id),
+        author_id INTEGER REFERENCES users(id),
+        comment TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS report_comments');
+    await client.query('DROP TABLE IF EXISTS report_reviewers');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS firm_id');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS role');
+    await client.query('DROP TABLE IF EXISTS firms');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+module.exports = {
+  description: 'Add email verification expiry and password reset tokens',
+
+  async up(client) {
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verification_expires_at TIMESTAMP');
+
+    // Single-use password reset tokens (stored hashed)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS password_reset_tokens');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS email_verification_expires_at');
+  }
+};
\ No newline at end of file
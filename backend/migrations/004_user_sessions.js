@@ -0,0 +1,24 @@
+module.exports = {
+  description: 'Add login sessions for rotating refresh tokens',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+        previous_token_hash VARCHAR(64),
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT NOW(),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS user_sessions');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,27 @@
+module.exports = {
+  description: 'Add TOTP two-factor authentication and recovery codes',
+
+  async up(client) {
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT');
+
+    // Single-use 2FA recovery codes, stored hashed
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS user_recovery_codes');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS totp_last_used_step');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS totp_enabled');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS totp_secret');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,13 @@
+module.exports = {
+  description: 'Track failed logins for account lockout',
+
+  async up(client) {
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS locked_until');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS failed_login_attempts');
+  }
+};
\ No newline at end of file
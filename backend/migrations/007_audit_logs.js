@@ -0,0 +1,45 @@
+module.exports = {
+  description: 'Add append-only audit log',
+
+  async up(client) {
+    // No foreign keys so entries outlive the rows they describe
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id BIGSERIAL PRIMARY KEY,
+        actor_id INTEGER,
+        actor_role VARCHAR(30),
+        firm_id INTEGER,
+        action VARCHAR(100) NOT NULL,
+        target_type VARCHAR(50),
+        target_id VARCHAR(100),
+        changes JSONB,
+        metadata JSONB,
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_target ON audit_logs (target_type, target_id, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs (actor_id, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs (action, created_at)');
+
+    // Reject UPDATE and DELETE so entries cannot be rewritten after the fact
+    await client.query(`
+      CREATE OR REPLACE FUNCTION audit_logs_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_logs is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs');
+    await client.query(`
+      CREATE TRIGGER audit_logs_append_only BEFORE UPDATE OR DELETE ON audit_logs
+      FOR EACH ROW EXECUTE FUNCTION audit_logs_append_only()
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS audit_logs');
+    await client.query('DROP FUNCTION IF EXISTS audit_logs_append_only()');
+  }
+};
\ No newline at end of file
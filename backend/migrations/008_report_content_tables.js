@@ -0,0 +1,209 @@
+// Normalized report content following planning/report-structure.md sections 1 and 3-12.
+// Column lists mirror reportContentService.sections.
+
+module.exports = {
+  description: 'Add normalized report content tables (parcel, ownership, boundaries, buildings, locality, valuation, client instructions)',
+
+  async up(client) {
+    // 1.0 Preamble
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_client_instructions (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER UNIQUE NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+        instruction_source TEXT,
+        client_designation TEXT,
+        client_organization TEXT,
+        client_address TEXT,
+        instruction_method TEXT,
+        instruction_date DATE,
+        valuation_purpose TEXT,
+        inspection_date DATE,
+        persons_present TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // 3.1, 3.2, 3.4 Property identification, 4.0 Access, 6.0 Description of land
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_parcels (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER UNIQUE NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+
+        -- Location
+        village_name VARCHAR(255),
+        pradeshiya_sabha VARCHAR(255),
+        korale VARCHAR(255),
+        hathpattu VARCHAR(255),
+        divisional_secretariat VARCHAR(255),
+        district VARCHAR(100),
+        province VARCHAR(100),
+        postal_code VARCHAR(20),
+        latitude NUMERIC(9, 6) CHECK (latitude BETWEEN -90 AND 90),
+        longitude NUMERIC(9, 6) CHECK (longitude BETWEEN -180 AND 180),
+
+        -- Legal description
+        lot_number VARCHAR(100),
+        plan_number VARCHAR(100),
+        survey_date DATE,
+        licensed_surveyor VARCHAR(255),
+        approving_authority VARCHAR(255),
+        approval_date DATE,
+        land_name VARCHAR(255),
+        assessment_number VARCHAR(100),
+
+        -- Extent as written, its A-R-P components and totals
+        extent_text TEXT,
+        extent_acres NUMERIC(12, 4) CHECK (extent_acres >= 0),
+        extent_roods NUMERIC(12, 4) CHECK (extent_roods >= 0),
+        extent_perches NUMERIC(12, 4) CHECK (extent_perches >= 0),
+        extent_hectares NUMERIC(12, 4) CHECK (extent_hectares >= 0),
+        extent_total_perches NUMERIC(14, 4) CHECK (extent_total_perches >= 0),
+
+        -- Access
+        route_description TEXT,
+        access_type VARCHAR(100),
+        road_width VARCHAR(100),
+        road_type VARCHAR(100),
+        road_classification VARCHAR(100),
+
+        -- Description of land
+        land_shape VARCHAR(100),
+        topography_type VARCHAR(100),
+        land_use_type VARCHAR(255),
+        frontage VARCHAR(255),
+        soil_type VARCHAR(255),
+        water_table_depth_ft NUMERIC(8, 2) CHECK (water_table_depth_ft >= 0),
+        flood_status VARCHAR(255),
+        plantation_description TEXT,
+
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_report_parcels_plan_lot ON report_parcels (plan_number, lot_number)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_report_parcels_district ON report_parcels (district)');
+
+    // 3.3 Ownership
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_ownership_deeds (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        deed_type VARCHAR(100),
+        deed_number VARCHAR(100),
+        deed_date DATE,
+        notary_public VARCHAR(255),
+        owner_name TEXT,
+        previous_owner TEXT,
+        registration_date DATE,
+        land_registry_folio VARCHAR(100),
+        title_certificate_number VARCHAR(100),
+        nature_of_title VARCHAR(100),
+        encumbrances TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_report_ownership_deeds_report ON report_ownership_deeds (report_id, sort_order)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_report_ownership_deeds_deed ON report_ownership_deeds (deed_number)');
+
+    // 5.0 Boundaries
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_boundaries (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        direction VARCHAR(10) NOT NULL CHECK (direction IN ('north', 'east', 'south', 'west')),
+        boundary TEXT,
+        demarcation VARCHAR(255),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(report_id, direction)
+      )
+    `);
+
+    // 7.0 Description of buildings
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_buildings (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        building_type VARCHAR(255),
+        condition_grade VARCHAR(100),
+        age_years NUMERIC(6, 1) CHECK (age_years >= 0),
+        roof_description TEXT,
+        wall_description TEXT,
+        floor_description TEXT,
+        doors_windows_description TEXT,
+        accommodation TEXT,
+        floor_area_sqft NUMERIC(12, 2) CHECK (floor_area_sqft >= 0),
+        conveniences JSONB,
+        building_rate NUMERIC(14, 2) CHECK (building_rate >= 0),
+        depreciation_rate NUMERIC(5, 2) CHECK (depreciation_rate BETWEEN 0 AND 100),
+        building_value NUMERIC(16, 2) CHECK (building_value >= 0),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_report_buildings_report ON report_buildings (report_id, sort_order)');
+
+    // 8.0 Locality, 9.0 Planning regulations
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_localities (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER UNIQUE NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+        locality_type VARCHAR(100),
+        nearest_town VARCHAR(255),
+        distance_to_town VARCHAR(100),
+        development_level VARCHAR(255),
+        infrastructure_description TEXT,
+        nearby_facilities JSONB,
+        market_demand_analysis TEXT,
+        local_authority VARCHAR(255),
+        street_line_status TEXT,
+        regulatory_compliance_status TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // 10.0 Evidence of value, 11.0 Approach, 12.0 Valuation (LKR, rates per perch)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_valuations (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER UNIQUE NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+        market_evidence_analysis TEXT,
+        min_rate NUMERIC(14, 2) CHECK (min_rate >= 0),
+        max_rate NUMERIC(14, 2) CHECK (max_rate >= 0),
+        rate_factors TEXT,
+        methodology TEXT,
+        approach_justification TEXT,
+        valuation_factors TEXT,
+        adopted_rate NUMERIC(14, 2) CHECK (adopted_rate >= 0),
+        land_extent_perches NUMERIC(14, 4) CHECK (land_extent_perches >= 0),
+        land_rate NUMERIC(14, 2) CHECK (land_rate >= 0),
+        land_value NUMERIC(16, 2) CHECK (land_value >= 0),
+        additional_components JSONB,
+        total_market_value NUMERIC(16, 2) CHECK (total_market_value >= 0),
+        market_value NUMERIC(16, 2) CHECK (market_value >= 0),
+        forced_sale_value NUMERIC(16, 2) CHECK (forced_sale_value >= 0),
+        insurance_value NUMERIC(16, 2) CHECK (insurance_value >= 0),
+        valuation_date DATE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_report_valuations_market_value ON report_valuations (market_value)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS report_valuations');
+    await client.query('DROP TABLE IF EXISTS report_localities');
+    await client.query('DROP TABLE IF EXISTS report_buildings');
+    await client.query('DROP TABLE IF EXISTS report_boundaries');
+    await client.query('DROP TABLE IF EXISTS report_ownership_deeds');
+    await client.query('DROP TABLE IF EXISTS report_parcels');
+    await client.query('DROP TABLE IF EXISTS report_client_instructions');
+  }
+};
\ No newline at end of file
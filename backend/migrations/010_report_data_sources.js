@@ -0,0 +1,12 @@
+module.exports = {
+  description: 'Track where each report_data field came from',
+
+  async up(client) {
+    // Dot path -> { source, document_id, user_id, at }; see reportDataService
+    await client.query(`ALTER TABLE valuation_reports ADD COLUMN IF NOT EXISTS report_data_sources JSONB NOT NULL DEFAULT '{}'`);
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE valuation_reports DROP COLUMN IF EXISTS report_data_sources');
+  }
+};
\ No newline at end of file
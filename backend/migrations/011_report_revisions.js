@@ -0,0 +1,44 @@
+module.exports = {
+  description: 'Add report revision history',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_revisions (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+        revision_number INTEGER NOT NULL,
+
+        -- Snapshot of the report after the change
+        status VARCHAR(50),
+        client_reference VARCHAR(100),
+        property_address TEXT,
+        gps_coordinates JSONB,
+        report_data JSONB,
+        report_data_sources JSONB,
+
+        -- What made the change: created, manual, document, location, mixed, status or restore
+        source VARCHAR(30) NOT NULL,
+        restored_from INTEGER,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(report_id, revision_number)
+      )
+    `);
+
+    // Existing reports start their history at their current state
+    await client.query(`
+      INSERT INTO report_revisions (
+        report_id, revision_number, status, client_reference, property_address,
+        gps_coordinates, report_data, report_data_sources, source, created_by, created_at
+      )
+      SELECT id, 1, status, client_reference, property_address,
+             gps_coordinates, report_data, report_data_sources, 'created', valuer_id, updated_at
+      FROM valuation_reports
+      ON CONFLICT (report_id, revision_number) DO NOTHING
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS report_revisions');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,47 @@
+// Soft delete for reports and documents, archiving of reports, and cascading
+// foreign keys so an admin purge can remove a report with everything attached to it.
+
+const reportChildTables = ['documents', 'report_reviewers', 'report_comments'];
+
+module.exports = {
+  description: 'Add soft delete and archive to reports and documents',
+
+  async up(client) {
+    await client.query('ALTER TABLE valuation_reports ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP');
+    await client.query('ALTER TABLE valuation_reports ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id)');
+    await client.query('ALTER TABLE valuation_reports ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP');
+    await client.query('ALTER TABLE valuation_reports ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id)');
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP');
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id)');
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_valuation_reports_valuer_live ON valuation_reports (valuer_id, created_at) WHERE deleted_at IS NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_documents_report_live ON documents (report_id) WHERE deleted_at IS NULL');
+
+    for (const table of reportChildTables) {
+      await client.query(`
+        ALTER TABLE ${table}
+          DROP CONSTRAINT IF EXISTS ${table}_report_id_fkey,
+          ADD CONSTRAINT ${table}_report_id_fkey FOREIGN KEY (report_id) REFERENCES valuation_reports(id) ON DELETE CASCADE
+      `);
+    }
+  },
+
+  async down(client) {
+    for (const table of reportChildTables) {
+      await client.query(`
+        ALTER TABLE ${table}
+          DROP CONSTRAINT IF EXISTS ${table}_report_id_fkey,
+          ADD CONSTRAINT ${table}_report_id_fkey FOREIGN KEY (report_id) REFERENCES valuation_reports(id)
+      `);
+    }
+
+    await client.query('DROP INDEX IF EXISTS idx_documents_report_live');
+    await client.query('DROP INDEX IF EXISTS idx_valuation_reports_valuer_live');
+    await client.query('ALTER TABLE documents DROP COLUMN IF EXISTS deleted_by');
+    await client.query('ALTER TABLE documents DROP COLUMN IF EXISTS deleted_at');
+    await client.query('ALTER TABLE valuation_reports DROP COLUMN IF EXISTS deleted_by');
+    await client.query('ALTER TABLE valuation_reports DROP COLUMN IF EXISTS deleted_at');
+    await client.query('ALTER TABLE valuation_reports DROP COLUMN IF EXISTS archived_by');
+    await client.query('ALTER TABLE valuation_reports DROP COLUMN IF EXISTS archived_at');
+  }
+};
\ No newline at end of file
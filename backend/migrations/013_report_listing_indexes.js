@@ -0,0 +1,24 @@
+// Indexes behind the paginated report listing (GET /api/reports). Every listing is scoped to
+// one valuer and ordered by the sort column, then id, so each sort gets its own index.
+
+const indexes = {
+  idx_valuation_reports_valuer_created: '(valuer_id, created_at, id)',
+  idx_valuation_reports_valuer_updated: '(valuer_id, updated_at, id)',
+  idx_valuation_reports_valuer_status: '(valuer_id, status)'
+};
+
+module.exports = {
+  description: 'Add indexes for paginated and filtered report listing',
+
+  async up(client) {
+    for (const [name, columns] of Object.entries(indexes)) {
+      await client.query(`CREATE INDEX IF NOT EXISTS ${name} ON valuation_reports ${columns}`);
+    }
+  },
+
+  async down(client) {
+    for (const name of Object.keys(indexes).reverse()) {
+      await client.query(`DROP INDEX IF EXISTS ${name}`);
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,48 @@
+// Full-text search over reports and OCR'd documents. report_search holds a denormalized text
+// per report (references, address, parcel and deed details) that db.refreshReportSearch
+// rebuilds whenever the report content changes; documents are covered by an expression index
+// over extracted_data.extracted_text, so neither table grows a column that SELECT * would return.
+//
+// The index expression and backfill are frozen here. The expression must stay identical to
+// db.documentSearchVector for searches to use the index, so changing it needs a new migration
+// that rebuilds idx_documents_search.
+const documentSearchVector = "to_tsvector('simple', COALESCE(extracted_data->>'extracted_text', '') || ' ' || file_name)";
+
+module.exports = {
+  description: 'Add full-text search over reports and document text',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_search (
+        report_id INTEGER PRIMARY KEY REFERENCES valuation_reports(id) ON DELETE CASCADE,
+        search_text TEXT NOT NULL DEFAULT '',
+        search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', search_text)) STORED,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_report_search_vector ON report_search USING GIN (search_vector)');
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_documents_search ON documents USING GIN ((${documentSearchVector}))`);
+
+    // Search text for every existing report
+    await client.query(`
+      INSERT INTO report_search (report_id, search_text)
+      SELECT r.id, concat_ws(' • ',
+        r.report_reference,
+        r.client_reference,
+        r.property_address,
+        (SELECT concat_ws(' • ', 'Plan ' || p.plan_number, 'Lot ' || p.lot_number, 'Assessment ' || p.assessment_number,
+                p.land_name, p.village_name, p.district)
+         FROM report_parcels p WHERE p.report_id = r.id),
+        (SELECT string_agg(concat_ws(' • ', o.owner_name, o.previous_owner, 'Deed ' || o.deed_number, o.notary_public), ' • ' ORDER BY o.sort_order)
+         FROM report_ownership_deeds o WHERE o.report_id = r.id)
+      )
+      FROM valuation_reports r
+      ON CONFLICT (report_id) DO UPDATE SET search_text = EXCLUDED.search_text, updated_at = NOW()
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_documents_search');
+    await client.query('DROP TABLE IF EXISTS report_search');
+  }
+};
\ No newline at end of file
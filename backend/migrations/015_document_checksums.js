@@ -0,0 +1,13 @@
+// Uploaded files are now stored for real (see storageService); documents keep the SHA-256 of
+// the stored bytes next to file_path so files can be verified and matched later.
+module.exports = {
+  description: 'Add SHA-256 checksums to documents',
+
+  async up(client) {
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS checksum_sha256 CHAR(64)');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE documents DROP COLUMN IF EXISTS checksum_sha256');
+  }
+};
\ No newline at end of file
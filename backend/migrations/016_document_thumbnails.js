@@ -0,0 +1,13 @@
+// Preview thumbnails are rendered on first request and kept in document storage;
+// thumbnail_path points at the stored JPEG.
+module.exports = {
+  description: 'Add thumbnail paths to documents',
+
+  async up(client) {
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS thumbnail_path TEXT');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE documents DROP COLUMN IF EXISTS thumbnail_path');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,51 @@
+// Postgres-backed queue for document OCR and AI extraction. An upload creates one job with an
+// item per document; workers claim queued items with FOR UPDATE SKIP LOCKED, so any number of
+// server instances can share the queue.
+module.exports = {
+  description: 'Add document processing jobs and job items',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS processing_jobs (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+        created_by INTEGER REFERENCES users(id),
+        status VARCHAR(30) NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'running', 'completed', 'completed_with_errors', 'failed')),
+        result JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_processing_jobs_report ON processing_jobs (report_id, created_at)');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS processing_job_items (
+        id SERIAL PRIMARY KEY,
+        job_id INTEGER NOT NULL REFERENCES processing_jobs(id) ON DELETE CASCADE,
+        document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+        stage VARCHAR(20) NOT NULL DEFAULT 'queued',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        error TEXT,
+        run_after TIMESTAMP NOT NULL DEFAULT NOW(),
+        locked_by VARCHAR(100),
+        locked_at TIMESTAMP,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_processing_job_items_job ON processing_job_items (job_id)');
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_processing_job_items_queued ON processing_job_items (run_after, id) WHERE status = 'queued'`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS processing_job_items');
+    await client.query('DROP TABLE IF EXISTS processing_jobs');
+  }
+};
\ No newline at end of file
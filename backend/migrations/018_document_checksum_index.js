@@ -0,0 +1,13 @@
+// Uploads look up earlier copies of the same file by content hash: duplicates within a
+// report are linked instead of stored again, and OCR/AI results of identical files are reused.
+module.exports = {
+  description: 'Index documents by checksum for duplicate detection',
+
+  async up(client) {
+    await client.query('CREATE INDEX IF NOT EXISTS idx_documents_checksum ON documents (checksum_sha256) WHERE deleted_at IS NULL');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_documents_checksum');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,15 @@
+// Images are cleaned up before OCR. preprocessing_options holds a document's settings over the
+// defaults in imagePreprocessingService; processed_file_path points at the stored result.
+module.exports = {
+  description: 'Add image preprocessing options and processed file paths to documents',
+
+  async up(client) {
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS preprocessing_options JSONB');
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS processed_file_path TEXT');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE documents DROP COLUMN IF EXISTS processed_file_path');
+    await client.query('ALTER TABLE documents DROP COLUMN IF EXISTS preprocessing_options');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,13 @@
+// Word-level OCR geometry (pages, blocks, paragraphs and words with boxes and confidences).
+// Kept out of extracted_data because it is large and only needed to highlight sources.
+module.exports = {
+  description: 'Add OCR layout to documents',
+
+  async up(client) {
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS ocr_layout JSONB');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE documents DROP COLUMN IF EXISTS ocr_layout');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,119 @@
+const reportContentService = require('./reportContentService');
+
+// Word-level OCR geometry and links from extracted fields back to the words they were read from.
+//
+// A layout is { engine, pages: [page] } with, per page,
+//   { page, width, height, confidence, blocks: [{ bbox, confidence, paragraphs: [{ bbox, confidence,
+//     words: [{ text, confidence, bbox }] }] }] }
+// Boxes are { x, y, width, height } as fractions of the page, so they can be drawn over the page
+// image at any size. width and height are the size of the image the engine read (pixels, or
+// points for PDF pages read by Vision). Confidences run from 0 to 1.
+//
+// Field sources map a dot path of extracted data to the spans of words it was found in:
+//   "deed_number": [{ page: 1, text: "1234", confidence: 0.98, bbox, boxes: [bbox] }]
+class OcrLayoutService {
+  constructor() {
+    // Spans kept per field when a value occurs more than once
+    this.maxSpansPerField = 5;
+  }
+
+  round(value) {
+    return Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+  }
+
+  // A box from corner coordinates on a page of the given size
+  box(x0, y0, x1, y1, width, height) {
+    return {
+      x: this.round(x0 / width),
+      y: this.round(y0 / height),
+      width: this.round((x1 - x0) / width),
+      height: this.round((y1 - y0) / height)
+    };
+  }
+
+  // The smallest box around all of boxes
+  union(boxes) {
+    const x0 = Math.min(...boxes.map(box => box.x));
+    const y0 = Math.min(...boxes.map(box => box.y));
+    const x1 = Math.max(...boxes.map(box => box.x + box.width));
+    const y1 = Math.max(...boxes.map(box => box.y + box.height));
+    return this.box(x0, y0, x1, y1, 1, 1);
+  }
+
+  mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+
+  words(page) {
+    return (page.blocks || []).flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.words));
+  }
+
+  // A page's confidence is the mean of its words' confidences
+  pageConfidence(page) {
+    return this.mean(this.words(page).map(word => word.confidence));
+  }
+
+  // Lowercased letter and digit runs; marks are kept so Sinhala and Tamil syllables stay whole
+  tokens(text) {
+    return String(text).normalize('NFC').toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+  }
+
+  // Spans of consecutive words whose tokens spell out value, in reading order
+  locate(value, layout) {
+    const valueTokens = this.tokens(value);
+    if (valueTokens.length === 0) return [];
+
+    const spans = [];
+    for (const page of layout.pages) {
+      // Every token remembers the word it came from
+      const words = this.words(page);
+      const tokens = words.flatMap((word, index) => this.tokens(word.text).map(token => ({ token, index })));
+
+      for (let start = 0; start + valueTokens.length <= tokens.length; start++) {
+        if (!valueTokens.every((token, offset) => tokens[start + offset].token === token)) continue;
+
+        const first = tokens[start].index;
+        const last = tokens[start + valueTokens.length - 1].index;
+        const matched = words.slice(first, last + 1);
+        spans.push({
+          page: page.page,
+          text: matched.map(word => word.text).join(' '),
+          confidence: Math.round(this.mean(matched.map(word => word.confidence)) * 1000) / 1000,
+          bbox: this.union(matched.map(word => word.bbox)),
+          boxes: matched.map(word => word.bbox)
+        });
+        if (spans.length >= this.maxSpansPerField) return spans;
+        start += valueTokens.length - 1;
+      }
+    }
+    return spans;
+  }
+
+  // Field sources for every value in extracted data that can be found in the layout.
+  // Nested objects use dot paths; the items of an array all count towards the array's path.
+  linkFields(data, layout) {
+    const sources = {};
+    if (!layout || !layout.pages || !data || typeof data !== 'object') return sources;
+
+    const visit = (value, path) => {
+      if (Array.isArray(value)) {
+        const spans = value
+          .filter(item => typeof item === 'string' || typeof item === 'number')
+          .flatMap(item => this.locate(item, layout));
+        if (spans.length > 0) sources[path] = spans.slice(0, this.maxSpansPerField);
+      } else if (value !== null && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) visit(child, path ? `${path}.${key}` : key);
+      } else if ((typeof value === 'string' || typeof value === 'number') && !reportContentService.isBlank(value)) {
+        const spans = this.locate(value, layout);
+        if (spans.length > 0) sources[path] = spans;
+      }
+    };
+
+    visit(data, '');
+    return sources;
+  }
+}
+
+// Export singleton instance
+const ocrLayoutService = new OcrLayoutService();
+module.exports = ocrLayoutService;
\ No newline at end of file
@@ -0,0 +1,89 @@
+// Authorization rules for users, valuation reports and documents.
+// Every rule takes the authenticated actor (req.user) and the loaded record.
+class PolicyService {
+  constructor() {
+    this.roles = ['valuer', 'reviewer', 'firm_admin', 'platform_admin'];
+
+    // Roles a firm admin may hand out to members of their own firm
+    this.firmAssignableRoles = ['valuer', 'reviewer'];
+  }
+
+  isSameUser(actor, userId) {
+    return !!actor && String(actor.id) === String(userId);
+  }
+
+  hasRole(actor, ...roles) {
+    return !!actor && roles.includes(actor.role);
+  }
+
+  isValidRole(role) {
+    return this.roles.includes(role);
+  }
+
+  // A valuer may only read or change their own users row
+  canAccessUser(actor, userId) {
+    return this.isSameUser(actor, userId);
+  }
+
+  // Platform admins manage everyone; firm admins manage the valuers and reviewers in their firm
+  canManageUser(actor, target) {
+    if (!target || this.isSameUser(actor, target.id)) return false;
+    if (this.hasRole(actor, 'platform_admin')) return true;
+
+    return this.hasRole(actor, 'firm_admin') &&
+      !!actor.firm_id &&
+      String(actor.firm_id) === String(target.firm_id) &&
+      this.firmAssignableRoles.includes(target.role);
+  }
+
+  canAssignRole(actor, role) {
+    if (this.hasRole(actor, 'platform_admin')) return this.isValidRole(role);
+    return this.hasRole(actor, 'firm_admin') && this.firmAssignableRoles.includes(role);
+  }
+
+  canRunSchemaOperations(actor) {
+    return this.hasRole(actor, 'platform_admin');
+  }
+
+  // context.isAssignedReviewer is resolved by the caller from report_reviewers
+  canReadReport(actor, report, context = {}) {
+    if (!report) return false;
+    if (this.isSameUser(actor, report.valuer_id)) return true;
+    return this.hasRole(actor, 'reviewer') && !!context.isAssignedReviewer;
+  }
+
+  canCommentOnReport(actor, report, context = {}) {
+    return this.canReadReport(actor, report, context);
+  }
+
+  canUpdateReport(actor, report) {
+    return !!report && this.isSameUser(actor, report.valuer_id);
+  }
+
+  // Documents inherit access from the report they are attached to
+  canAccessDocument(actor, document, report, context = {}) {
+    return !!document && !!report &&
+      String(document.report_id) === String(report.id) &&
+      this.canReadReport(actor, report, context);
+  }
+
+  canUpdateDocument(actor, document, report) {
+    return !!document && !!report &&
+      String(document.report_id) === String(report.id) &&
+      this.canUpdateReport(actor, report);
+  }
+
+  // Permanent deletion: platform admins anywhere, firm admins for reports owned by their firm's members
+  canPurgeReport(actor, report, owner) {
+    if (!report) return false;
+    if (this.hasRole(actor, 'platform_admin')) return true;
+
+    return this.hasRole(actor, 'firm_admin') &&
+      !!actor.firm_id && !!owner &&
+      String(actor.firm_id) === String(owner.firm_id);
+  }
+}
+
+// Export singleton instance
+const policyService = new PolicyService();
+module.exports = policyService;
\ No newline at end of file
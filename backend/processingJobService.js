@@ -0,0 +1,353 @@
+const os = require('os');
+const db = require('./database');
+const storageService = require('./storageService');
+const visionService = require('./visionService');
+const aiExtractionService = require('./aiExtractionService');
+const auditService = require('./auditService');
+const imagePreprocessingService = require('./imagePreprocessingService');
+const ocrLayoutService = require('./ocrLayoutService');
+
+// Background OCR and AI extraction of uploaded documents.
+// The queue lives in Postgres (processing_jobs / processing_job_items), so jobs survive restarts
+// and every server instance can run workers against it. Each worker claims one document at a
+// time; once the last document of a job is done, the combined data is merged into the report.
+class ProcessingJobService {
+  constructor() {
+    // JOB_WORKERS=0 runs no workers in this process (e.g. when a separate instance processes jobs)
+    this.concurrency = parseInt(process.env.JOB_WORKERS || '2');
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS || '3');
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000');
+    // Running items without a heartbeat for this long are taken to be abandoned
+    this.staleAfterSeconds = 600;
+    this.sweepIntervalMs = 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.workers = [];
+    this.sweepTimer = null;
+  }
+
+  // Placeholder extraction data for documents that are waiting to be processed
+  pendingExtractedData() {
+    return { ocr_status: 'pending', ai_status: 'pending' };
+  }
+
+  // Extraction data copied from an identical, already processed document
+  reusedExtractedData(source) {
+    return { ...source.extracted_data, reused_from_document_id: source.id };
+  }
+
+  // Queue stored documents for processing. Documents listed in reusedDocumentIds already have
+  // their results and are not processed again; a job made only of those completes straight away.
+  // With a client the job is created inside the caller's transaction, and completing such a
+  // job is left to the caller once that transaction has committed. Returns the job row.
+  async createJob(reportId, userId, documents, { reusedDocumentIds = [], client = null } = {}) {
+    const job = await db.createProcessingJob({
+      report_id: reportId,
+      created_by: userId,
+      document_ids: documents.map(doc => doc.id),
+      reused_document_ids: reusedDocumentIds,
+      max_attempts: this.maxAttempts
+    }, client);
+    console.log(`📥 Queued processing job ${job.id} with ${documents.length - reusedDocumentIds.length} document(s), ${reusedDocumentIds.length} reused`);
+
+    if (!client && reusedDocumentIds.length === documents.length) {
+      await this.completeJob(job.id);
+    }
+    return job;
+  }
+
+  start() {
+    if (this.running) return;
+    if (this.concurrency <= 0) {
+      console.log('⏸️ Document processing workers disabled (JOB_WORKERS=0)');
+      return;
+    }
+
+    this.running = true;
+    for (let i = 1; i <= this.concurrency; i++) {
+      this.workers.push(this.runWorker(`${this.workerId}#${i}`));
+    }
+    this.sweep();
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+    this.sweepTimer.unref();
+    console.log(`⚙️ Started ${this.concurrency} document processing worker(s)`);
+  }
+
+  // Workers finish the document they are on before stopping
+  async stop() {
+    this.running = false;
+    clearInterval(this.sweepTimer);
+    await Promise.all(this.workers);
+    this.workers = [];
+  }
+
+  // Seconds to wait before the next try of an item that has failed this many attempts: 5, 10, 20...
+  retryDelaySeconds(attempts) {
+    return 5 * 2 ** (attempts - 1);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async runWorker(workerId) {
+    while (this.running) {
+      let item = null;
+      try {
+        item = await db.claimProcessingJobItem(workerId);
+      } catch (error) {
+        // Typically the database is unreachable or not migrated yet; back off instead of flooding the log
+        console.error('Job queue error:', error.message);
+        await this.sleep(this.pollIntervalMs * 10);
+      }
+
+      if (item) {
+        await this.runItem(item);
+      } else {
+        await this.sleep(this.pollIntervalMs);
+      }
+    }
+  }
+
+  // Unexpected errors (storage, database, network) are retried with exponential backoff;
+  // an OCR or AI result that reports failure fails the document straight away
+  async runItem(item) {
+    try {
+      await this.processItem(item);
+    } catch (error) {
+      console.error(`❌ Processing document ${item.document_id} failed (attempt ${item.attempts}/${item.max_attempts}):`, error);
+      try {
+        if (item.attempts < item.max_attempts) {
+          await db.requeueProcessingJobItem(item.id, { error: error.message, delaySeconds: this.retryDelaySeconds(item.attempts) });
+          return;
+        }
+        await db.finishProcessingJobItem(item.id, { status: 'failed', error: error.message });
+      } catch (queueError) {
+        console.error('Job queue error:', queueError);
+        return;
+      }
+    }
+    await this.completeJob(item.job_id);
+  }
+
+  async processItem(item) {
+    const document = await db.getDocumentById(item.document_id);
+    if (!document) {
+      await db.finishProcessingJobItem(item.id, { status: 'failed', error: 'Document was deleted before it was processed' });
+      return;
+    }
+
+    const buffer = await storageService.readFile(document.file_path);
+    if (!buffer) {
+      await db.finishProcessingJobItem(item.id, { status: 'failed', error: 'Stored file is missing' });
+      return;
+    }
+
+    console.log(`📄 Processing document ${document.id}: ${document.file_name}`);
+    const preprocessed = await this.preprocess(item, document, buffer);
+
+    await db.setProcessingJobItemStage(item.id, 'ocr');
+    const visionResult = preprocessed.image
+      ? await visionService.extractText(preprocessed.image.buffer, preprocessed.image.contentType)
+      : await visionService.extractText(buffer, document.file_type);
+
+    let aiResult = { success: false, error: 'No text to extract data from', extractedData: {}, confidence: 0 };
+    if (visionResult.success) {
+      await db.setProcessingJobItemStage(item.id, 'extraction');
+      aiResult = await aiExtractionService.extractPropertyData(
+        visionResult.extractedText,
+        visionResult.metadata?.documentType || 'general_document'
+      );
+    }
+
+    await db.setDocumentExtraction(
+      document.id,
+      this.buildExtractedData(visionResult, aiResult, preprocessed.summary),
+      visionResult.layout || null
+    );
+    const success = visionResult.success && aiResult.success;
+    await db.finishProcessingJobItem(item.id, {
+      status: success ? 'succeeded' : 'failed',
+      error: success ? null : (visionResult.error || aiResult.error || 'Processing failed')
+    });
+    console.log(`${success ? '✅' : '⚠️'} Processed document ${document.id}: OCR ${visionResult.success ? 'ok' : 'failed'}, AI ${aiResult.success ? 'ok' : 'failed'}`);
+  }
+
+  // Clean up an image before OCR and store the result beside the original. Returns { image, summary };
+  // image is null when the original should be OCR'd as it is. A failure here is recorded
+  // and OCR falls back to the original rather than failing the document.
+  async preprocess(item, document, buffer) {
+    if (!imagePreprocessingService.supports(document.file_type)) {
+      return { image: null, summary: null };
+    }
+
+    try {
+      await db.setProcessingJobItemStage(item.id, 'preprocessing');
+      const image = await imagePreprocessingService.process(buffer, document.file_type, document.preprocessing_options);
+      if (!image) {
+        // Preprocessing was turned off since the last run
+        if (document.processed_file_path) {
+          await storageService.removeFiles([document.processed_file_path]);
+          await db.setDocumentProcessedFile(document.id, null);
+        }
+        return { image: null, summary: null };
+      }
+
+      const processedPath = await storageService.saveProcessedImage(document.report_id, document.id, image.buffer, image.contentType);
+      await db.setDocumentProcessedFile(document.id, processedPath);
+      console.log(`🧹 Preprocessed document ${document.id}: ${image.summary.steps.join(', ') || 'no changes'}`);
+      return { image, summary: image.summary };
+    } catch (error) {
+      console.error(`⚠️ Preprocessing document ${document.id} failed, using the original:`, error.message);
+      return { image: null, summary: { error: error.message } };
+    }
+  }
+
+  buildExtractedData(visionResult, aiResult, preprocessing = null) {
+    return {
+      // Image preprocessing: options, steps applied, skew angle and sizes
+      preprocessing,
+
+      // Vision API results
+      ocr_status: visionResult.success ? 'success' : 'failed',
+      document_type: visionResult.metadata?.documentType || 'unknown',
+      language: visionResult.metadata?.language || 'unknown',
+      extracted_text: visionResult.extractedText || '',
+      ocr_confidence: visionResult.confidence || 0,
+      // OCR engine that read the document, and the engine that failed before it if any
+      ocr_engine: visionResult.engine || null,
+      ocr_fallback: visionResult.engineFallback || null,
+      page_count: visionResult.pageCount || 0,
+      // Per page: { page, success, confidence, characters, error }
+      pages: visionResult.pages || [],
+
+      // AI extraction results
+      ai_status: aiResult.success ? 'success' : 'failed',
+      ai_confidence: aiResult.confidence || 0,
+      ai_model: aiResult.aiModel || 'gpt-4',
+      tokens_used: aiResult.tokensUsed || 0,
+
+      // Extracted property data, and the OCR words each value was read from
+      key_data: aiResult.extractedData || {},
+      field_sources: ocrLayoutService.linkFields(aiResult.extractedData, visionResult.layout),
+
+      // Processing metadata
+      processing_date: new Date().toISOString(),
+      errors: {
+        vision_error: visionResult.error || null,
+        ai_error: aiResult.error || null
+      }
+    };
+  }
+
+  // Once no documents are queued or running, merge the combined data into the report and
+  // record the job's outcome. Safe to call from several workers; only one completes the job.
+  async completeJob(jobId) {
+    try {
+      const claimed = await db.claimProcessingJobCompletion(jobId, this.staleAfterSeconds);
+      if (!claimed) return;
+
+      const job = await db.getProcessingJob(jobId);
+      const documents = (await Promise.all(job.items.map(item => db.getDocumentById(item.document_id)))).filter(Boolean);
+      const succeededIds = job.items.filter(item => item.status === 'succeeded').map(item => item.document_id);
+      const succeeded = documents.filter(doc => succeededIds.includes(doc.id));
+
+      const result = {
+        total_documents: job.items.length,
+        succeeded: succeededIds.length,
+        failed: job.items.length - succeededIds.length,
+        successful_ocr: documents.filter(doc => doc.extracted_data?.ocr_status === 'success').length,
+        successful_ai_extraction: documents.filter(doc => doc.extracted_data?.ai_status === 'success').length,
+        combined_data_fields: 0,
+        average_confidence: 0,
+        primary_source: null,
+        extracted_property_data: {},
+        protected_fields: []
+      };
+
+      if (succeeded.length > 0) {
+        Object.assign(result, await this.applyToReport(job, succeeded));
+      }
+
+      const status = result.failed === 0 ? 'completed' : result.succeeded === 0 ? 'failed' : 'completed_with_errors';
+      await db.completeProcessingJob(jobId, { status, result });
+      console.log(`🏁 Processing job ${jobId} ${status}: ${result.succeeded}/${result.total_documents} document(s) processed`);
+    } catch (error) {
+      // The completion claim goes stale and the sweep picks the job up again
+      console.error(`❌ Completing processing job ${jobId} failed:`, error);
+    }
+  }
+
+  // Merge the best extracted value of each field into the report; fields a valuer edited are kept
+  async applyToReport(job, documents) {
+    const combined = aiExtractionService.combineExtractedData(documents.map(doc => ({
+      fileName: doc.file_name,
+      success: doc.extracted_data.ai_status === 'success',
+      extractedData: doc.extracted_data.key_data || {},
+      confidence: doc.extracted_data.ai_confidence || 0
+    })));
+    const summary = {
+      combined_data_fields: Object.keys(combined.combinedData).length,
+      average_confidence: combined.averageConfidence || 0,
+      primary_source: combined.primarySource,
+      extracted_property_data: combined.combinedData,
+      protected_fields: []
+    };
+
+    const report = await db.getReportById(job.report_id);
+    if (!report || summary.combined_data_fields === 0) return summary;
+
+    console.log('🏠 Updating report with extracted property data...');
+    // One patch per document so each field records the document it came from
+    const patches = documents.map((doc, index) => ({
+      data: Object.fromEntries(
+        Object.entries(combined.combinedData).filter(([key]) => combined.fieldSources[key] === index)
+      ),
+      provenance: { source: 'document', document_id: doc.id, document_name: doc.file_name, user_id: job.created_by }
+    })).filter(patch => Object.keys(patch.data).length > 0);
+
+    const { report: updatedReport, skippedFields } = await db.updateReport(report.id, {
+      patches,
+      status: 'data_extracted',
+      updated_by: job.created_by
+    });
+    if (skippedFields.length > 0) {
+      console.log(`✋ Kept manual edits for: ${skippedFields.join(', ')}`);
+    }
+
+    await auditService.record(null, {
+      action: 'report.updated',
+      targetType: 'report',
+      targetId: updatedReport.id,
+      before: report,
+      after: updatedReport,
+      actor: job.created_by ? await db.getUserById(job.created_by) : null,
+      metadata: {
+        source: 'document_extraction',
+        job_id: job.id,
+        document_ids: documents.map(doc => doc.id),
+        skipped_fields: skippedFields
+      }
+    });
+    return { ...summary, protected_fields: skippedFields };
+  }
+
+  // Requeue items abandoned by a stopped worker and complete jobs left unfinished
+  async sweep() {
+    try {
+      const released = await db.releaseStaleProcessingJobItems(this.staleAfterSeconds);
+      if (released.length > 0) {
+        console.log(`♻️ Released ${released.length} interrupted document(s) back to the queue`);
+      }
+      for (const jobId of await db.getUnfinishedProcessingJobIds(this.staleAfterSeconds)) {
+        await this.completeJob(jobId);
+      }
+    } catch (error) {
+      console.error('Job queue sweep error:', error.message);
+    }
+  }
+}
+
+// Export singleton instance
+const processingJobService = new ProcessingJobService();
+module.exports = processingJobService;
\ No newline at end of file
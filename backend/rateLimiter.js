@@ -0,0 +1,153 @@
+// Fixed-window rate limiting middleware.
+// The default MemoryStore keeps counters in process memory: each backend instance enforces its own
+// limits and counters reset on restart. Call useStore() with a shared store (anything with an
+// increment(key, windowMs) that returns or resolves to { count, resetAt }) to share limits across instances.
+
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    // Drop expired windows so the map does not grow without bound
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  reset(key) {
+    this.hits.delete(key);
+  }
+
+  resetAll() {
+    this.hits.clear();
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+let defaultStore = new MemoryStore();
+
+// Swap the store used by every limiter that was built without its own store
+function useStore(store) {
+  defaultStore = store;
+}
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Send a 429 with Retry-After (seconds). Also used for account lockout.
+function sendTooManyRequests(res, retryAfterSeconds, message) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    error: message || 'Too many requests. Please try again later.',
+    retry_after: retryAfterSeconds
+  });
+}
+
+// Build a limiter. keyGenerator(req) returns the bucket key (IP, email, user id...);
+// returning null skips the limit for that request.
+function rateLimit({ name, windowMs, max, keyGenerator = (req) => req.ip, message, store }) {
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (key === null || key === undefined || key === '') return next();
+
+    let hit;
+    try {
+      hit = await (store || defaultStore).increment(`${name}:${key}`, windowMs);
+    } catch (error) {
+      return next(error);
+    }
+
+    const { count, resetAt } = hit;
+    const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+    res.set('RateLimit-Reset', String(retryAfterSeconds));
+
+    if (count > max) {
+      console.warn(`⚠️ Rate limit ${name} exceeded for ${key}`);
+      return sendTooManyRequests(res, retryAfterSeconds, message);
+    }
+    next();
+  };
+}
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : null);
+
+const minutes = (value) => value * 60 * 1000;
+
+// Limits shared by the routes in server.js; windows and maximums come from the environment
+const limiters = {
+  // Login, registration, password reset and 2FA attempts per client IP
+  authByIp: rateLimit({
+    name: 'auth-ip',
+    windowMs: minutes(envInt('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15)),
+    max: envInt('AUTH_RATE_LIMIT_MAX', 30),
+    message: 'Too many authentication attempts from this address. Please try again later.'
+  }),
+
+  // Login attempts per account, whichever IP they come from
+  loginByAccount: rateLimit({
+    name: 'login-account',
+    windowMs: minutes(envInt('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15)),
+    max: envInt('LOGIN_ACCOUNT_RATE_LIMIT_MAX', 10),
+    keyGenerator: (req) => normalizeEmail(req.body.email),
+    message: 'Too many login attempts for this account. Please try again later.'
+  }),
+
+  // Reset and verification emails per address, so nobody can flood an inbox
+  emailByAccount: rateLimit({
+    name: 'email-account',
+    windowMs: minutes(envInt('EMAIL_RATE_LIMIT_WINDOW_MINUTES', 60)),
+    max: envInt('EMAIL_RATE_LIMIT_MAX', 5),
+    keyGenerator: (req) => normalizeEmail(req.body.email),
+    message: 'Too many emails requested for this address. Please try again later.'
+  }),
+
+  // Password and 2FA code checks by a logged-in user (must run after requireAuth)
+  accountByUser: rateLimit({
+    name: 'account-user',
+    windowMs: minutes(envInt('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15)),
+    max: envInt('LOGIN_ACCOUNT_RATE_LIMIT_MAX', 10),
+    keyGenerator: (req) => req.user && req.user.id,
+    message: 'Too many attempts. Please try again later.'
+  }),
+
+  // Uploads and AI test calls spend OpenAI and Vision quota
+  aiByIp: rateLimit({
+    name: 'ai-ip',
+    windowMs: minutes(envInt('AI_RATE_LIMIT_WINDOW_MINUTES', 60)),
+    max: envInt('AI_RATE_LIMIT_MAX_PER_IP', 60),
+    message: 'Too many AI processing requests from this address. Please try again later.'
+  }),
+
+  // Per logged-in user (must run after requireAuth)
+  aiByUser: rateLimit({
+    name: 'ai-user',
+    windowMs: minutes(envInt('AI_RATE_LIMIT_WINDOW_MINUTES', 60)),
+    max: envInt('AI_RATE_LIMIT_MAX_PER_USER', 30),
+    keyGenerator: (req) => req.user && req.user.id,
+    message: 'AI processing limit reached for your account. Please try again later.'
+  })
+};
+
+module.exports = { rateLimit, sendTooManyRequests, limiters, useStore, MemoryStore };
\ No newline at end of file
@@ -0,0 +1,432 @@
+// Maps the free-form valuation_reports.report_data JSON onto the normalized report content
+// tables (planning/report-structure.md sections 1 and 3-12).
+//
+// report_data may hold each section under its own key (parcel, ownership, boundaries, buildings,
+// locality, valuation, client_instructions). Flat keys written by AI document extraction
+// (owner_name, land_extent, survey_plan_number...) and the saved location_analysis are used
+// for anything those sections leave empty.
+
+const PERCHES_PER_ACRE = 160;
+const PERCHES_PER_ROOD = 40;
+const HECTARES_PER_PERCH = 0.002529285264;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const BOUNDARY_DIRECTIONS = ['north', 'east', 'south', 'west'];
+
+class ReportContentService {
+  constructor() {
+    // Column types: text, number (non-negative), percent (0-100), latitude, longitude, date, json.
+    // `multiple` sections are stored as one row per item, in order.
+    this.sections = {
+      // 1.0 Preamble
+      client_instructions: {
+        table: 'report_client_instructions',
+        columns: {
+          instruction_source: 'text',
+          client_designation: 'text',
+          client_organization: 'text',
+          client_address: 'text',
+          instruction_method: 'text',
+          instruction_date: 'date',
+          valuation_purpose: 'text',
+          inspection_date: 'date',
+          persons_present: 'text'
+        }
+      },
+
+      // 3.1, 3.2 and 3.4 Property identification, 4.0 Access, 6.0 Description of land
+      parcel: {
+        table: 'report_parcels',
+        columns: {
+          village_name: 'text',
+          pradeshiya_sabha: 'text',
+          korale: 'text',
+          hathpattu: 'text',
+          divisional_secretariat: 'text',
+          district: 'text',
+          province: 'text',
+          postal_code: 'text',
+          latitude: 'latitude',
+          longitude: 'longitude',
+          lot_number: 'text',
+          plan_number: 'text',
+          survey_date: 'date',
+          licensed_surveyor: 'text',
+          approving_authority: 'text',
+          approval_date: 'date',
+          land_name: 'text',
+          assessment_number: 'text',
+          extent_text: 'text',
+          extent_acres: 'number',
+          extent_roods: 'number',
+          extent_perches: 'number',
+          extent_hectares: 'number',
+          extent_total_perches: 'number',
+          route_description: 'text',
+          access_type: 'text',
+          road_width: 'text',
+          road_type: 'text',
+          road_classification: 'text',
+          land_shape: 'text',
+          topography_type: 'text',
+          land_use_type: 'text',
+          frontage: 'text',
+          soil_type: 'text',
+          water_table_depth_ft: 'number',
+          flood_status: 'text',
+          plantation_description: 'text'
+        }
+      },
+
+      // 3.3 Ownership, one row per deed with the current title first
+      ownership: {
+        table: 'report_ownership_deeds',
+        multiple: true,
+        columns: {
+          deed_type: 'text',
+          deed_number: 'text',
+          deed_date: 'date',
+          notary_public: 'text',
+          owner_name: 'text',
+          previous_owner: 'text',
+          registration_date: 'date',
+          land_registry_folio: 'text',
+          title_certificate_number: 'text',
+          nature_of_title: 'text',
+          encumbrances: 'text'
+        }
+      },
+
+      // 5.0 Boundaries, one row per direction
+      boundaries: {
+        table: 'report_boundaries',
+        multiple: true,
+        columns: {
+          direction: 'text',
+          boundary: 'text',
+          demarcation: 'text'
+        }
+      },
+
+      // 7.0 Description of buildings, with each building's line in the 12.1 valuation
+      buildings: {
+        table: 'report_buildings',
+        multiple: true,
+        columns: {
+          building_type: 'text',
+          condition_grade: 'text',
+          age_years: 'number',
+          roof_description: 'text',
+          wall_description: 'text',
+          floor_description: 'text',
+          doors_windows_description: 'text',
+          accommodation: 'text',
+          floor_area_sqft: 'number',
+          conveniences: 'json',
+          building_rate: 'number',
+          depreciation_rate: 'percent',
+          building_value: 'number'
+        }
+      },
+
+      // 8.0 Locality and 9.0 Planning regulations
+      locality: {
+        table: 'report_localities',
+        columns: {
+          locality_type: 'text',
+          nearest_town: 'text',
+          distance_to_town: 'text',
+          development_level: 'text',
+          infrastructure_description: 'text',
+          nearby_facilities: 'json',
+          market_demand_analysis: 'text',
+          local_authority: 'text',
+          street_line_status: 'text',
+          regulatory_compliance_status: 'text'
+        }
+      },
+
+      // 10.0 Evidence of value, 11.0 Approach and 12.0 Valuation (amounts in LKR, rates per perch)
+      valuation: {
+        table: 'report_valuations',
+        columns: {
+          market_evidence_analysis: 'text',
+          min_rate: 'number',
+          max_rate: 'number',
+          rate_factors: 'text',
+          methodology: 'text',
+          approach_justification: 'text',
+          valuation_factors: 'text',
+          adopted_rate: 'number',
+          land_extent_perches: 'number',
+          land_rate: 'number',
+          land_value: 'number',
+          additional_components: 'json',
+          total_market_value: 'number',
+          market_value: 'number',
+          forced_sale_value: 'number',
+          insurance_value: 'number',
+          valuation_date: 'date'
+        }
+      }
+    };
+
+    // Flat keys produced by aiExtractionService prompts -> [section, column]
+    this.extractedFields = {
+      survey_plan_number: ['parcel', 'plan_number'],
+      plan_number: ['parcel', 'plan_number'],
+      survey_date: ['parcel', 'survey_date'],
+      surveyor_name: ['parcel', 'licensed_surveyor'],
+      land_extent: ['parcel', 'extent_text'],
+      assessment_number: ['parcel', 'assessment_number'],
+      district_secretariat: ['parcel', 'divisional_secretariat'],
+      owner_name: ['ownership', 'owner_name'],
+      previous_owner: ['ownership', 'previous_owner'],
+      deed_number: ['ownership', 'deed_number'],
+      registration_date: ['ownership', 'registration_date'],
+      certificate_number: ['ownership', 'title_certificate_number'],
+      nature_of_title: ['ownership', 'nature_of_title'],
+      encumbrances: ['ownership', 'encumbrances']
+    };
+
+    // location_analysis.administrative_location keys -> parcel columns
+    this.locationFields = {
+      village_area: 'village_name',
+      pradeshiya_sabha: 'pradeshiya_sabha',
+      divisional_secretariat: 'divisional_secretariat',
+      district: 'district',
+      province: 'province',
+      postal_code: 'postal_code'
+    };
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  isBlank(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      return trimmed === '' || /^(not specified|n\/a|none|unknown)$/i.test(trimmed);
+    }
+    return false;
+  }
+
+  // Numbers as written in Sri Lankan documents, e.g. "Rs. 1,250,000/=" or "12.5"
+  parseNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+    const match = value.replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  }
+
+  // Returns YYYY-MM-DD, or null when the value is not a recognizable calendar date.
+  // Numeric dates are read day-first (12/03/2015 is 12 March), as in Sri Lankan documents.
+  parseDate(value) {
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+    }
+    if (typeof value !== 'string') return null;
+    const text = value.trim().toLowerCase();
+    let year, month, day, match;
+
+    if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+      [year, month, day] = [match[1], match[2], match[3]];
+    } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+      [day, month, year] = [match[1], match[2], match[3]];
+    } else if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?(?:\s+of)?\s+([a-z]+)\.?,?\s+(\d{4})$/))) {
+      [day, month, year] = [match[1], MONTHS.indexOf(match[2].slice(0, 3)) + 1, match[3]];
+    } else if ((match = text.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/))) {
+      [month, day, year] = [MONTHS.indexOf(match[1].slice(0, 3)) + 1, match[2], match[3]];
+    } else {
+      return null;
+    }
+
+    [year, month, day] = [Number(year), Number(month), Number(day)];
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (month < 1 || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Reads "1A-2R-10P", "2 acres", "15.5 perches" or "0.25 hectares" into acres/roods/perches,
+  // the total in perches and hectares. Returns null if no extent can be recognized.
+  parseExtent(text) {
+    if (typeof text !== 'string') return null;
+    const value = text.replace(/,/g, '');
+    let acres = 0, roods = 0, perches = 0;
+
+    const arp = value.match(/(\d+(?:\.\d+)?)\s*a\b[\s.\-–]*(\d+(?:\.\d+)?)\s*r\b[\s.\-–]*(\d+(?:\.\d+)?)\s*p\b/i);
+    if (arp) {
+      [acres, roods, perches] = [parseFloat(arp[1]), parseFloat(arp[2]), parseFloat(arp[3])];
+    } else {
+      const single = value.match(/(\d+(?:\.\d+)?)\s*(perch(?:es)?|p\b|acres?|roods?|hectares?|ha\b)/i);
+      if (!single) return null;
+      const amount = parseFloat(single[1]);
+      const unit = single[2].toLowerCase();
+
+      if (unit.startsWith('a')) acres = amount;
+      else if (unit.startsWith('r')) roods = amount;
+      else if (unit.startsWith('h')) perches = amount / HECTARES_PER_PERCH;
+      else perches = amount;
+    }
+
+    const totalPerches = acres * PERCHES_PER_ACRE + roods * PERCHES_PER_ROOD + perches;
+    const round = (number, places) => Math.round(number * 10 ** places) / 10 ** places;
+    return {
+      extent_acres: round(acres, 4),
+      extent_roods: round(roods, 4),
+      extent_perches: round(perches, 4),
+      extent_total_perches: round(totalPerches, 4),
+      extent_hectares: round(totalPerches * HECTARES_PER_PERCH, 4)
+    };
+  }
+
+  // Splits "North by: Lot 2 (live fence), East by road..." into one entry per direction.
+  // A trailing parenthesis is taken as the demarcation.
+  parseBoundaries(text) {
+    if (typeof text !== 'string') return [];
+    const markers = [...text.matchAll(/\b(north|east|south|west)(?:ern)?\b(?:\s+(?:by|boundary))?\s*[:\-–]?\s*/gi)];
+
+    return markers.map((marker, index) => {
+      const end = index + 1 < markers.length ? markers[index + 1].index : text.length;
+      let boundary = text.slice(marker.index + marker[0].length, end).trim().replace(/[;,.]+$/, '').trim();
+      let demarcation = null;
+
+      const fence = boundary.match(/^(.*?)\s*\(([^)]*)\)$/);
+      if (fence) {
+        [boundary, demarcation] = [fence[1].trim(), fence[2].trim()];
+      }
+      return { direction: marker[1].toLowerCase(), boundary: boundary || null, demarcation: demarcation || null };
+    }).filter(entry => entry.boundary || entry.demarcation);
+  }
+
+  normalizeValue(type, value) {
+    if (this.isBlank(value)) return null;
+
+    switch (type) {
+      case 'number': {
+        const number = this.parseNumber(value);
+        return number !== null && number >= 0 ? number : null;
+      }
+      case 'percent': {
+        const number = this.parseNumber(value);
+        return number !== null && number >= 0 && number <= 100 ? number : null;
+      }
+      case 'latitude':
+      case 'longitude': {
+        const number = this.parseNumber(value);
+        const limit = type === 'latitude' ? 90 : 180;
+        return number !== null && Math.abs(number) <= limit ? number : null;
+      }
+      case 'date':
+        return this.parseDate(value);
+      case 'json':
+        return typeof value === 'object' ? value : [String(value).trim()];
+      default:
+        return typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+    }
+  }
+
+  // One row with every column of the section, unknown keys dropped and values normalized
+  normalizeRow(sectionName, source) {
+    const { columns } = this.sections[sectionName];
+    const row = {};
+    for (const [column, type] of Object.entries(columns)) {
+      row[column] = this.normalizeValue(type, this.isPlainObject(source) ? source[column] : null);
+    }
+    return row;
+  }
+
+  isEmptyRow(row) {
+    return Object.values(row).every(value => value === null);
+  }
+
+  fillMissing(row, sectionName, values) {
+    const { columns } = this.sections[sectionName];
+    for (const [column, value] of Object.entries(values)) {
+      if (row[column] === null && columns[column]) {
+        row[column] = this.normalizeValue(columns[column], value);
+      }
+    }
+    return row;
+  }
+
+  // Build { section: row | rows[] | null } for every section from a report and its report_data
+  fromReportData(reportData, report = {}) {
+    const data = this.isPlainObject(reportData) ? reportData : {};
+
+    // Flat extracted values grouped by the section they belong to
+    const extracted = {};
+    for (const [key, [section, column]] of Object.entries(this.extractedFields)) {
+      if (!this.isBlank(data[key]) && extracted[section]?.[column] === undefined) {
+        extracted[section] = { ...extracted[section], [column]: data[key] };
+      }
+    }
+
+    const content = {};
+    for (const [name, section] of Object.entries(this.sections)) {
+      if (section.multiple) {
+        const items = Array.isArray(data[name]) ? data[name] : [];
+        content[name] = items.map(item => this.normalizeRow(name, item)).filter(row => !this.isEmptyRow(row));
+      } else {
+        content[name] = this.normalizeRow(name, data[name]);
+      }
+    }
+
+    // Parcel: extracted fields, then the location analysis and report GPS coordinates
+    const parcel = content.parcel;
+    this.fillMissing(parcel, 'parcel', extracted.parcel || {});
+    const administrative = data.location_analysis?.administrative_location || {};
+    for (const [key, column] of Object.entries(this.locationFields)) {
+      this.fillMissing(parcel, 'parcel', { [column]: administrative[key] });
+    }
+    const coordinates = [data.gps_coordinates, data.location_analysis?.coordinates, report.gps_coordinates]
+      .find(value => this.isPlainObject(value) && value.lat !== undefined && value.lng !== undefined);
+    if (coordinates) {
+      this.fillMissing(parcel, 'parcel', { latitude: coordinates.lat, longitude: coordinates.lng });
+    }
+    if (parcel.extent_total_perches === null) {
+      this.fillMissing(parcel, 'parcel', this.parseExtent(parcel.extent_text) || {});
+    }
+
+    // Ownership: a single deed from the extracted fields when none are listed
+    if (content.ownership.length === 0 && extracted.ownership) {
+      content.ownership.push(this.normalizeRow('ownership', extracted.ownership));
+    }
+
+    // Boundaries: { north: "..." | { boundary, demarcation } } or the extracted description
+    if (content.boundaries.length === 0) {
+      const boundaries = this.isPlainObject(data.boundaries)
+        ? BOUNDARY_DIRECTIONS.filter(direction => data.boundaries[direction]).map(direction => {
+          const value = data.boundaries[direction];
+          return this.isPlainObject(value) ? { ...value, direction } : { direction, boundary: value };
+        })
+        : this.parseBoundaries(data.property_boundaries);
+      content.boundaries = boundaries.map(item => this.normalizeRow('boundaries', item))
+        .filter(row => !this.isEmptyRow(row));
+    }
+    // One row per direction; the first description of a direction wins
+    content.boundaries = content.boundaries.filter((row, index, rows) =>
+      row.direction && BOUNDARY_DIRECTIONS.includes(row.direction.toLowerCase()) &&
+      rows.findIndex(other => other.direction?.toLowerCase() === row.direction.toLowerCase()) === index
+    ).map(row => ({ ...row, direction: row.direction.toLowerCase() }));
+
+    // Valuation: the land extent defaults to the parcel extent
+    if (!this.isEmptyRow(content.valuation)) {
+      this.fillMissing(content.valuation, 'valuation', { land_extent_perches: parcel.extent_total_perches });
+    }
+
+    for (const [name, section] of Object.entries(this.sections)) {
+      if (!section.multiple && this.isEmptyRow(content[name])) content[name] = null;
+    }
+    return content;
+  }
+}
+
+// Export singleton instance
+const reportContentService = new ReportContentService();
+module.exports = reportContentService;
\ No newline at end of file
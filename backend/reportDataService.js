@@ -0,0 +1,103 @@
+const reportContentService = require('./reportContentService');
+
+// Merge-patch updates for valuation_reports.report_data with field-level provenance.
+//
+// Patches follow JSON merge patch (RFC 7396): objects merge recursively, any other value
+// (including arrays) replaces the field, and null removes it. Every field written is recorded
+// in report_data_sources under its dot path, e.g.
+//   "parcel.lot_number": { source: "manual", user_id: 3, at: "..." }
+//   "owner_name": { source: "document", document_id: 12, document_name: "deed.pdf", at: "..." }
+// Automated sources (document, location) never overwrite or refill a field a valuer has
+// edited or removed by hand; those paths are reported back as skipped.
+class ReportDataService {
+  constructor() {
+    this.sources = ['manual', 'document', 'location'];
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // True when a manual edit covers the path itself or a parent, and with
+  // includeChildren also anything beneath it
+  isManuallyEdited(sources, path, includeChildren = true) {
+    return Object.entries(sources).some(([sourcePath, entry]) =>
+      entry && entry.source === 'manual' && (
+        sourcePath === path ||
+        path.startsWith(`${sourcePath}.`) ||
+        (includeChildren && sourcePath.startsWith(`${path}.`))
+      )
+    );
+  }
+
+  dropSources(sources, path) {
+    for (const sourcePath of Object.keys(sources)) {
+      if (sourcePath === path || sourcePath.startsWith(`${path}.`)) delete sources[sourcePath];
+    }
+  }
+
+  // Returns { data, sources, skipped } without modifying the arguments
+  merge(data, sources, patch, provenance) {
+    if (!provenance || !this.sources.includes(provenance.source)) {
+      throw new Error(`Report data provenance must be one of: ${this.sources.join(', ')}`);
+    }
+    if (!this.isPlainObject(patch)) {
+      throw new Error('Report data patch must be an object');
+    }
+
+    const result = this.isPlainObject(data) ? structuredClone(data) : {};
+    const resultSources = { ...(sources || {}) };
+    const skipped = [];
+    const automated = provenance.source !== 'manual';
+    const entry = { ...provenance, at: new Date().toISOString() };
+
+    const apply = (target, patchObject, prefix) => {
+      for (const [key, value] of Object.entries(patchObject)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+
+        // Objects merge into the existing value; an empty object leaves an existing object unchanged
+        if (this.isPlainObject(value)) {
+          if (!this.isPlainObject(target[key])) {
+            // Replacing a plain value (or nothing) with an object
+            if (automated && this.isManuallyEdited(resultSources, path, false)) {
+              skipped.push(path);
+              continue;
+            }
+            target[key] = {};
+            delete resultSources[path];
+          }
+          apply(target[key], value, path);
+          continue;
+        }
+
+        if (automated) {
+          if (this.isManuallyEdited(resultSources, path)) {
+            skipped.push(path);
+            continue;
+          }
+          // Extraction placeholders such as "Not specified" never replace a known value
+          if (reportContentService.isBlank(value) && !reportContentService.isBlank(target[key])) {
+            continue;
+          }
+        }
+
+        this.dropSources(resultSources, path);
+        if (value === null) {
+          delete target[key];
+          // Remember manual removals so automated sources do not bring the value back
+          if (!automated) resultSources[path] = { ...entry, removed: true };
+        } else {
+          target[key] = value;
+          resultSources[path] = entry;
+        }
+      }
+    };
+
+    apply(result, patch, '');
+    return { data: result, sources: resultSources, skipped };
+  }
+}
+
+// Export singleton instance
+const reportDataService = new ReportDataService();
+module.exports = reportDataService;
\ No newline at end of file
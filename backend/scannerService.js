@@ -0,0 +1,116 @@
+const net = require('net');
+
+// Malware scanning for uploaded documents, run before a file is stored or reaches OCR.
+// A scanner is any object with a name and scan(buffer) resolving to { clean, threat };
+// SCANNER_DRIVER picks one of the registered scanners:
+// - none (default) - no scanning
+// - eicar - flags files containing the EICAR test string; a local stand-in for a real scanner
+// - clamav - streams files to a clamd daemon (CLAMAV_HOST, CLAMAV_PORT)
+
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+class NoopScanner {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async scan() {
+    return { clean: true, threat: null };
+  }
+}
+
+class EicarScanner {
+  constructor() {
+    this.name = 'eicar';
+  }
+
+  async scan(buffer) {
+    return buffer.includes(EICAR_SIGNATURE)
+      ? { clean: false, threat: 'Eicar-Test-Signature' }
+      : { clean: true, threat: null };
+  }
+}
+
+// Speaks clamd's INSTREAM protocol: length-prefixed chunks, then a zero-length chunk
+class ClamAvScanner {
+  constructor({ host, port, timeoutMs }) {
+    this.name = 'clamav';
+    this.host = host;
+    this.port = port;
+    this.timeoutMs = timeoutMs;
+    this.chunkSize = 64 * 1024;
+  }
+
+  scan(buffer) {
+    return new Promise((resolve, reject) => {
+      const replies = [];
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('ClamAV scan timed out')));
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+        for (let offset = 0; offset < buffer.length; offset += this.chunkSize) {
+          const chunk = buffer.subarray(offset, offset + this.chunkSize);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          socket.write(length);
+          socket.write(chunk);
+        }
+        socket.end(Buffer.alloc(4));
+      });
+      socket.on('data', data => replies.push(data));
+      socket.on('error', reject);
+      socket.on('close', (hadError) => {
+        if (hadError) return;
+        const reply = Buffer.concat(replies).toString('utf8').replace(/\0/g, '').trim();
+        const found = /^stream: (.+) FOUND$/.exec(reply);
+        if (found) {
+          resolve({ clean: false, threat: found[1] });
+        } else if (reply === 'stream: OK') {
+          resolve({ clean: true, threat: null });
+        } else {
+          reject(new Error(`Unexpected ClamAV reply: ${reply || '(none)'}`));
+        }
+      });
+    });
+  }
+}
+
+class ScannerService {
+  constructor() {
+    this.driver = process.env.SCANNER_DRIVER || 'none';
+    this.scanners = {};
+    this.register(new NoopScanner());
+    this.register(new EicarScanner());
+    this.register(new ClamAvScanner({
+      host: process.env.CLAMAV_HOST || '127.0.0.1',
+      port: parseInt(process.env.CLAMAV_PORT || '3310'),
+      timeoutMs: parseInt(process.env.CLAMAV_TIMEOUT_MS || '30000')
+    }));
+  }
+
+  // Add or replace a scanner; select it with SCANNER_DRIVER=<name>
+  register(scanner) {
+    this.scanners[scanner.name] = scanner;
+  }
+
+  getScanner() {
+    const scanner = this.scanners[this.driver];
+    if (!scanner) {
+      throw new Error(`Unknown SCANNER_DRIVER ${this.driver}`);
+    }
+    return scanner;
+  }
+
+  // Resolves to { clean, threat, scanner }; rejects if the scanner could not check the file,
+  // in which case the file must not be accepted
+  async scan(buffer) {
+    const scanner = this.getScanner();
+    const result = await scanner.scan(buffer);
+    return { clean: result.clean, threat: result.threat || null, scanner: scanner.name };
+  }
+}
+
+// Export singleton instance
+const scannerService = new ScannerService();
+module.exports = scannerService;
\ No newline at end of file
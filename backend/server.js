@@ -1,5 +1,6 @@
 require('dotenv').config();
 const express = require('express');
+const multer = require('multer');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
@@ -7,9 +8,29 @@ const db = require('./database');
 const visionService = require('./visionService');
 const aiExtractionService = require('./aiExtractionService');
 const locationService = require('./locationService');
+const authService = require('./authService');
+const emailService = require('./emailService');
+const totpService = require('./totpService');
+const policyService = require('./policyService');
+const { requireAuth, requireRole, requireReportAccess, requireDocumentAccess, requireJobAccess, requireSelf } = require('./authMiddleware');
+const { limiters, sendTooManyRequests } = require('./rateLimiter');
+const auditService = require('./auditService');
+const storageService = require('./storageService');
+const thumbnailService = require('./thumbnailService');
+const processingJobService = require('./processingJobService');
+const uploadValidationService = require('./uploadValidationService');
+const scannerService = require('./scannerService');
+const imagePreprocessingService = require('./imagePreprocessingService');
 
 const app = express();
 
+// Behind Railway/Vercel proxies req.ip must come from X-Forwarded-For for per-IP rate limits
+// (TRUST_PROXY=true, a hop count such as 1, or a list of proxy addresses)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -19,9 +40,10 @@ app.use(cors({
   credentials: true
 }));
 
-// Body parsing middleware
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Body parsing middleware. Documents arrive as multipart uploads (see receiveDocuments),
+// so JSON and form bodies stay small.
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Logging middleware
 app.use(morgan('combined'));
@@ -67,17 +89,72 @@ app.get('/api/test', (req, res) => {
     endpoints: [
       'GET /api/health - Health check with database status',
       'GET /api/test - Test connectivity',
-      'POST /api/db/init - Initialize database schema',
-      'POST /api/db/migrate - Migrate database to enhanced schema',
+      'POST /api/db/init - Initialize database schema (platform admin)',
+      'POST /api/db/migrate - Apply pending migrations, optionally as a dry run (platform admin)',
+      'GET /api/db/migrations - Migration status (platform admin)',
       'POST /api/auth/register - Enhanced user registration with IVSL fields',
       'POST /api/auth/verify-email - Email verification',
+      'GET /api/auth/verify-email - Email verification link target',
+      'POST /api/auth/resend-verification - Send a new verification email',
+      'POST /api/auth/login - Password login, returns a Bearer access token',
+      'POST /api/auth/forgot-password - Email a password reset link',
+      'POST /api/auth/reset-password - Set a new password with a reset token',
+      'POST /api/auth/change-password - Change password (requires current password)',
+      'POST /api/auth/login/2fa - Complete login with a TOTP or recovery code',
+      'GET /api/auth/2fa - Two-factor authentication status',
+      'POST /api/auth/2fa/setup - Start TOTP enrollment (returns provisioning URI)',
+      'POST /api/auth/2fa/enable - Confirm TOTP enrollment and get recovery codes',
+      'POST /api/auth/2fa/disable - Turn off two-factor authentication',
+      'POST /api/auth/2fa/recovery-codes - Regenerate recovery codes',
+      'POST /api/auth/refresh - Rotate refresh token and issue a new access token',
+      'POST /api/auth/logout - Log out the current session',
+      'POST /api/auth/logout-all - Log out all devices',
+      'GET /api/auth/sessions - List active sessions',
+      'DELETE /api/auth/sessions/:id - Revoke a session',
       'GET /api/auth/profile - Get user profile',
       'PUT /api/auth/profile - Update user profile',
       'POST /api/auth/upload-files - Upload signature/letterhead/profile picture',
-      'POST /api/ai/test - AI service testing',
-      'POST /api/vision/test - Google Vision API testing',
-      'POST /api/ai/test - OpenAI GPT-4 API testing',
-      'POST /api/documents/upload - Document upload with AI processing',
+      'POST /api/vision/test - OCR engine testing; reports the active engine, Google Vision or Tesseract (platform admin)',
+      'POST /api/ai/test - OpenAI GPT-4 API testing (platform admin)',
+      'GET /api/reports - Your reports, filtered, sorted and cursor-paginated',
+      'GET /api/search?q= - Full-text search across your reports and document text',
+      'GET /api/reports/:id - Get a report with its parcel, ownership, boundaries, buildings and valuation sections',
+      'PUT /api/reports/:id - Update status or merge-patch the data of a report you own',
+      'GET /api/reports/:id/revisions - List report revisions',
+      'GET /api/reports/:id/revisions/diff?from=&to= - Field-by-field diff of two revisions',
+      'GET /api/reports/:id/revisions/:revision - Get a revision snapshot',
+      'POST /api/reports/:id/revisions/:revision/restore - Restore an old revision (owner)',
+      'DELETE /api/reports/:id - Soft delete a report (owner)',
+      'POST /api/reports/:id/restore - Restore a deleted report (owner)',
+      'POST /api/reports/:id/archive - Archive a report (owner)',
+      'POST /api/reports/:id/unarchive - Move an archived report back to active (owner)',
+      'POST /api/reports/:id/reviewers - Assign a reviewer to your report',
+      'GET /api/reports/:id/comments - List review comments',
+      'POST /api/reports/:id/comments - Add a review comment',
+      'GET /api/reviews/assigned - Reports assigned to you for review',
+      'GET /api/admin/users - List users (platform admin, firm admin)',
+      'PUT /api/admin/users/:id/role - Change a user role',
+      'PUT /api/admin/users/:id/status - Activate or deactivate a user',
+      'PUT /api/admin/users/:id/firm - Move a user to a firm (platform admin)',
+      'GET /api/admin/firms - List firms (platform admin)',
+      'POST /api/admin/firms - Create a firm (platform admin)',
+      'GET /api/admin/audit-logs - Query the audit log (platform admin, firm admin)',
+      'DELETE /api/admin/reports/:id - Permanently purge a deleted report and its files (platform admin, firm admin)',
+      'DELETE /api/admin/documents/:id - Permanently purge a deleted document and its file (platform admin, firm admin)',
+      'POST /api/documents/upload - Upload PDF/JPEG/PNG/TIFF documents (multipart: report_id, files), skip duplicates and queue AI processing',
+      'GET /api/reports/:id/jobs - Recent document processing jobs of a report',
+      'GET /api/jobs/:id - Processing job with per-document progress',
+      'GET /api/jobs/:id/events - Processing job progress as server-sent events',
+      'POST /api/jobs/:id/retry - Retry the failed documents of a job',
+      'GET /api/reports/:id/documents - List the documents of a report with extraction summaries',
+      'GET /api/documents/:id - Document metadata, OCR text and extracted data',
+      'GET /api/documents/:id/file - Stream the original file (?download=1 to download)',
+      'GET /api/documents/:id/thumbnail - JPEG preview of an image or the first page of a PDF',
+      'GET /api/documents/:id/processed - The preprocessed image sent to OCR',
+      'GET /api/documents/:id/layout - Word-level OCR boxes and confidences, and where each extracted field was read',
+      'POST /api/documents/:id/reprocess - Run OCR and AI extraction again, optionally with new preprocessing options',
+      'DELETE /api/documents/:id - Soft delete a document (report owner)',
+      'POST /api/documents/:id/restore - Restore a deleted document (report owner)',
       'POST /api/location/analyze - GPS coordinate location analysis',
       'GET /api/location/amenities - Find nearby amenities',
       'POST /api/location/test - Google Maps API testing'
@@ -85,13 +162,18 @@ app.get('/api/test', (req, res) => {
   });
 });
 
-// Database initialization endpoint
-app.post('/api/db/init', async (req, res) => {
+// Database initialization endpoint (platform admins only)
+app.post('/api/db/init', requireAuth, requireRole('platform_admin'), async (req, res) => {
   try {
-    await db.initializeSchema();
+    const result = await db.initializeSchema();
+    await auditService.record(req, {
+      action: 'schema.initialized',
+      metadata: { migrations: result.migrations.map(m => m.name) }
+    });
     res.json({
       success: true,
       message: '✅ Database schema initialized successfully',
+      migrations_applied: result.migrations,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -105,14 +187,37 @@ app.post('/api/db/init', async (req, res) => {
   }
 });
 
-// Database migration endpoint for enhanced user fields
-app.post('/api/db/migrate', async (req, res) => {
+// Apply pending migrations (platform admins only). Body: { dry_run, to }
+app.post('/api/db/migrate', requireAuth, requireRole('platform_admin'), async (req, res) => {
   try {
     const { migrateDatabase } = require('./migrate-database');
-    await migrateDatabase();
+    const dryRun = req.body.dry_run === true;
+    const to = req.body.to !== undefined ? parseInt(req.body.to, 10) : null;
+
+    if (Number.isNaN(to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'to must be a migration version number'
+      });
+    }
+
+    const result = await migrateDatabase({ dryRun, to });
+    if (!dryRun) {
+      await auditService.record(req, {
+        action: 'schema.migrated',
+        metadata: { migrations: result.migrations.map(m => m.name) }
+      });
+    }
+
     res.json({
       success: true,
-      message: '✅ Database migration completed successfully',
+      message: dryRun
+        ? `✅ Dry run: ${result.migrations.length} pending migration(s) ran cleanly and were rolled back`
+        : '✅ Database migration completed successfully',
+      dry_run: dryRun,
+      migrations_applied: dryRun ? [] : result.migrations,
+      pending_migrations: dryRun ? result.migrations : undefined,
+      statements: result.statements,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -126,8 +231,32 @@ app.post('/api/db/migrate', async (req, res) => {
   }
 });
 
+// Migration status (platform admins only)
+app.get('/api/db/migrations', requireAuth, requireRole('platform_admin'), async (req, res) => {
+  try {
+    const migrationRunner = require('./migrationRunner');
+    const { migrations, missing } = await migrationRunner.status();
+
+    res.json({
+      success: true,
+      migrations: migrations,
+      pending: migrations.filter(m => !m.applied).length,
+      missing_files: missing,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Migration status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read migration status',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Enhanced user registration endpoint with IVSL professional fields
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', limiters.authByIp, async (req, res) => {
   try {
     const {
       email, password,
@@ -148,6 +277,14 @@ app.post('/api/auth/register', async (req, res) => {
       });
     }
 
+    const passwordError = authService.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError
+      });
+    }
+
     // Validate IVSL registration if provided
     if (ivsl_registration && ivsl_registration.length < 3) {
       return res.status(400).json({
@@ -170,542 +307,3079 @@ app.post('/api/auth/register', async (req, res) => {
     if (existingUser) {
       return res.status(409).json({
         success: false,
-        error: 'User with this email already exists'
+        error: 'User with this email already exists'
+      });
+    }
+
+    const password_hash = await authService.hashPassword(password);
+
+    // Generate email verification token
+    const verification = authService.generateEmailVerificationToken();
+
+    // Create user with all professional fields
+    const newUser = await db.createUser({
+      email, password_hash, honorable, full_name, professional_title,
+      qualifications: qualifications || [],
+      ivsl_registration, professional_status, ivsl_membership_type,
+      house_number, street_name, area_name, city, district,
+      phone_number, mobile_number, alternative_contact,
+      email_verification_token: verification.token,
+      email_verification_expires_at: verification.expiresAt
+    });
+
+    await auditService.record(req, {
+      action: 'user.registered',
+      actor: newUser,
+      targetType: 'user',
+      targetId: newUser.id
+    });
+
+    // A failed send should not fail registration - the valuer can request a resend
+    let verificationEmailSent = true;
+    try {
+      await emailService.sendVerificationEmail(newUser, verification);
+    } catch (emailError) {
+      verificationEmailSent = false;
+      console.error('Verification email error:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: '✅ User registered successfully. Please check your email for verification.',
+      user: {
+        id: newUser.id,
+        email: newUser.email,
+        honorable: newUser.honorable,
+        full_name: newUser.full_name,
+        professional_title: newUser.professional_title,
+        ivsl_registration: newUser.ivsl_registration,
+        created_at: newUser.created_at
+      },
+      verification_required: true,
+      verification_email_sent: verificationEmailSent,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('User registration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register user',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Email verification endpoint
+app.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    const { email, token } = req.body;
+
+    if (!email || !token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and verification token are required'
+      });
+    }
+
+    const verifiedUser = await db.verifyUserEmail(email, token);
+    if (!verifiedUser) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '✅ Email verified successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify email',
+      details: error.message
+    });
+  }
+});
+
+// Email verification link target - verifies and redirects to the login page
+app.get('/api/auth/verify-email', async (req, res) => {
+  const loginUrl = `${emailService.frontendUrl}/login`;
+
+  try {
+    const { email, token } = req.query;
+    const verifiedUser = email && token ? await db.verifyUserEmail(email, token) : null;
+
+    res.redirect(verifiedUser ? `${loginUrl}?verified=1` : `${loginUrl}?verification=invalid`);
+
+  } catch (error) {
+    console.error('Email verification link error:', error);
+    res.redirect(`${loginUrl}?verification=error`);
+  }
+});
+
+// Resend the verification email with a fresh token
+app.post('/api/auth/resend-verification', limiters.authByIp, limiters.emailByAccount, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    const user = await db.getUserByEmail(email);
+    if (user && !user.email_verified) {
+      const verification = authService.generateEmailVerificationToken();
+      await db.setEmailVerificationToken(user.id, verification.token, verification.expiresAt);
+      await emailService.sendVerificationEmail(user, verification);
+    }
+
+    // Same response whether or not the account exists to avoid account enumeration
+    res.json({
+      success: true,
+      message: '✅ If an unverified account exists for this email, a new verification link has been sent.',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resend verification email',
+      details: error.message
+    });
+  }
+});
+
+// Request a password reset link
+app.post('/api/auth/forgot-password', limiters.authByIp, limiters.emailByAccount, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    const user = await db.getUserByEmail(email);
+    if (user && user.is_active) {
+      const reset = authService.generatePasswordResetToken();
+      await db.createPasswordResetToken(user.id, reset.tokenHash, reset.expiresAt);
+      await auditService.record(req, { action: 'auth.password_reset_requested', actor: user, targetType: 'user', targetId: user.id });
+      await emailService.sendPasswordResetEmail(user, reset);
+    }
+
+    // Same response whether or not the account exists to avoid account enumeration
+    res.json({
+      success: true,
+      message: '✅ If an account exists for this email, a password reset link has been sent.',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request password reset',
+      details: error.message
+    });
+  }
+});
+
+// Set a new password using a reset token from the email link
+app.post('/api/auth/reset-password', limiters.authByIp, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token and new password are required'
+      });
+    }
+
+    const passwordError = authService.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError
+      });
+    }
+
+    const userId = await db.consumePasswordResetToken(authService.hashToken(token));
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    await db.updateUserPassword(userId, await authService.hashPassword(password));
+
+    // Sign out every device that was using the old password and lift any lockout
+    await db.revokeUserSessions(userId);
+    await db.resetFailedLogins(userId);
+
+    await auditService.record(req, {
+      action: 'auth.password_reset',
+      actor: await db.getUserById(userId),
+      targetType: 'user',
+      targetId: userId
+    });
+
+    res.json({
+      success: true,
+      message: '✅ Password reset successfully. You can now sign in with your new password.',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password',
+      details: error.message
+    });
+  }
+});
+
+// Change password for the logged-in user (requires the current password)
+app.post('/api/auth/change-password', requireAuth, limiters.accountByUser, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password and new password are required'
+      });
+    }
+
+    const passwordError = authService.validatePassword(new_password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError
+      });
+    }
+
+    const user = await db.getUserById(req.user.id);
+    if (!(await authService.verifyPassword(current_password, user.password_hash))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    await db.updateUserPassword(user.id, await authService.hashPassword(new_password));
+
+    // Keep this session, sign out everywhere else
+    await db.revokeUserSessions(user.id, req.user.session_id);
+    await auditService.record(req, { action: 'auth.password_changed', targetType: 'user', targetId: user.id });
+
+    res.json({
+      success: true,
+      message: '✅ Password changed successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password',
+      details: error.message
+    });
+  }
+});
+
+// Profile columns that may be sent to the account holder. Anything not listed (password and
+// token hashes, the TOTP secret, lockout counters) stays on the server.
+const publicUserColumns = [
+  'id', 'email', 'honorable', 'full_name', 'professional_title', 'qualifications',
+  'ivsl_registration', 'professional_status', 'ivsl_membership_type',
+  'house_number', 'street_name', 'area_name', 'city', 'district',
+  'phone_number', 'mobile_number', 'alternative_contact',
+  'signature_path', 'letterhead_path', 'profile_picture_path',
+  'role', 'firm_id', 'is_active', 'email_verified', 'totp_enabled', 'created_at', 'updated_at'
+];
+
+const publicUser = (user) => Object.fromEntries(
+  publicUserColumns.filter(column => column in user).map(column => [column, user[column]])
+);
+
+// Create a login session and issue its access and refresh tokens
+const startSession = async (user, req) => {
+  const refreshToken = authService.generateRefreshToken();
+  const session = await db.createSession({
+    user_id: user.id,
+    refresh_token_hash: refreshToken.tokenHash,
+    user_agent: (req.get('user-agent') || '').slice(0, 500),
+    ip_address: req.ip,
+    expires_at: refreshToken.expiresAt
+  });
+  const accessToken = authService.generateAccessToken(user, session.id);
+
+  return {
+    access_token: accessToken.token,
+    token_type: 'Bearer',
+    expires_at: accessToken.expiresAt,
+    refresh_token: refreshToken.token,
+    refresh_expires_at: refreshToken.expiresAt.toISOString(),
+    session_id: session.id
+  };
+};
+
+// Check a TOTP code (rejecting replays) or consume a single-use recovery code
+const verifySecondFactor = async (user, { code, recovery_code }) => {
+  if (!user.totp_enabled || !user.totp_secret) return false;
+
+  if (recovery_code) {
+    const codeHash = authService.hashToken(totpService.normalizeRecoveryCode(recovery_code));
+    return !!(await db.consumeRecoveryCode(user.id, codeHash));
+  }
+
+  const step = totpService.verifyCode(totpService.openSecret(user.totp_secret), code, user.totp_last_used_step);
+  return step !== null && !!(await db.markTotpStepUsed(user.id, step));
+};
+
+// Count a failed password or 2FA attempt; returns the lock duration in seconds if this attempt locked the account
+const recordFailedLogin = async (req, user, reason) => {
+  const result = await db.recordFailedLogin(user.id, authService.loginLockoutThreshold, authService.loginLockoutMinutes);
+  const lockedFor = authService.lockoutSecondsRemaining(result);
+
+  await auditService.record(req, {
+    action: 'auth.login_failed',
+    targetType: 'user',
+    targetId: user.id,
+    metadata: { email: user.email, reason }
+  });
+
+  if (lockedFor > 0) {
+    console.warn(`⚠️ Account ${user.email} locked after ${authService.loginLockoutThreshold} failed login attempts`);
+    await auditService.record(req, {
+      action: 'auth.account_locked',
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { locked_until: result.locked_until }
+    });
+  }
+  return lockedFor;
+};
+
+const hashRecoveryCodes = (codes) =>
+  codes.map(code => authService.hashToken(totpService.normalizeRecoveryCode(code)));
+
+// Login endpoint - verifies the password and starts a session
+app.post('/api/auth/login', limiters.authByIp, limiters.loginByAccount, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    const user = await db.getUserByEmail(email);
+
+    const lockedFor = authService.lockoutSecondsRemaining(user);
+    if (lockedFor > 0) {
+      return sendTooManyRequests(res, lockedFor, 'This account is temporarily locked after repeated failed logins. Try again later or reset your password.');
+    }
+
+    const passwordValid = user && await authService.verifyPassword(password, user.password_hash);
+
+    // Same response for unknown email and wrong password to avoid account enumeration
+    if (!passwordValid) {
+      if (user) {
+        const lockedNowFor = await recordFailedLogin(req, user, 'invalid_password');
+        if (lockedNowFor > 0) {
+          return sendTooManyRequests(res, lockedNowFor, 'This account is temporarily locked after repeated failed logins. Try again later or reset your password.');
+        }
+      } else {
+        await auditService.record(req, { action: 'auth.login_failed', metadata: { email, reason: 'unknown_email' } });
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    if (!user.is_active) {
+      return res.status(403).json({
+        success: false,
+        error: 'This account has been deactivated'
+      });
+    }
+
+    if (!user.email_verified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please verify your email address before logging in.',
+        verification_required: true
+      });
+    }
+
+    // Accounts with 2FA finish signing in at /api/auth/login/2fa
+    // and only clear their failed attempts once the second factor passes
+    if (user.totp_enabled) {
+      return res.json({
+        success: true,
+        message: '🔐 Two-factor authentication code required',
+        two_factor_required: true,
+        two_factor_token: authService.generateTwoFactorToken(user),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await db.resetFailedLogins(user.id);
+    const tokens = await startSession(user, req);
+    await auditService.record(req, {
+      action: 'auth.login',
+      actor: user,
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { session_id: tokens.session_id, two_factor: false }
+    });
+
+    res.json({
+      success: true,
+      message: '✅ Login successful',
+      ...tokens,
+      user: publicUser(user),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in',
+      details: error.message
+    });
+  }
+});
+
+// Second login step for accounts with 2FA enabled
+app.post('/api/auth/login/2fa', limiters.authByIp, async (req, res) => {
+  try {
+    const { two_factor_token, code, recovery_code } = req.body;
+
+    if (!two_factor_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor token and an authentication or recovery code are required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = authService.verifyTwoFactorToken(two_factor_token);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Two-factor login expired. Please sign in again.'
+      });
+    }
+
+    const user = await db.getUserById(payload.sub);
+
+    const lockedFor = authService.lockoutSecondsRemaining(user);
+    if (lockedFor > 0) {
+      return sendTooManyRequests(res, lockedFor, 'This account is temporarily locked after repeated failed logins. Try again later or reset your password.');
+    }
+
+    if (!user || !user.is_active || !(await verifySecondFactor(user, { code, recovery_code }))) {
+      if (user) {
+        const lockedNowFor = await recordFailedLogin(req, user, 'invalid_second_factor');
+        if (lockedNowFor > 0) {
+          return sendTooManyRequests(res, lockedNowFor, 'This account is temporarily locked after repeated failed logins. Try again later or reset your password.');
+        }
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    await db.resetFailedLogins(user.id);
+    const tokens = await startSession(user, req);
+    await auditService.record(req, {
+      action: 'auth.login',
+      actor: user,
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { session_id: tokens.session_id, two_factor: true, recovery_code_used: !!recovery_code }
+    });
+
+    res.json({
+      success: true,
+      message: '✅ Login successful',
+      ...tokens,
+      user: publicUser(user),
+      recovery_codes_remaining: recovery_code ? await db.countRecoveryCodes(user.id) : undefined,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in',
+      details: error.message
+    });
+  }
+});
+
+// Two-factor authentication status for the logged-in user
+app.get('/api/auth/2fa', requireAuth, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.id);
+
+    res.json({
+      success: true,
+      enabled: !!user.totp_enabled,
+      recovery_codes_remaining: user.totp_enabled ? await db.countRecoveryCodes(user.id) : 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get two-factor status',
+      details: error.message
+    });
+  }
+});
+
+// Start 2FA enrollment - returns a secret and provisioning URI for an authenticator app
+app.post('/api/auth/2fa/setup', requireAuth, async (req, res) => {
+  try {
+    const secret = totpService.generateSecret();
+    const pending = await db.setPendingTotpSecret(req.user.id, totpService.sealSecret(secret));
+
+    if (!pending) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '✅ Scan the code with your authenticator app, then confirm with a code from it',
+      secret: secret,
+      provisioning_uri: totpService.buildProvisioningUri(req.user.email, secret),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup',
+      details: error.message
+    });
+  }
+});
+
+// Confirm enrollment with a code from the app; returns recovery codes once
+app.post('/api/auth/2fa/enable', requireAuth, limiters.accountByUser, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await db.getUserById(req.user.id);
+
+    if (user.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totpService.verifyCode(totpService.openSecret(user.totp_secret), code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = totpService.generateRecoveryCodes();
+    await db.enableTotp(user.id, step, hashRecoveryCodes(recoveryCodes));
+    await auditService.record(req, { action: 'auth.2fa_enabled', targetType: 'user', targetId: user.id });
+
+    res.json({
+      success: true,
+      message: '✅ Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recovery_codes: recoveryCodes,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication',
+      details: error.message
+    });
+  }
+});
+
+// Turn 2FA off (requires the password and a current code or recovery code)
+app.post('/api/auth/2fa/disable', requireAuth, limiters.accountByUser, async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+    const user = await db.getUserById(req.user.id);
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await authService.verifyPassword(password, user.password_hash))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recovery_code }))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    await db.disableTotp(user.id);
+    await auditService.record(req, { action: 'auth.2fa_disabled', targetType: 'user', targetId: user.id });
+
+    res.json({
+      success: true,
+      message: '✅ Two-factor authentication disabled',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication',
+      details: error.message
+    });
+  }
+});
+
+// Replace all recovery codes (requires a current code)
+app.post('/api/auth/2fa/recovery-codes', requireAuth, limiters.accountByUser, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await db.getUserById(req.user.id);
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = totpService.generateRecoveryCodes();
+    await db.replaceRecoveryCodes(user.id, hashRecoveryCodes(recoveryCodes));
+    await auditService.record(req, { action: 'auth.recovery_codes_regenerated', targetType: 'user', targetId: user.id });
+
+    res.json({
+      success: true,
+      message: '✅ New recovery codes generated. Your old codes no longer work.',
+      recovery_codes: recoveryCodes,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Recovery code generation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate recovery codes',
+      details: error.message
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token. Refresh tokens rotate on every use;
+// presenting an already-rotated token revokes the session, since it may have been stolen.
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    const tokenHash = authService.hashToken(refresh_token);
+    const session = await db.getSessionByRefreshToken(tokenHash);
+    const invalid = () => res.status(401).json({
+      success: false,
+      error: 'Invalid or expired refresh token'
+    });
+
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return invalid();
+    }
+
+    if (session.refresh_token_hash !== tokenHash) {
+      console.warn(`⚠️ Reused refresh token for session ${session.id}, revoking session`);
+      await db.revokeSession(session.id, session.user_id);
+      return invalid();
+    }
+
+    const user = await db.getUserById(session.user_id);
+    if (!user || !user.is_active) {
+      await db.revokeSession(session.id, session.user_id);
+      return invalid();
+    }
+
+    const refreshToken = authService.generateRefreshToken();
+    const rotated = await db.rotateSessionToken(session.id, tokenHash, refreshToken.tokenHash, refreshToken.expiresAt);
+    if (!rotated) {
+      return invalid();
+    }
+
+    const accessToken = authService.generateAccessToken(user, session.id);
+
+    res.json({
+      success: true,
+      message: '✅ Session refreshed',
+      access_token: accessToken.token,
+      token_type: 'Bearer',
+      expires_at: accessToken.expiresAt,
+      refresh_token: refreshToken.token,
+      refresh_expires_at: refreshToken.expiresAt.toISOString(),
+      session_id: session.id,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh session',
+      details: error.message
+    });
+  }
+});
+
+// Log out the current session
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await db.revokeSession(req.user.session_id, req.user.id);
+    await auditService.record(req, { action: 'auth.logout', targetType: 'session', targetId: req.user.session_id });
+
+    res.json({
+      success: true,
+      message: '✅ Logged out successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+      details: error.message
+    });
+  }
+});
+
+// Log out every device, including this one
+app.post('/api/auth/logout-all', requireAuth, async (req, res) => {
+  try {
+    const revoked = await db.revokeUserSessions(req.user.id);
+    await auditService.record(req, { action: 'auth.logout_all', targetType: 'user', targetId: req.user.id, metadata: { sessions_revoked: revoked } });
+
+    res.json({
+      success: true,
+      message: '✅ Logged out of all devices',
+      sessions_revoked: revoked,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out of all devices',
+      details: error.message
+    });
+  }
+});
+
+// List active sessions for the logged-in user
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await db.getUserSessions(req.user.id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.session_id
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions',
+      details: error.message
+    });
+  }
+});
+
+// Revoke one of the logged-in user's sessions
+app.delete('/api/auth/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const revoked = await db.revokeSession(req.params.id, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await auditService.record(req, { action: 'auth.session_revoked', targetType: 'session', targetId: revoked.id });
+
+    res.json({
+      success: true,
+      message: '✅ Session revoked',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session',
+      details: error.message
+    });
+  }
+});
+
+// Get user profile endpoint
+app.get('/api/auth/profile', requireAuth, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: publicUser(user),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch profile',
+      details: error.message
+    });
+  }
+});
+
+// Update user profile endpoint (PUT method)
+app.put('/api/auth/profile', requireAuth, async (req, res) => {
+  try {
+    const { userId, ...profileData } = req.body;
+
+    // The profile always belongs to the token holder; naming another user is rejected
+    if (userId && !policyService.canAccessUser(req.user, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only update your own profile'
+      });
+    }
+
+    const previousUser = await db.getUserById(req.user.id);
+    const updatedUser = await db.updateUserProfile(req.user.id, profileData);
+    if (!updatedUser) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'profile.updated',
+      targetType: 'user',
+      targetId: updatedUser.id,
+      before: previousUser,
+      after: updatedUser
+    });
+
+    res.json({
+      success: true,
+      message: '✅ Profile updated successfully',
+      user: publicUser(updatedUser),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile',
+      details: error.message
+    });
+  }
+});
+
+// Update user profile endpoint (POST method for frontend compatibility)
+app.post('/api/auth/update-profile', requireAuth, async (req, res) => {
+  try {
+    const { userId, ...profileData } = req.body;
+
+    // The profile always belongs to the token holder; naming another user is rejected
+    if (userId && !policyService.canAccessUser(req.user, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only update your own profile'
+      });
+    }
+
+    // Validate honorable values if provided
+    if (profileData.honorable) {
+      const validHonorables = ['Dr', 'Mr', 'Vlr', 'Ms', 'Mrs'];
+      if (!validHonorables.includes(profileData.honorable)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid title. Must be one of: Dr, Mr, Vlr, Ms, Mrs'
+        });
+      }
+    }
+
+    // Validate IVSL membership type if provided
+    if (profileData.ivsl_membership_type) {
+      const validMemberships = ['Fellow', 'Member', 'Associate', 'Student'];
+      if (!validMemberships.includes(profileData.ivsl_membership_type)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid IVSL membership type'
+        });
+      }
+    }
+
+    // Validate professional status if provided
+    if (profileData.professional_status) {
+      const validStatuses = ['Licensed Valuer', 'Provisional Valuer', 'Trainee Valuer', 'Consulting Valuer'];
+      if (!validStatuses.includes(profileData.professional_status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid professional status'
+        });
+      }
+    }
+
+    const previousUser = await db.getUserById(req.user.id);
+    const updatedUser = await db.updateUserProfile(req.user.id, profileData);
+    if (!updatedUser) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'profile.updated',
+      targetType: 'user',
+      targetId: updatedUser.id,
+      before: previousUser,
+      after: updatedUser
+    });
+
+    res.json({
+      success: true,
+      message: '✅ Profile updated successfully',
+      user: publicUser(updatedUser),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile',
+      details: error.message
+    });
+  }
+});
+
+// Create new valuation report
+app.post('/api/reports/create', requireAuth, async (req, res) => {
+  try {
+    const { report_reference, client_reference, property_address, gps_coordinates } = req.body;
+
+    if (!report_reference) {
+      return res.status(400).json({
+        success: false,
+        error: 'Report reference is required'
+      });
+    }
+
+    // Check if report reference is unique
+    const existingReport = await db.query('SELECT id FROM valuation_reports WHERE report_reference = $1', [report_reference]);
+    if (existingReport.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Report reference already exists. Please use a unique reference.'
+      });
+    }
+
+    const newReport = await db.createReport({
+      valuer_id: req.user.id,
+      report_reference,
+      client_reference,
+      property_address,
+      gps_coordinates
+    });
+
+    await auditService.record(req, {
+      action: 'report.created',
+      targetType: 'report',
+      targetId: newReport.id,
+      after: newReport
+    });
+
+    res.status(201).json({
+      success: true,
+      message: '✅ Report created successfully',
+      report: newReport,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Report creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create report',
+      details: error.message
+    });
+  }
+});
+
+// Query string of the report listing. Returns { options } or { error }.
+const parseReportListQuery = (query) => {
+  const { state = 'active', sort = 'created_at', order = 'desc', from, to, client_reference, district, cursor } = query;
+  const options = { state, sort, order, from, to, client_reference, district };
+
+  if (!['active', 'archived', 'deleted', 'all'].includes(state)) {
+    return { error: 'state must be one of: active, archived, deleted, all' };
+  }
+  if (!db.reportSortKeys[sort]) {
+    return { error: `sort must be one of: ${Object.keys(db.reportSortKeys).join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value)))) {
+      return { error: `${name} must be a date (YYYY-MM-DD)` };
+    }
+  }
+  if (from && to && from > to) {
+    return { error: 'from must not be after to' };
+  }
+  for (const name of ['min_value', 'max_value']) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${name} must be a non-negative number` };
+    }
+    options[name] = value;
+  }
+  if (options.min_value !== undefined && options.max_value !== undefined && options.min_value > options.max_value) {
+    return { error: 'min_value must not exceed max_value' };
+  }
+
+  // status=draft,completed
+  if (query.status) {
+    options.status = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+  }
+  options.limit = Math.min(Math.max(parseInt(query.limit) || 25, 1), 100);
+
+  if (cursor) {
+    options.cursor = db.decodeReportCursor(cursor);
+    if (!options.cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+  return { options };
+};
+
+// Paginated report listing shared by /api/reports and /api/reports/user/:userId.
+// Pass next_cursor back as ?cursor= with the same filters to fetch the following page.
+const listReports = (getValuerId) => async (req, res) => {
+  try {
+    const { options, error } = parseReportListQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    const { reports, total, nextCursor } = await db.listReports(getValuerId(req), options);
+
+    res.json({
+      success: true,
+      reports: reports,
+      count: reports.length,
+      total: total,
+      next_cursor: nextCursor ? db.encodeReportCursor(nextCursor) : null,
+      sort: options.sort,
+      order: options.order,
+      limit: options.limit,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Fetch reports error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reports',
+      details: error.message
+    });
+  }
+};
+
+// List the signed-in valuer's reports.
+// ?state=active (default), archived, deleted or all (active and archived)
+// ?status=draft,completed &from=&to= (created, YYYY-MM-DD, inclusive) &client_reference= (partial)
+// &district= &min_value=&max_value= (market value, LKR)
+// ?sort=created_at|updated_at|report_reference|client_reference|market_value &order=desc|asc
+// ?limit= (default 25, max 100) &cursor=
+app.get('/api/reports', requireAuth, listReports(req => req.user.id));
+
+// Same listing for a given user (only the user themselves)
+app.get('/api/reports/user/:userId', requireAuth, requireSelf('userId'), listReports(req => req.params.userId));
+
+// Full-text search across your reports (references, address, parcel, owners, deed and plan numbers)
+// and their documents' OCR text. ?q= (web search syntax) &type=all|reports|documents &limit= (default 10, max 50)
+app.get('/api/search', requireAuth, async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    const { type = 'all' } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query (q) is required'
+      });
+    }
+    if (query.length > 200) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query must be at most 200 characters'
+      });
+    }
+    if (!['all', 'reports', 'documents'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'type must be one of: all, reports, documents'
+      });
+    }
+
+    const { reports, documents } = await db.search(query, {
+      userId: req.user.id,
+      includeAssigned: policyService.hasRole(req.user, 'reviewer'),
+      types: type === 'all' ? ['reports', 'documents'] : [type],
+      limit
+    });
+
+    res.json({
+      success: true,
+      query: query,
+      reports: reports.map(report => ({ ...report, url: `/api/reports/${report.id}` })),
+      documents: documents.map(document => ({
+        ...document,
+        url: `/api/documents/${document.id}`,
+        report_url: `/api/reports/${document.report_id}`
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Search failed',
+      details: error.message
+    });
+  }
+});
+
+// Get a single report with its normalized content sections
+app.get('/api/reports/:id', requireAuth, requireReportAccess(req => req.params.id), async (req, res) => {
+  try {
+    const content = await db.getReportContent(req.report.id);
+
+    res.json({
+      success: true,
+      report: req.report,
+      content: content,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Fetch report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch report',
+      details: error.message
+    });
+  }
+});
+
+// Update report status and data. report_data is a merge patch: nested objects are merged
+// into the existing data and null removes a field. Fields set here are recorded as manual edits.
+app.put('/api/reports/:id', requireAuth, requireReportAccess(req => req.params.id, 'update'), async (req, res) => {
+  try {
+    const { status, report_data } = req.body;
+
+    if (!status && !report_data) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status or report data is required'
+      });
+    }
+
+    if (report_data !== undefined && (report_data === null || typeof report_data !== 'object' || Array.isArray(report_data))) {
+      return res.status(400).json({
+        success: false,
+        error: 'report_data must be an object'
+      });
+    }
+
+    const { report: updatedReport } = await db.updateReport(req.report.id, {
+      status,
+      report_data,
+      provenance: { source: 'manual', user_id: req.user.id },
+      updated_by: req.user.id
+    });
+    await auditService.record(req, {
+      action: 'report.updated',
+      targetType: 'report',
+      targetId: updatedReport.id,
+      before: req.report,
+      after: updatedReport,
+      metadata: report_data ? { source: 'manual' } : undefined
+    });
+
+    res.json({
+      success: true,
+      message: '✅ Report updated successfully',
+      report: updatedReport,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Report update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update report',
+      details: error.message
+    });
+  }
+});
+
+// Soft delete a report (owner only). It disappears from listings and can be restored.
+app.delete('/api/reports/:id', requireAuth, requireReportAccess(req => req.params.id, 'update'), async (req, res) => {
+  try {
+    const deletedReport = await db.deleteReport(req.report.id, req.user.id);
+    await auditService.record(req, {
+      action: 'report.deleted',
+      targetType: 'report',
+      targetId: req.report.id,
+      metadata: { report_reference: req.report.report_reference }
+    });
+
+    res.json({
+      success: true,
+      message: '✅ Report deleted. It can be restored until an admin purges it.',
+      report: deletedReport,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Report delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete report',
+      details: error.message
+    });
+  }
+});
+
+// Restore a soft-deleted report (owner only)
+app.post('/api/reports/:id/restore', requireAuth, requireReportAccess(req => req.params.id, 'update', { includeDeleted: true }), async (req, res) => {
+  try {
+    const restoredReport = await db.undeleteReport(req.report.id);
+    if (!restoredReport) {
+      return res.status(409).json({
+        success: false,
+        error: 'Report is not deleted'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'report.undeleted',
+      targetType: 'report',
+      targetId: req.report.id
+    });
+
+    res.json({
+      success: true,
+      message: '✅ Report restored successfully',
+      report: restoredReport,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Report restore error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore report',
+      details: error.message
+    });
+  }
+});
+
+// Archive a finished engagement (owner only). Archived reports stay readable but are
+// hidden from the default report list.
+app.post('/api/reports/:id/archive', requireAuth, requireReportAccess(req => req.params.id, 'update'), async (req, res) => {
+  try {
+    const archivedReport = await db.archiveReport(req.report.id, req.user.id);
+    if (!archivedReport) {
+      return res.status(409).json({
+        success: false,
+        error: 'Report is already archived'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'report.archived',
+      targetType: 'report',
+      targetId: req.report.id
+    });
+
+    res.json({
+      success: true,
+      message: '✅ Report archived successfully',
+      report: archivedReport,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Report archive error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to archive report',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/reports/:id/unarchive', requireAuth, requireReportAccess(req => req.params.id, 'update'), async (req, res) => {
+  try {
+    const unarchivedReport = await db.unarchiveReport(req.report.id);
+    if (!unarchivedReport) {
+      return res.status(409).json({
+        success: false,
+        error: 'Report is not archived'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'report.unarchived',
+      targetType: 'report',
+      targetId: req.report.id
+    });
+
+    res.json({
+      success: true,
+      message: '✅ Report moved back to active reports',
+      report: unarchivedReport,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Report unarchive error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unarchive report',
+      details: error.message
+    });
+  }
+});
+
+// Fields compared between revisions
+const revisionSnapshot = (revision) => ({
+  status: revision.status,
+  client_reference: revision.client_reference,
+  property_address: revision.property_address,
+  gps_coordinates: revision.gps_coordinates,
+  report_data: revision.report_data
+});
+
+const parseRevisionNumber = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// List a report's revisions, newest first
+app.get('/api/reports/:id/revisions', requireAuth, requireReportAccess(req => req.params.id), async (req, res) => {
+  try {
+    const revisions = await db.getReportRevisions(req.report.id);
+
+    res.json({
+      success: true,
+      revisions: revisions,
+      count: revisions.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Fetch revisions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch revisions',
+      details: error.message
+    });
+  }
+});
+
+// Field-by-field diff between two revisions (?from=<n>&to=<n>; to defaults to the latest,
+// from to the revision before it)
+app.get('/api/reports/:id/revisions/diff', requireAuth, requireReportAccess(req => req.params.id), async (req, res) => {
+  try {
+    let to = req.query.to !== undefined ? parseRevisionNumber(req.query.to) : null;
+    if (req.query.to !== undefined && to === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'to must be a revision number'
+      });
+    }
+    if (to === null) {
+      const [latest] = await db.getReportRevisions(req.report.id);
+      to = latest ? latest.revision_number : null;
+    }
+
+    const from = req.query.from !== undefined ? parseRevisionNumber(req.query.from) : (to > 1 ? to - 1 : null);
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must be a revision number'
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      db.getReportRevision(req.report.id, from),
+      db.getReportRevision(req.report.id, to)
+    ]);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    const changes = auditService.diff(revisionSnapshot(fromRevision), revisionSnapshot(toRevision)) || {};
+
+    res.json({
+      success: true,
+      from: { revision_number: from, created_at: fromRevision.created_at, created_by_name: fromRevision.created_by_name },
+      to: { revision_number: to, created_at: toRevision.created_at, created_by_name: toRevision.created_by_name },
+      changes: Object.keys(changes).sort().map(path => ({ path, ...changes[path] })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Revision diff error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare revisions',
+      details: error.message
+    });
+  }
+});
+
+// Fetch one revision with its full snapshot
+app.get('/api/reports/:id/revisions/:revision', requireAuth, requireReportAccess(req => req.params.id), async (req, res) => {
+  try {
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+    const revision = revisionNumber && await db.getReportRevision(req.report.id, revisionNumber);
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      revision: revision,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Fetch revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch revision',
+      details: error.message
+    });
+  }
+});
+
+// Restore the content of an old revision (report owner only). The restore is itself a new revision.
+app.post('/api/reports/:id/revisions/:revision/restore', requireAuth, requireReportAccess(req => req.params.id, 'update'), async (req, res) => {
+  try {
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+    const restored = revisionNumber && await db.restoreReportRevision(req.report.id, revisionNumber, req.user.id);
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'report.restored',
+      targetType: 'report',
+      targetId: req.report.id,
+      before: req.report,
+      after: restored.report,
+      metadata: { restored_from: revisionNumber, revision_number: restored.revision.revision_number }
+    });
+
+    res.json({
+      success: true,
+      message: `✅ Report restored to revision ${revisionNumber}`,
+      report: restored.report,
+      revision: restored.revision,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore revision',
+      details: error.message
+    });
+  }
+});
+
+// Assign a reviewer to a report (report owner only)
+app.post('/api/reports/:id/reviewers', requireAuth, requireReportAccess(req => req.params.id, 'update'), async (req, res) => {
+  try {
+    const { reviewer_id } = req.body;
+
+    if (!reviewer_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reviewer ID is required'
+      });
+    }
+
+    const reviewer = await db.getUserById(reviewer_id);
+    if (!reviewer || !reviewer.is_active || reviewer.role !== 'reviewer') {
+      return res.status(400).json({
+        success: false,
+        error: 'Reviewer must be an active user with the reviewer role'
+      });
+    }
+
+    const assignment = await db.assignReportReviewer(req.report.id, reviewer.id, req.user.id);
+    await auditService.record(req, {
+      action: 'report.reviewer_assigned',
+      targetType: 'report',
+      targetId: req.report.id,
+      metadata: { reviewer_id: reviewer.id }
+    });
+
+    try {
+      await emailService.sendNotification(reviewer, {
+        title: 'New report assigned for review',
+        message: `Valuation report ${req.report.report_reference} has been assigned to you for review.`,
+        actionPath: '/dashboard',
+        actionLabel: 'Open Dashboard'
+      });
+    } catch (emailError) {
+      console.error('Reviewer notification error:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: '✅ Reviewer assigned successfully',
+      assignment: assignment,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Reviewer assignment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign reviewer',
+      details: error.message
+    });
+  }
+});
+
+// List review comments on a report (owner or assigned reviewer)
+app.get('/api/reports/:id/comments', requireAuth, requireReportAccess(req => req.params.id, 'comment'), async (req, res) => {
+  try {
+    const comments = await db.getReportComments(req.report.id);
+
+    res.json({
+      success: true,
+      comments: comments,
+      count: comments.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Fetch comments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comments',
+      details: error.message
+    });
+  }
+});
+
+// Add a review comment to a report (owner or assigned reviewer)
+app.post('/api/reports/:id/comments', requireAuth, requireReportAccess(req => req.params.id, 'comment'), async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    if (!comment || !comment.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Comment text is required'
+      });
+    }
+
+    const newComment = await db.addReportComment(req.report.id, req.user.id, comment.trim());
+    await auditService.record(req, {
+      action: 'report.comment_added',
+      targetType: 'report',
+      targetId: req.report.id,
+      metadata: { comment_id: newComment.id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: '✅ Comment added successfully',
+      comment: newComment,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add comment',
+      details: error.message
+    });
+  }
+});
+
+// Reports assigned to the authenticated reviewer
+app.get('/api/reviews/assigned', requireAuth, requireRole('reviewer'), async (req, res) => {
+  try {
+    const reports = await db.getReportsAssignedTo(req.user.id);
+
+    res.json({
+      success: true,
+      reports: reports,
+      count: reports.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Fetch assigned reports error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch assigned reports',
+      details: error.message
+    });
+  }
+});
+
+// Documents arrive as multipart/form-data: report_id plus the files in the "files" field.
+// Files are held in memory only until they are validated, scanned and written to storage.
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: uploadValidationService.maxFileBytes, files: uploadValidationService.maxFiles }
+});
+
+// Multipart framing adds a little on top of the files themselves
+const multipartOverheadBytes = 1024 * 1024;
+
+const receiveDocuments = (req, res, next) => {
+  const maxMegabytes = uploadValidationService.megabytes(uploadValidationService.maxRequestBytes);
+  // Refuse oversized requests before reading the body into memory
+  if (parseInt(req.get('content-length') || '0') > uploadValidationService.maxRequestBytes + multipartOverheadBytes) {
+    return res.status(413).json({
+      success: false,
+      error: `Uploads are limited to ${maxMegabytes}MB per request`
+    });
+  }
+
+  documentUpload.array('files', uploadValidationService.maxFiles)(req, res, (error) => {
+    if (!error) return next();
+    if (!(error instanceof multer.MulterError)) return next(error);
+
+    const messages = {
+      LIMIT_FILE_SIZE: `Each file must be ${uploadValidationService.megabytes(uploadValidationService.maxFileBytes)}MB or smaller`,
+      LIMIT_FILE_COUNT: `At most ${uploadValidationService.maxFiles} files can be uploaded at once`,
+      LIMIT_UNEXPECTED_FILE: 'Files must be sent in the "files" field'
+    };
+    res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      error: messages[error.code] || 'Invalid file upload',
+      details: error.message
+    });
+  });
+};
+
+// Check received files before anything is stored or processed: total size, type by magic
+// bytes (the detected type replaces the one the client sent), PDF integrity and a malware scan.
+// One bad file rejects the whole upload, listing every file that failed.
+const validateDocuments = async (req, res, next) => {
+  const files = req.files || [];
+
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  if (totalBytes > uploadValidationService.maxRequestBytes) {
+    return res.status(413).json({
+      success: false,
+      error: `Uploads are limited to ${uploadValidationService.megabytes(uploadValidationService.maxRequestBytes)}MB per request`
+    });
+  }
+
+  const rejected = [];
+  for (const file of files) {
+    const { type, error, status } = await uploadValidationService.inspect(file);
+    if (error) {
+      rejected.push({ file_name: file.originalname, error, status });
+    } else {
+      file.mimetype = type;
+    }
+  }
+  if (rejected.length > 0) {
+    return res.status(rejected[0].status).json({
+      success: false,
+      error: rejected.length === 1 ? `${rejected[0].file_name}: ${rejected[0].error}` : `${rejected.length} files were rejected`,
+      rejected_files: rejected.map(({ file_name, error }) => ({ file_name, error }))
+    });
+  }
+
+  const infected = [];
+  try {
+    for (const file of files) {
+      const result = await scannerService.scan(file.buffer);
+      if (!result.clean) {
+        infected.push({ file_name: file.originalname, threat: result.threat, scanner: result.scanner });
+      }
+    }
+  } catch (error) {
+    console.error('Malware scan error:', error);
+    return res.status(503).json({
+      success: false,
+      error: 'Files could not be scanned for malware; please try again later',
+      details: error.message
+    });
+  }
+
+  if (infected.length > 0) {
+    console.log(`🦠 Rejected upload with ${infected.length} infected file(s)`);
+    await auditService.record(req, {
+      action: 'document.rejected',
+      targetType: 'report',
+      targetId: req.report.id,
+      metadata: { reason: 'malware', files: infected }
+    });
+    return res.status(422).json({
+      success: false,
+      error: 'Malware was detected in the upload',
+      rejected_files: infected.map(({ file_name, threat }) => ({ file_name, error: `Malware detected: ${threat}` }))
+    });
+  }
+
+  next();
+};
+
+// Document upload: files are stored and queued for OCR and AI extraction in the background.
+// Responds 202 with the processing job; follow it at /api/jobs/:id or /api/jobs/:id/events.
+// Every file is hashed first: a file already in the report (or repeated within the upload) is
+// linked to the existing document instead of being stored again, and a file identical to one
+// already processed in a report the user can read reuses those OCR and AI results.
+app.post('/api/documents/upload', limiters.aiByIp, requireAuth, limiters.aiByUser, receiveDocuments, requireReportAccess(req => req.body.report_id, 'update'), validateDocuments, async (req, res) => {
+  // Stored files are removed again if the upload fails before its documents are committed
+  const storedFiles = [];
+  const uploadedDocs = [];
+  let committed = false;
+
+  try {
+    const report_id = req.report.id;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload at least one file as multipart/form-data in the "files" field'
+      });
+    }
+
+    // Optional preprocessing options for the images in this upload, as a JSON form field
+    let preprocessingOptions = null;
+    if (req.body.preprocessing) {
+      try {
+        preprocessingOptions = JSON.parse(req.body.preprocessing);
+      } catch (parseError) {
+        preprocessingOptions = undefined;
+      }
+      const optionsError = preprocessingOptions === undefined
+        ? 'preprocessing must be a JSON object'
+        : imagePreprocessingService.validateOptions(preprocessingOptions);
+      if (optionsError) {
+        return res.status(400).json({
+          success: false,
+          error: optionsError
+        });
+      }
+    }
+
+    // One entry per uploaded file, in upload order
+    const files = req.files.map(file => ({ file, checksum: storageService.sha256(file.buffer) }));
+    const existingDocs = await db.getDocumentsByChecksum(report_id, files.map(entry => entry.checksum));
+    const firstInUpload = new Map();
+
+    for (const entry of files) {
+      const existing = existingDocs.find(doc => doc.checksum_sha256 === entry.checksum);
+      if (existing) {
+        entry.duplicate = { reason: 'already_in_report', document_id: existing.id, file_name: existing.file_name };
+      } else if (firstInUpload.has(entry.checksum)) {
+        entry.duplicate = { reason: 'repeated_in_upload', original: firstInUpload.get(entry.checksum) };
+      } else {
+        firstInUpload.set(entry.checksum, entry);
+      }
+    }
+
+    const newFiles = files.filter(entry => !entry.duplicate);
+    console.log(`📤 Storing ${newFiles.length} documents for report ${report_id} (${files.length - newFiles.length} duplicate(s) skipped)...`);
+
+    for (const entry of newFiles) {
+      const stored = await storageService.saveFile(report_id, entry.file.originalname, entry.file.buffer, entry.file.mimetype);
+      storedFiles.push(stored);
+      entry.stored = stored;
+    }
+
+    // The document rows and their processing job are saved in one transaction, so a failure
+    // part way through never leaves pending documents that no job will process
+    const reusedDocumentIds = [];
+    const job = newFiles.length === 0 ? null : await db.transaction(async (client) => {
+      for (const entry of newFiles) {
+        const source = await db.findProcessedDocumentByChecksum(entry.checksum, req.user.id);
+        const savedDoc = await db.saveDocument({
+          report_id: report_id,
+          file_name: entry.file.originalname,
+          file_type: entry.file.mimetype,
+          ...entry.stored,
+          preprocessing_options: preprocessingOptions,
+          extracted_data: source
+            ? processingJobService.reusedExtractedData(source)
+            : processingJobService.pendingExtractedData(),
+          ocr_layout: source ? source.ocr_layout : null
+        }, client);
+        if (source) {
+          reusedDocumentIds.push(savedDoc.id);
+          entry.reusedFrom = source.id;
+        }
+        entry.document = savedDoc;
+        uploadedDocs.push(savedDoc);
+      }
+      return await processingJobService.createJob(report_id, req.user.id, uploadedDocs, { reusedDocumentIds, client });
+    });
+    committed = true;
+
+    for (const entry of newFiles) {
+      await auditService.record(req, {
+        action: 'document.uploaded',
+        targetType: 'document',
+        targetId: entry.document.id,
+        metadata: {
+          report_id: report_id,
+          file_name: entry.document.file_name,
+          file_type: entry.document.file_type,
+          file_size: entry.document.file_size,
+          checksum_sha256: entry.document.checksum_sha256,
+          reused_from_document_id: entry.reusedFrom || null
+        }
+      });
+    }
+
+    const duplicates = files.filter(entry => entry.duplicate).map(entry => {
+      const original = entry.duplicate.original;
+      return {
+        file_name: entry.file.originalname,
+        checksum_sha256: entry.checksum,
+        reason: entry.duplicate.reason,
+        document_id: original ? original.document.id : entry.duplicate.document_id,
+        document_name: original ? original.document.file_name : entry.duplicate.file_name
+      };
+    });
+    const fileResults = files.map(entry => ({
+      file_name: entry.file.originalname,
+      status: entry.duplicate ? 'duplicate' : entry.reusedFrom ? 'reused' : 'queued',
+      document_id: entry.document
+        ? entry.document.id
+        : entry.duplicate.original ? entry.duplicate.original.document.id : entry.duplicate.document_id,
+      reused_from_document_id: entry.reusedFrom || null
+    }));
+
+    if (uploadedDocs.length === 0) {
+      return res.json({
+        success: true,
+        message: `✅ No new documents: ${files.length} file(s) already in this report`,
+        job: null,
+        documents: [],
+        files: fileResults,
+        duplicates,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (reusedDocumentIds.length === uploadedDocs.length) {
+      await processingJobService.completeJob(job.id);
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `✅ ${uploadedDocs.length} documents uploaded and queued for AI extraction` +
+        (reusedDocumentIds.length > 0 ? `, ${reusedDocumentIds.length} reusing earlier results` : '') +
+        (duplicates.length > 0 ? ` (${duplicates.length} duplicate(s) skipped)` : ''),
+      job: processingJobSummary(await db.getProcessingJob(job.id)),
+      documents: uploadedDocs.map(documentSummary),
+      files: fileResults,
+      duplicates,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Document upload error:', error);
+    if (!committed) {
+      await storageService.removeFiles(storedFiles.map(file => file.file_path));
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload documents',
+      details: error.message
+    });
+  }
+});
+
+// Document processing jobs
+const finishedJobStatuses = ['completed', 'completed_with_errors', 'failed'];
+
+// A job with per-document progress. finished_at is only shown once the job has a final status.
+const processingJobSummary = (job) => {
+  const { items = [], ...fields } = job;
+  const counts = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+  items.forEach(item => { counts[item.status]++; });
+  const done = counts.succeeded + counts.failed;
+
+  return {
+    ...fields,
+    finished_at: finishedJobStatuses.includes(job.status) ? job.finished_at : null,
+    progress: {
+      total: items.length,
+      ...counts,
+      percent: items.length > 0 ? Math.round((done / items.length) * 100) : 100
+    },
+    items: items.map(item => ({
+      id: item.id,
+      document_id: item.document_id,
+      file_name: item.file_name,
+      file_type: item.file_type,
+      status: item.status,
+      stage: item.stage,
+      attempts: item.attempts,
+      max_attempts: item.max_attempts,
+      error: item.error,
+      started_at: item.started_at,
+      finished_at: item.finished_at,
+      updated_at: item.updated_at,
+      document_url: `/api/documents/${item.document_id}`
+    })),
+    links: {
+      self: `/api/jobs/${job.id}`,
+      events: `/api/jobs/${job.id}/events`,
+      retry: `/api/jobs/${job.id}/retry`,
+      report: `/api/reports/${job.report_id}`
+    }
+  };
+};
+
+// Recent processing jobs of a report, newest first
+app.get('/api/reports/:id/jobs', requireAuth, requireReportAccess(req => req.params.id), async (req, res) => {
+  try {
+    const jobs = await db.getProcessingJobsByReport(req.report.id);
+
+    res.json({
+      success: true,
+      jobs: jobs.map(job => ({
+        ...job,
+        finished_at: finishedJobStatuses.includes(job.status) ? job.finished_at : null,
+        links: { self: `/api/jobs/${job.id}`, events: `/api/jobs/${job.id}/events` }
+      })),
+      count: jobs.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Fetch jobs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch processing jobs',
+      details: error.message
+    });
+  }
+});
+
+// Poll a processing job
+app.get('/api/jobs/:id', requireAuth, requireJobAccess(req => req.params.id), (req, res) => {
+  res.json({
+    success: true,
+    job: processingJobSummary(req.job),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Server-sent events for a processing job: a "progress" event with the job summary whenever
+// it changes and a final "done" event once the job has finished. EventSource cannot send an
+// Authorization header, so browser clients read the stream with fetch.
+const jobEventsIntervalMs = 1000;
+const jobEventsKeepAliveMs = 15 * 1000;
+
+app.get('/api/jobs/:id/events', requireAuth, requireJobAccess(req => req.params.id), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop reverse proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let closed = false;
+  let timer = null;
+  let lastState = null;
+  let lastWriteAt = Date.now();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    lastWriteAt = Date.now();
+  };
+
+  const poll = async () => {
+    if (closed) return;
+
+    try {
+      const job = await db.getProcessingJob(req.job.id);
+      if (!job) {
+        send('error', { error: 'Job not found' });
+        return res.end();
+      }
+
+      const summary = processingJobSummary(job);
+      if (finishedJobStatuses.includes(job.status)) {
+        send('done', summary);
+        return res.end();
+      }
+
+      const state = JSON.stringify(summary);
+      if (state !== lastState) {
+        lastState = state;
+        send('progress', summary);
+      } else if (Date.now() - lastWriteAt >= jobEventsKeepAliveMs) {
+        res.write(': keep-alive\n\n');
+        lastWriteAt = Date.now();
+      }
+    } catch (error) {
+      console.error('Job events error:', error);
+      send('error', { error: 'Failed to fetch job progress', details: error.message });
+      return res.end();
+    }
+
+    timer = setTimeout(poll, jobEventsIntervalMs);
+  };
+
+  req.on('close', () => {
+    closed = true;
+    clearTimeout(timer);
+  });
+  poll();
+});
+
+// Queue the failed documents of a finished job for another attempt.
+// Body: { document_ids } to retry only some of them.
+app.post('/api/jobs/:id/retry', limiters.aiByIp, requireAuth, limiters.aiByUser, requireJobAccess(req => req.params.id, 'update'), async (req, res) => {
+  try {
+    const { document_ids } = req.body || {};
+
+    if (document_ids !== undefined && (!Array.isArray(document_ids) || document_ids.length === 0 ||
+      !document_ids.every(id => Number.isInteger(id) && id > 0))) {
+      return res.status(400).json({
+        success: false,
+        error: 'document_ids must be a non-empty array of document IDs'
+      });
+    }
+
+    const queued = await db.retryProcessingJobItems(req.job.id, document_ids || null);
+    if (queued === null) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is still running; retry once it has finished'
+      });
+    }
+    if (queued === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'No failed documents to retry'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'processing_job.retried',
+      targetType: 'processing_job',
+      targetId: req.job.id,
+      metadata: { report_id: req.report.id, document_ids: document_ids || null, queued }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `✅ ${queued} document(s) queued for another attempt`,
+      job: processingJobSummary(await db.getProcessingJob(req.job.id)),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Job retry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry processing job',
+      details: error.message
+    });
+  }
+});
+
+// Links for a document: metadata, the original file (inline or as a download) and its preview
+const documentLinks = (document) => ({
+  self: `/api/documents/${document.id}`,
+  file: `/api/documents/${document.id}/file`,
+  download: `/api/documents/${document.id}/file?download=1`,
+  thumbnail: thumbnailService.supports(document.file_type) ? `/api/documents/${document.id}/thumbnail` : null,
+  processed: document.processed_file_path ? `/api/documents/${document.id}/processed` : null,
+  layout: document.ocr_layout ? `/api/documents/${document.id}/layout` : null,
+  reprocess: `/api/documents/${document.id}/reprocess`,
+  report: `/api/reports/${document.report_id}`
+});
+
+// Document metadata with a summary of its OCR and AI extraction, without the extracted text or OCR layout
+const documentSummary = (document) => {
+  const { extracted_data: extracted, ...metadata } = document;
+  delete metadata.ocr_layout;
+  const data = extracted || {};
+  return {
+    ...metadata,
+    extraction_summary: {
+      ocr_status: data.ocr_status || null,
+      ai_status: data.ai_status || null,
+      document_type: data.document_type || null,
+      language: data.language || null,
+      page_count: data.page_count || null,
+      ocr_confidence: data.ocr_confidence || 0,
+      ocr_engine: data.ocr_engine || null,
+      ai_confidence: data.ai_confidence || 0,
+      text_length: (data.extracted_text || '').length,
+      data_fields_found: Object.keys(data.key_data || {}).length,
+      processed_at: data.processing_date || null,
+      reused_from_document_id: data.reused_from_document_id || null
+    },
+    links: documentLinks(document)
+  };
+};
+
+// Only types browsers display safely are served inline; anything else is downloaded
+const inlineFileTypes = ['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// List a report's documents with their extraction summaries
+app.get('/api/reports/:id/documents', requireAuth, requireReportAccess(req => req.params.id), async (req, res) => {
+  try {
+    const documents = await db.getDocumentsByReport(req.report.id);
+
+    res.json({
+      success: true,
+      documents: documents.map(documentSummary),
+      count: documents.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Fetch documents error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch documents',
+      details: error.message
+    });
+  }
+});
+
+// Get a document's metadata, OCR text and extracted data
+app.get('/api/documents/:id', requireAuth, requireDocumentAccess(req => req.params.id), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      document: {
+        ...documentSummary(req.document),
+        extracted_data: req.document.extracted_data || {}
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Fetch document error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch document',
+      details: error.message
+    });
+  }
+});
+
+// Stream the original file. ?download=1 forces a download instead of inline display.
+app.get('/api/documents/:id/file', requireAuth, requireDocumentAccess(req => req.params.id), async (req, res) => {
+  try {
+    const document = req.document;
+    const etag = document.checksum_sha256 ? `"${document.checksum_sha256}"` : null;
+    if (etag && req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    const stream = await storageService.createReadStream(document.file_path);
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        error: 'The stored file for this document was not found'
+      });
+    }
+
+    const inline = !req.query.download && inlineFileTypes.includes(document.file_type);
+    res.set({
+      'Content-Type': document.file_type || 'application/octet-stream',
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(document.file_name)}`,
+      'Cache-Control': 'private, max-age=300'
+    });
+    if (etag) res.set('ETag', etag);
+
+    stream.on('error', (error) => {
+      console.error('Document stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Document download error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download document',
+      details: error.message
+    });
+  }
+});
+
+// Word-level OCR geometry with the words each extracted field was read from. Boxes are fractions
+// of the page; image is the image they were measured on (null for PDFs and multi-page TIFFs,
+// whose pages are rendered by the OCR engine). ?page=n returns a single page.
+app.get('/api/documents/:id/layout', requireAuth, requireDocumentAccess(req => req.params.id), async (req, res) => {
+  try {
+    const document = req.document;
+    if (!document.ocr_layout) {
+      return res.status(404).json({
+        success: false,
+        error: 'This document has no OCR layout yet'
+      });
+    }
+
+    let pages = document.ocr_layout.pages || [];
+    if (req.query.page !== undefined) {
+      const pageNumber = parseInt(req.query.page);
+      pages = pages.filter(page => page.page === pageNumber);
+      if (pages.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `Page ${req.query.page} has no OCR layout`
+        });
+      }
+    }
+
+    const links = documentLinks(document);
+    const isImage = ['image/jpeg', 'image/png'].includes(document.file_type);
+    res.json({
+      success: true,
+      document_id: document.id,
+      engine: document.ocr_layout.engine || null,
+      page_count: (document.ocr_layout.pages || []).length,
+      image: links.processed || (isImage ? links.file : null),
+      pages: pages,
+      field_sources: (document.extracted_data || {}).field_sources || {},
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Document layout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch document layout',
+      details: error.message
+    });
+  }
+});
+
+// The preprocessed image that was sent to OCR
+app.get('/api/documents/:id/processed', requireAuth, requireDocumentAccess(req => req.params.id), async (req, res) => {
+  try {
+    const stream = req.document.processed_file_path && await storageService.createReadStream(req.document.processed_file_path);
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        error: 'This document has no preprocessed image'
+      });
+    }
+
+    res.set({
+      'Content-Type': imagePreprocessingService.contentType,
+      'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(`processed-${req.document.id}.png`)}`,
+      'Cache-Control': 'private, no-cache'
+    });
+    stream.on('error', (error) => {
+      console.error('Document stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Processed image error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch processed image',
+      details: error.message
+    });
+  }
+});
+
+// Run OCR and AI extraction for a document again, optionally with new preprocessing options.
+// Body: { preprocessing } merged over the document's current options; null resets to the defaults.
+app.post('/api/documents/:id/reprocess', limiters.aiByIp, requireAuth, limiters.aiByUser, requireDocumentAccess(req => req.params.id, 'update'), async (req, res) => {
+  try {
+    const { preprocessing } = req.body || {};
+    let document = req.document;
+
+    if (preprocessing !== undefined && preprocessing !== null) {
+      const optionsError = imagePreprocessingService.validateOptions(preprocessing);
+      if (optionsError) {
+        return res.status(400).json({
+          success: false,
+          error: optionsError
+        });
+      }
+    }
+    if (await db.isDocumentProcessing(document.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This document is already being processed'
+      });
+    }
+
+    if (preprocessing !== undefined) {
+      const options = preprocessing === null ? null : { ...(document.preprocessing_options || {}), ...preprocessing };
+      document = await db.setDocumentPreprocessingOptions(document.id, options);
+    }
+    document = await db.setDocumentExtraction(document.id, processingJobService.pendingExtractedData());
+    const job = await processingJobService.createJob(req.report.id, req.user.id, [document]);
+    await auditService.record(req, {
+      action: 'document.reprocessed',
+      targetType: 'document',
+      targetId: document.id,
+      metadata: { report_id: req.report.id, job_id: job.id, preprocessing_options: document.preprocessing_options }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: '✅ Document queued for processing',
+      document: documentSummary(document),
+      job: processingJobSummary(await db.getProcessingJob(job.id)),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Document reprocess error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reprocess document',
+      details: error.message
+    });
+  }
+});
+
+// JPEG preview of an image or the first page of a PDF, rendered once and then kept in storage
+app.get('/api/documents/:id/thumbnail', requireAuth, requireDocumentAccess(req => req.params.id), async (req, res) => {
+  try {
+    const document = req.document;
+    if (!thumbnailService.supports(document.file_type)) {
+      return res.status(415).json({
+        success: false,
+        error: 'Previews are only available for images and PDFs'
+      });
+    }
+
+    let thumbnail = document.thumbnail_path && await storageService.readFile(document.thumbnail_path);
+    if (!thumbnail) {
+      const original = await storageService.readFile(document.file_path);
+      if (!original) {
+        return res.status(404).json({
+          success: false,
+          error: 'The stored file for this document was not found'
+        });
+      }
+
+      try {
+        thumbnail = await thumbnailService.create(original, document.file_type);
+      } catch (error) {
+        console.error('Thumbnail rendering error:', error);
+        return res.status(422).json({
+          success: false,
+          error: 'Could not render a preview of this document',
+          details: error.message
+        });
+      }
+      const thumbnailPath = await storageService.saveThumbnail(document.report_id, document.id, thumbnail, thumbnailService.contentType);
+      await db.setDocumentThumbnail(document.id, thumbnailPath);
+    }
+
+    res.set({
+      'Content-Type': thumbnailService.contentType,
+      'Cache-Control': 'private, max-age=86400'
+    });
+    res.send(thumbnail);
+
+  } catch (error) {
+    console.error('Document thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load document preview',
+      details: error.message
+    });
+  }
+});
+
+// Soft delete a document (report owner only)
+app.delete('/api/documents/:id', requireAuth, requireDocumentAccess(req => req.params.id, 'update'), async (req, res) => {
+  try {
+    const deletedDocument = await db.deleteDocument(req.document.id, req.user.id);
+    await auditService.record(req, {
+      action: 'document.deleted',
+      targetType: 'document',
+      targetId: req.document.id,
+      metadata: { report_id: req.report.id, file_name: req.document.file_name }
+    });
+
+    res.json({
+      success: true,
+      message: '✅ Document deleted. It can be restored until an admin purges it.',
+      document: deletedDocument,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Document delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete document',
+      details: error.message
+    });
+  }
+});
+
+// Restore a soft-deleted document (report owner only)
+app.post('/api/documents/:id/restore', requireAuth, requireDocumentAccess(req => req.params.id, 'update', { includeDeleted: true }), async (req, res) => {
+  try {
+    const restoredDocument = await db.undeleteDocument(req.document.id);
+    if (!restoredDocument) {
+      return res.status(409).json({
+        success: false,
+        error: 'Document is not deleted'
       });
     }
 
-    // Hash password
-    const bcrypt = require('bcryptjs');
-    const password_hash = await bcrypt.hash(password, 12);
-
-    // Generate email verification token
-    const crypto = require('crypto');
-    const email_verification_token = crypto.randomBytes(32).toString('hex');
-
-    // Create user with all professional fields
-    const newUser = await db.createUser({
-      email, password_hash, honorable, full_name, professional_title,
-      qualifications: qualifications || [],
-      ivsl_registration, professional_status, ivsl_membership_type,
-      house_number, street_name, area_name, city, district,
-      phone_number, mobile_number, alternative_contact,
-      email_verification_token
+    await auditService.record(req, {
+      action: 'document.undeleted',
+      targetType: 'document',
+      targetId: req.document.id,
+      metadata: { report_id: req.report.id }
     });
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: '✅ User registered successfully. Please check your email for verification.',
-      user: {
-        id: newUser.id,
-        email: newUser.email,
-        honorable: newUser.honorable,
-        full_name: newUser.full_name,
-        professional_title: newUser.professional_title,
-        ivsl_registration: newUser.ivsl_registration,
-        created_at: newUser.created_at
-      },
-      verification_required: true,
+      message: '✅ Document restored successfully',
+      document: restoredDocument,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('User registration error:', error);
+    console.error('Document restore error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to register user',
-      details: error.message,
-      timestamp: new Date().toISOString()
+      error: 'Failed to restore document',
+      details: error.message
     });
   }
 });
 
-// Email verification endpoint
-app.post('/api/auth/verify-email', async (req, res) => {
+// File upload endpoint for signatures, letterheads, and profile pictures
+app.post('/api/auth/upload-files', requireAuth, async (req, res) => {
   try {
-    const { email, token } = req.body;
+    // Note: This is a basic implementation. In production, you'd use multer or similar
+    const { fileType, filePath } = req.body;
 
-    if (!email || !token) {
+    if (!fileType || !filePath) {
       return res.status(400).json({
         success: false,
-        error: 'Email and verification token are required'
+        error: 'File type and file path are required'
       });
     }
 
-    const verifiedUser = await db.verifyUserEmail(email, token);
-    if (!verifiedUser) {
+    const validFileTypes = ['signature', 'letterhead', 'profile_picture'];
+    if (!validFileTypes.includes(fileType)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid verification token or email'
+        error: 'Invalid file type. Must be: signature, letterhead, or profile_picture'
+      });
+    }
+
+    const fileData = {};
+    fileData[`${fileType}_path`] = filePath;
+
+    const previousUser = await db.getUserById(req.user.id);
+    const updatedUser = await db.updateUserFiles(req.user.id, fileData);
+    if (!updatedUser) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
       });
     }
 
+    await auditService.record(req, {
+      action: 'profile.files_updated',
+      targetType: 'user',
+      targetId: updatedUser.id,
+      before: previousUser,
+      after: updatedUser
+    });
+
     res.json({
       success: true,
-      message: '✅ Email verified successfully',
+      message: `✅ ${fileType} uploaded successfully`,
+      filePath: filePath,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Email verification error:', error);
+    console.error('File upload error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to verify email',
+      error: 'Failed to upload file',
       details: error.message
     });
   }
 });
 
-// Get user profile endpoint
-app.get('/api/auth/profile', async (req, res) => {
-  try {
-    // Note: This would normally require authentication middleware
-    const { userId, email } = req.query;
+// User and firm administration
+// Platform admins manage every account; firm admins manage the valuers and reviewers in their firm
 
-    let user;
-    if (userId) {
-      user = await db.getUserById(userId);
-    } else if (email) {
-      user = await db.getUserByEmail(email);
-    } else {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID or email is required'
-      });
-    }
+// Load the target user for an admin route and check the actor may manage them
+const loadManagedUser = async (req, res) => {
+  const target = await db.getUserById(req.params.id);
+  if (!target) {
+    res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+    return null;
+  }
+  if (!policyService.canManageUser(req.user, target)) {
+    res.status(403).json({
+      success: false,
+      error: 'You do not have permission to manage this user'
+    });
+    return null;
+  }
+  return target;
+};
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
+app.get('/api/admin/users', requireAuth, requireRole('platform_admin', 'firm_admin'), async (req, res) => {
+  try {
+    // Firm admins only ever see their own firm
+    let firmId = req.query.firm_id;
+    if (req.user.role === 'firm_admin') {
+      if (!req.user.firm_id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Your account is not attached to a firm'
+        });
+      }
+      firmId = req.user.firm_id;
     }
 
-    // Remove sensitive information
-    const { password_hash, email_verification_token, ...userProfile } = user;
+    const users = await db.getUsers({ firm_id: firmId });
 
     res.json({
       success: true,
-      user: userProfile,
+      users: users,
+      count: users.length,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Profile fetch error:', error);
+    console.error('Fetch users error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch profile',
+      error: 'Failed to fetch users',
       details: error.message
     });
   }
 });
 
-// Update user profile endpoint (PUT method)
-app.put('/api/auth/profile', async (req, res) => {
+app.put('/api/admin/users/:id/role', requireAuth, requireRole('platform_admin', 'firm_admin'), async (req, res) => {
   try {
-    const { userId, ...profileData } = req.body;
+    const { role } = req.body;
 
-    if (!userId) {
+    if (!policyService.isValidRole(role)) {
       return res.status(400).json({
         success: false,
-        error: 'User ID is required'
+        error: `Invalid role. Must be one of: ${policyService.roles.join(', ')}`
       });
     }
 
-    const updatedUser = await db.updateUserProfile(userId, profileData);
-    if (!updatedUser) {
-      return res.status(404).json({
+    if (!policyService.canAssignRole(req.user, role)) {
+      return res.status(403).json({
         success: false,
-        error: 'User not found'
+        error: 'You do not have permission to assign this role'
       });
     }
 
-    // Remove sensitive information
-    const { password_hash, email_verification_token, ...userProfile } = updatedUser;
+    const target = await loadManagedUser(req, res);
+    if (!target) return;
+
+    const updatedUser = await db.updateUserRole(target.id, role);
+    await auditService.record(req, {
+      action: 'user.role_changed',
+      targetType: 'user',
+      targetId: target.id,
+      before: { role: target.role },
+      after: { role: updatedUser.role }
+    });
 
     res.json({
       success: true,
-      message: '✅ Profile updated successfully',
-      user: userProfile,
+      message: '✅ User role updated successfully',
+      user: updatedUser,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Profile update error:', error);
+    console.error('Role update error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update profile',
+      error: 'Failed to update user role',
       details: error.message
     });
   }
 });
 
-// Update user profile endpoint (POST method for frontend compatibility)
-app.post('/api/auth/update-profile', async (req, res) => {
+app.put('/api/admin/users/:id/status', requireAuth, requireRole('platform_admin', 'firm_admin'), async (req, res) => {
   try {
-    const { userId, ...profileData } = req.body;
+    const { is_active } = req.body;
 
-    if (!userId) {
+    if (typeof is_active !== 'boolean') {
       return res.status(400).json({
         success: false,
-        error: 'User ID is required'
+        error: 'is_active must be true or false'
       });
     }
 
-    // Validate honorable values if provided
-    if (profileData.honorable) {
-      const validHonorables = ['Dr', 'Mr', 'Vlr', 'Ms', 'Mrs'];
-      if (!validHonorables.includes(profileData.honorable)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid title. Must be one of: Dr, Mr, Vlr, Ms, Mrs'
-        });
-      }
-    }
-
-    // Validate IVSL membership type if provided
-    if (profileData.ivsl_membership_type) {
-      const validMemberships = ['Fellow', 'Member', 'Associate', 'Student'];
-      if (!validMemberships.includes(profileData.ivsl_membership_type)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid IVSL membership type'
-        });
-      }
-    }
-
-    // Validate professional status if provided
-    if (profileData.professional_status) {
-      const validStatuses = ['Licensed Valuer', 'Provisional Valuer', 'Trainee Valuer', 'Consulting Valuer'];
-      if (!validStatuses.includes(profileData.professional_status)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid professional status'
-        });
-      }
-    }
+    const target = await loadManagedUser(req, res);
+    if (!target) return;
 
-    const updatedUser = await db.updateUserProfile(userId, profileData);
-    if (!updatedUser) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
+    const updatedUser = await db.setUserActive(target.id, is_active);
+    await auditService.record(req, {
+      action: is_active ? 'user.activated' : 'user.deactivated',
+      targetType: 'user',
+      targetId: target.id,
+      before: { is_active: target.is_active },
+      after: { is_active: updatedUser.is_active }
+    });
+    if (!is_active) {
+      await db.revokeUserSessions(target.id);
     }
 
-    // Remove sensitive information
-    const { password_hash, email_verification_token, ...userProfile } = updatedUser;
-
     res.json({
       success: true,
-      message: '✅ Profile updated successfully',
-      user: userProfile,
+      message: is_active ? '✅ User activated' : '✅ User deactivated',
+      user: updatedUser,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Profile update error:', error);
+    console.error('User status update error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update profile',
+      error: 'Failed to update user status',
       details: error.message
     });
   }
 });
 
-// Create new valuation report
-app.post('/api/reports/create', async (req, res) => {
+app.put('/api/admin/users/:id/firm', requireAuth, requireRole('platform_admin'), async (req, res) => {
   try {
-    const { valuer_id, report_reference, client_reference, property_address, gps_coordinates } = req.body;
+    const { firm_id } = req.body;
 
-    if (!valuer_id || !report_reference) {
-      return res.status(400).json({
+    if (firm_id && !(await db.getFirmById(firm_id))) {
+      return res.status(404).json({
         success: false,
-        error: 'Valuer ID and report reference are required'
+        error: 'Firm not found'
       });
     }
 
-    // Check if report reference is unique
-    const existingReport = await db.query('SELECT id FROM valuation_reports WHERE report_reference = $1', [report_reference]);
-    if (existingReport.rows.length > 0) {
-      return res.status(409).json({
-        success: false,
-        error: 'Report reference already exists. Please use a unique reference.'
-      });
-    }
+    const target = await loadManagedUser(req, res);
+    if (!target) return;
 
-    const newReport = await db.createReport({
-      valuer_id,
-      report_reference,
-      client_reference,
-      property_address,
-      gps_coordinates
+    const updatedUser = await db.updateUserFirm(target.id, firm_id || null);
+    await auditService.record(req, {
+      action: 'user.firm_changed',
+      targetType: 'user',
+      targetId: target.id,
+      before: { firm_id: target.firm_id },
+      after: { firm_id: updatedUser.firm_id }
     });
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: '✅ Report created successfully',
-      report: newReport,
+      message: '✅ User firm updated successfully',
+      user: updatedUser,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Report creation error:', error);
+    console.error('User firm update error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create report',
+      error: 'Failed to update user firm',
       details: error.message
     });
   }
 });
 
-// Get reports for a user
-app.get('/api/reports/user/:userId', async (req, res) => {
+app.get('/api/admin/firms', requireAuth, requireRole('platform_admin'), async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    const reports = await db.getReportsByUser(userId);
+    const firms = await db.getFirms();
 
     res.json({
       success: true,
-      reports: reports,
-      count: reports.length,
+      firms: firms,
+      count: firms.length,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Fetch reports error:', error);
+    console.error('Fetch firms error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch reports',
+      error: 'Failed to fetch firms',
       details: error.message
     });
   }
 });
 
-// Document upload endpoint with AI processing
-app.post('/api/documents/upload', async (req, res) => {
+app.post('/api/admin/firms', requireAuth, requireRole('platform_admin'), async (req, res) => {
   try {
-    const { report_id, files } = req.body;
+    const { name } = req.body;
 
-    if (!report_id || !files || !Array.isArray(files)) {
+    if (!name || !name.trim()) {
       return res.status(400).json({
         success: false,
-        error: 'Report ID and files array are required'
+        error: 'Firm name is required'
       });
     }
 
-    console.log(`🔄 Processing ${files.length} documents with AI extraction...`);
-    const uploadedDocs = [];
-
-    // Step 1: Extract text with Vision API
-    const visionResults = await visionService.batchExtractText(files);
-
-    // Step 2: Extract structured data with AI
-    console.log('🤖 Starting AI data extraction phase...');
-    const aiResults = await aiExtractionService.batchExtractData(visionResults);
-
-    // Step 3: Combine and save results
-    const combinedResults = aiExtractionService.combineExtractedData(aiResults);
+    const firm = await db.createFirm(name.trim());
+    await auditService.record(req, { action: 'firm.created', targetType: 'firm', targetId: firm.id, after: firm });
 
-    for (let i = 0; i < files.length; i++) {
-      const fileData = files[i];
-      const visionResult = visionResults[i];
-      const aiResult = aiResults[i];
-
-      console.log(`💾 Saving document: ${fileData.name}`);
-
-      const docRecord = {
-        report_id: report_id,
-        file_name: fileData.name,
-        file_path: `/uploads/${report_id}/${fileData.name}`,
-        file_type: fileData.type,
-        file_size: fileData.size,
-        extracted_data: {
-          // Vision API results
-          ocr_status: visionResult.success ? 'success' : 'failed',
-          document_type: visionResult.metadata?.documentType || 'unknown',
-          language: visionResult.metadata?.language || 'unknown',
-          extracted_text: visionResult.extractedText || '',
-          ocr_confidence: visionResult.confidence || 0,
-
-          // AI extraction results
-          ai_status: aiResult.success ? 'success' : 'failed',
-          ai_confidence: aiResult.confidence || 0,
-          ai_model: aiResult.aiModel || 'gpt-4',
-          tokens_used: aiResult.tokensUsed || 0,
+    res.status(201).json({
+      success: true,
+      message: '✅ Firm created successfully',
+      firm: firm,
+      timestamp: new Date().toISOString()
+    });
 
-          // Extracted property data
-          key_data: aiResult.extractedData || {},
+  } catch (error) {
+    console.error('Firm creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create firm',
+      details: error.message
+    });
+  }
+});
 
-          // Processing metadata
-          processing_date: new Date().toISOString(),
-          errors: {
-            vision_error: visionResult.error || null,
-            ai_error: aiResult.error || null
-          }
-        }
-      };
+// Permanently delete a soft-deleted report with its documents, content and history, and
+// remove its stored files (platform admins, or firm admins for their firm's reports)
+app.delete('/api/admin/reports/:id', requireAuth, requireRole('platform_admin', 'firm_admin'), async (req, res) => {
+  try {
+    const report = await db.getReportById(req.params.id, { includeDeleted: true });
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
 
-      // Save to database
-      const savedDoc = await db.saveDocument(docRecord);
-      uploadedDocs.push({
-        ...savedDoc,
-        processing_summary: {
-          vision_success: visionResult.success,
-          ai_success: aiResult.success,
-          text_extracted: visionResult.extractedText?.length || 0,
-          data_fields_found: Object.keys(aiResult.extractedData || {}).length,
-          overall_confidence: Math.round((visionResult.confidence + aiResult.confidence) / 2)
-        }
+    const owner = await db.getUserById(report.valuer_id);
+    if (!policyService.canPurgeReport(req.user, report, owner)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to purge this report'
       });
     }
 
-    // Update report with combined property data
-    if (combinedResults.combinedData && Object.keys(combinedResults.combinedData).length > 0) {
-      console.log('🏠 Updating report with extracted property data...');
-      await db.updateReport(report_id, {
-        report_data: combinedResults.combinedData,
-        status: 'data_extracted'
+    const purged = await db.purgeReport(report.id);
+    if (!purged) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only deleted reports can be purged. Delete the report first.'
       });
     }
 
-    const successfulOCR = uploadedDocs.filter(d => d.processing_summary.vision_success).length;
-    const successfulAI = uploadedDocs.filter(d => d.processing_summary.ai_success).length;
+    const files = await storageService.removeFiles(purged.filePaths);
+    await auditService.record(req, {
+      action: 'report.purged',
+      targetType: 'report',
+      targetId: report.id,
+      metadata: {
+        report_reference: report.report_reference,
+        valuer_id: report.valuer_id,
+        documents: purged.documentCount,
+        files_not_removed: files.failed
+      }
+    });
 
     res.json({
       success: true,
-      message: `✅ ${uploadedDocs.length} documents processed with AI extraction`,
-      processing_summary: {
-        total_documents: uploadedDocs.length,
-        successful_ocr: successfulOCR,
-        successful_ai_extraction: successfulAI,
-        combined_data_fields: Object.keys(combinedResults.combinedData || {}).length,
-        average_confidence: combinedResults.averageConfidence || 0,
-        primary_source: combinedResults.primarySource
-      },
-      extracted_property_data: combinedResults.combinedData,
-      documents: uploadedDocs,
+      message: '✅ Report permanently deleted',
+      documents_removed: purged.documentCount,
+      files_removed: files.removed,
+      files_not_removed: files.failed,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Document upload error:', error);
+    console.error('Report purge error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to upload documents',
+      error: 'Failed to purge report',
       details: error.message
     });
   }
 });
 
-// File upload endpoint for signatures, letterheads, and profile pictures
-app.post('/api/auth/upload-files', async (req, res) => {
+// Permanently delete a soft-deleted document and its stored file
+app.delete('/api/admin/documents/:id', requireAuth, requireRole('platform_admin', 'firm_admin'), async (req, res) => {
   try {
-    // Note: This is a basic implementation. In production, you'd use multer or similar
-    const { userId, fileType, filePath } = req.body;
-
-    if (!userId || !fileType || !filePath) {
-      return res.status(400).json({
+    const document = await db.getDocumentById(req.params.id, { includeDeleted: true });
+    const report = document && await db.getReportById(document.report_id, { includeDeleted: true });
+    if (!document || !report) {
+      return res.status(404).json({
         success: false,
-        error: 'User ID, file type, and file path are required'
+        error: 'Document not found'
       });
     }
 
-    const validFileTypes = ['signature', 'letterhead', 'profile_picture'];
-    if (!validFileTypes.includes(fileType)) {
-      return res.status(400).json({
+    const owner = await db.getUserById(report.valuer_id);
+    if (!policyService.canPurgeReport(req.user, report, owner)) {
+      return res.status(403).json({
         success: false,
-        error: 'Invalid file type. Must be: signature, letterhead, or profile_picture'
+        error: 'You do not have permission to purge this document'
       });
     }
 
-    const fileData = {};
-    fileData[`${fileType}_path`] = filePath;
-
-    const updatedUser = await db.updateUserFiles(userId, fileData);
-    if (!updatedUser) {
-      return res.status(404).json({
+    const purgedDocument = await db.purgeDocument(document.id);
+    if (!purgedDocument) {
+      return res.status(409).json({
         success: false,
-        error: 'User not found'
+        error: 'Only deleted documents can be purged. Delete the document first.'
       });
     }
 
+    const files = await storageService.removeFiles(
+      [purgedDocument.file_path, purgedDocument.thumbnail_path, purgedDocument.processed_file_path].filter(Boolean)
+    );
+    await auditService.record(req, {
+      action: 'document.purged',
+      targetType: 'document',
+      targetId: document.id,
+      metadata: {
+        report_id: report.id,
+        file_name: document.file_name,
+        files_not_removed: files.failed
+      }
+    });
+
     res.json({
       success: true,
-      message: `✅ ${fileType} uploaded successfully`,
-      filePath: filePath,
+      message: '✅ Document permanently deleted',
+      files_removed: files.removed,
+      files_not_removed: files.failed,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('File upload error:', error);
+    console.error('Document purge error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to upload file',
+      error: 'Failed to purge document',
       details: error.message
     });
   }
 });
 
-// AI test endpoint (basic)
-app.post('/api/ai/test', async (req, res) => {
+// Query the audit log. Platform admins see everything; firm admins see actions by members of their firm.
+// Filters: actor_id, firm_id, action (exact, or a prefix such as report.*), target_type, target_id,
+// field (a changed field path such as report_data.land_rate), from, to, limit, offset
+app.get('/api/admin/audit-logs', requireAuth, requireRole('platform_admin', 'firm_admin'), async (req, res) => {
   try {
-    const { OpenAI } = require('openai');
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    const { actor_id, action, target_type, target_id, field, from, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        {
-          role: "system",
-          content: "You are a professional property valuer. Respond with a brief test message."
-        },
-        {
-          role: "user",
-          content: "Please confirm that the AI service is working properly."
-        }
-      ],
-      max_tokens: 100
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid ${name} date`
+        });
+      }
+    }
+
+    // Firm admins only ever see their own firm
+    let firmId = req.query.firm_id;
+    if (req.user.role === 'firm_admin') {
+      if (!req.user.firm_id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Your account is not attached to a firm'
+        });
+      }
+      firmId = req.user.firm_id;
+    }
+
+    const { entries, total } = await db.getAuditLogs({
+      actor_id, firm_id: firmId, action, target_type, target_id, field, from, to, limit, offset
     });
 
     res.json({
       success: true,
-      message: 'OpenAI API is working!',
-      aiResponse: response.choices[0].message.content,
+      entries: entries,
+      count: entries.length,
+      total: total,
+      limit: limit,
+      offset: offset,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('OpenAI API Error:', error);
+    console.error('Audit log query error:', error);
     res.status(500).json({
       success: false,
-      error: 'AI service temporarily unavailable',
+      error: 'Failed to query audit log',
       details: error.message
     });
   }
 });
 
-// Google Vision API test endpoint
-app.post('/api/vision/test', async (req, res) => {
+// OCR engine test endpoint: checks the configured provider and its fallback and reports the active engine
+app.post('/api/vision/test', limiters.aiByIp, requireAuth, requireRole('platform_admin'), async (req, res) => {
   try {
-    console.log('🧪 Testing Google Vision API connection...');
+    console.log('🧪 Testing OCR engines...');
     const testResult = await visionService.testConnection();
 
     if (testResult.success) {
       res.json({
         success: true,
-        message: '✅ Google Vision API is working correctly',
+        message: `✅ ${testResult.message}`,
+        engine: testResult.engine,
         connection: testResult,
         timestamp: new Date().toISOString()
       });
     } else {
       res.status(503).json({
         success: false,
-        message: '❌ Google Vision API connection failed',
+        message: '❌ No OCR engine is available',
         error: testResult.error,
-        details: 'Please check your Google Cloud credentials',
+        engine: null,
+        connection: testResult,
+        details: 'Please check your Google Cloud credentials or the Tesseract language data',
         timestamp: new Date().toISOString()
       });
     }
@@ -721,7 +3395,7 @@ app.post('/api/vision/test', async (req, res) => {
 });
 
 // OpenAI API test endpoint
-app.post('/api/ai/test', async (req, res) => {
+app.post('/api/ai/test', limiters.aiByIp, requireAuth, requireRole('platform_admin'), async (req, res) => {
   try {
     console.log('🧪 Testing OpenAI API connection...');
     const testResult = await aiExtractionService.testConnection();
@@ -756,7 +3430,7 @@ app.post('/api/ai/test', async (req, res) => {
 // Location Intelligence & Mapping Endpoints (Task 3)
 
 // Main location analysis endpoint
-app.post('/api/location/analyze', async (req, res) => {
+app.post('/api/location/analyze', requireAuth, async (req, res) => {
   try {
     const { coordinates, report_id } = req.body;
 
@@ -767,6 +3441,24 @@ app.post('/api/location/analyze', async (req, res) => {
       });
     }
 
+    // Only the report owner may attach the analysis to a report
+    let report = null;
+    if (report_id) {
+      report = await db.getReportById(report_id);
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Report not found'
+        });
+      }
+      if (!policyService.canUpdateReport(req.user, report)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have access to this report'
+        });
+      }
+    }
+
     console.log(`🌍 Analyzing location: ${coordinates.lat}, ${coordinates.lng}`);
 
     const locationAnalysis = await locationService.analyzeLocation(coordinates);
@@ -775,13 +3467,23 @@ app.post('/api/location/analyze', async (req, res) => {
       // Optionally save to report if report_id provided
       if (report_id) {
         try {
-          await db.updateReport(report_id, {
+          const { report: updatedReport, skippedFields } = await db.updateReport(report_id, {
             report_data: {
               location_analysis: locationAnalysis.data,
               gps_coordinates: coordinates
-            }
+            },
+            provenance: { source: 'location', user_id: req.user.id },
+            updated_by: req.user.id
           });
           console.log(`📊 Location analysis saved to report ${report_id}`);
+          await auditService.record(req, {
+            action: 'report.updated',
+            targetType: 'report',
+            targetId: updatedReport.id,
+            before: report,
+            after: updatedReport,
+            metadata: { source: 'location_analysis', skipped_fields: skippedFields }
+          });
         } catch (dbError) {
           console.warn('Failed to save location analysis to report:', dbError.message);
         }
@@ -822,7 +3524,7 @@ app.post('/api/location/analyze', async (req, res) => {
 });
 
 // Get nearby amenities for specific coordinates
-app.get('/api/location/amenities', async (req, res) => {
+app.get('/api/location/amenities', requireAuth, async (req, res) => {
   try {
     const { lat, lng, radius = 5000, category } = req.query;
 
@@ -866,7 +3568,7 @@ app.get('/api/location/amenities', async (req, res) => {
 });
 
 // Get administrative location details
-app.post('/api/location/administrative', async (req, res) => {
+app.post('/api/location/administrative', requireAuth, async (req, res) => {
   try {
     const { coordinates } = req.body;
 
@@ -902,7 +3604,7 @@ app.post('/api/location/administrative', async (req, res) => {
 });
 
 // Generate map for coordinates
-app.post('/api/location/map', async (req, res) => {
+app.post('/api/location/map', requireAuth, async (req, res) => {
   try {
     const { coordinates, width = 640, height = 400, zoom = 15 } = req.body;
 
@@ -948,7 +3650,7 @@ app.post('/api/location/map', async (req, res) => {
 });
 
 // Test Google Maps API connectivity
-app.post('/api/location/test', async (req, res) => {
+app.post('/api/location/test', requireAuth, async (req, res) => {
   try {
     console.log('🧪 Testing Google Maps API connection...');
     const testResult = await locationService.testConnection();
@@ -998,6 +3700,14 @@ app.get('*', (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Request body is too large',
+      message: 'Upload documents as multipart/form-data to /api/documents/upload',
+      timestamp: new Date().toISOString()
+    });
+  }
+
   console.error('Server Error:', error);
   res.status(500).json({
     error: 'Internal server error',
@@ -1010,13 +3720,19 @@ app.use((error, req, res, next) => {
 const PORT = process.env.PORT || 3001;
 const HOST = '0.0.0.0'; // Important for Railway deployment
 
-app.listen(PORT, HOST, () => {
-  console.log(`
+// Only listen when run directly; tests load the app without starting a server or workers
+if (require.main === module) {
+  app.listen(PORT, HOST, () => {
+    console.log(`
 🚀 VP App Backend Server Started Successfully!
 📍 Server running on: http://${HOST}:${PORT}
 🌍 Environment: ${process.env.NODE_ENV || 'development'}
 📊 Health check: http://${HOST}:${PORT}/api/health
 🧪 Test endpoint: http://${HOST}:${PORT}/api/test
 ⏰ Started at: ${new Date().toISOString()}
-  `);
-});
\ No newline at end of file
+    `);
+    processingJobService.start();
+  });
+}
+
+module.exports = app;
\ No newline at end of file
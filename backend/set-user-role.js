@@ -0,0 +1,41 @@
+// Command-line tool to change a user's role.
+// Used to bootstrap the first platform admin, since the admin API itself requires one.
+// Usage: node set-user-role.js <email> <role>
+require('dotenv').config();
+const db = require('./database');
+const policyService = require('./policyService');
+
+async function setUserRole(email, role) {
+  if (!policyService.isValidRole(role)) {
+    throw new Error(`Invalid role "${role}". Must be one of: ${policyService.roles.join(', ')}`);
+  }
+
+  const user = await db.getUserByEmail(email);
+  if (!user) {
+    throw new Error(`No user found with email ${email}`);
+  }
+
+  return await db.updateUserRole(user.id, role);
+}
+
+module.exports = { setUserRole };
+
+// Run if called directly
+if (require.main === module) {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !role) {
+    console.error('Usage: node set-user-role.js <email> <role>');
+    process.exit(1);
+  }
+
+  setUserRole(email, role)
+    .then((user) => {
+      console.log(`🎉 ${user.email} is now ${user.role}`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Failed to set role:', error.message);
+      process.exit(1);
+    });
+}
\ No newline at end of file
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stored files on local disk under UPLOADS_DIR. Paths look like /uploads/<key>.
+class LocalStorage {
+  constructor(uploadsDir) {
+    this.name = 'local';
+    this.uploadsDir = path.resolve(uploadsDir);
+  }
+
+  owns(filePath) {
+    return !filePath.startsWith('s3://');
+  }
+
+  // Absolute path for a stored file path, or null if it would escape the uploads directory
+  resolvePath(filePath) {
+    if (!filePath) return null;
+    const relativePath = filePath.replace(/^\/?uploads\//, '');
+    const absolutePath = path.resolve(this.uploadsDir, relativePath);
+    return absolutePath.startsWith(this.uploadsDir + path.sep) ? absolutePath : null;
+  }
+
+  async put(key, buffer, { overwrite = false } = {}) {
+    const filePath = `/uploads/${key}`;
+    const absolutePath = this.resolvePath(filePath);
+    if (!absolutePath) {
+      throw new Error(`Refusing to store file outside the uploads directory: ${key}`);
+    }
+
+    await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.promises.writeFile(absolutePath, buffer, { flag: overwrite ? 'w' : 'wx' });
+    return filePath;
+  }
+
+  // Resolves to a readable stream, or null if the file is missing
+  async createReadStream(filePath) {
+    const absolutePath = this.resolvePath(filePath);
+    if (!absolutePath) {
+      throw new Error(`Refusing to read file outside the uploads directory: ${filePath}`);
+    }
+
+    try {
+      const handle = await fs.promises.open(absolutePath, 'r');
+      return handle.createReadStream();
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(filePath) {
+    const absolutePath = this.resolvePath(filePath);
+    if (!absolutePath) {
+      throw new Error(`Refusing to remove file outside the uploads directory: ${filePath}`);
+    }
+
+    try {
+      await fs.promises.unlink(absolutePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+// Stored files in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2). Paths look like
+// s3://<bucket>/<key>, so files written before a bucket change can still be found.
+class S3Storage {
+  constructor(config) {
+    this.name = 's3';
+    this.bucket = config.bucket;
+    this.config = config;
+    this.client = null;
+  }
+
+  owns(filePath) {
+    return filePath.startsWith('s3://');
+  }
+
+  // The SDK is only loaded once S3 storage is actually used
+  getClient() {
+    if (!this.client) {
+      const { S3Client } = require('@aws-sdk/client-s3');
+      this.client = new S3Client({
+        region: this.config.region,
+        endpoint: this.config.endpoint || undefined,
+        forcePathStyle: this.config.forcePathStyle,
+        credentials: this.config.accessKeyId
+          ? { accessKeyId: this.config.accessKeyId, secretAccessKey: this.config.secretAccessKey }
+          : undefined
+      });
+    }
+    return this.client;
+  }
+
+  parsePath(filePath) {
+    const match = /^s3:\/\/([^/]+)\/(.+)$/.exec(filePath || '');
+    if (!match) {
+      throw new Error(`Invalid S3 file path: ${filePath}`);
+    }
+    return { bucket: match[1], key: match[2] };
+  }
+
+  async put(key, buffer, { contentType, checksum } = {}) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    await this.getClient().send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      Metadata: checksum ? { sha256: checksum } : undefined
+    }));
+    return `s3://${this.bucket}/${key}`;
+  }
+
+  async createReadStream(filePath) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const { bucket, key } = this.parsePath(filePath);
+
+    try {
+      const result = await this.getClient().send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return result.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.name === 'NotFound') return null;
+      throw error;
+    }
+  }
+
+  async remove(filePath) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const { bucket, key } = this.parsePath(filePath);
+    await this.getClient().send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    return true;
+  }
+}
+
+// Uploaded documents are written to the backend chosen by STORAGE_DRIVER (local or s3).
+// Reads and deletes go to whichever backend a stored path belongs to.
+class StorageService {
+  constructor() {
+    this.local = new LocalStorage(process.env.UPLOADS_DIR || path.join(__dirname, 'uploads'));
+    this.s3 = new S3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    });
+    this.driver = process.env.STORAGE_DRIVER || 'local';
+    this.uploadsDir = this.local.uploadsDir;
+  }
+
+  getWriteBackend() {
+    if (this.driver === 's3') {
+      if (!this.s3.bucket) {
+        throw new Error('S3_BUCKET must be set when STORAGE_DRIVER is s3');
+      }
+      return this.s3;
+    }
+    if (this.driver !== 'local') {
+      throw new Error(`Unknown STORAGE_DRIVER ${this.driver}`);
+    }
+    return this.local;
+  }
+
+  getBackend(filePath) {
+    return this.s3.owns(filePath) ? this.s3 : this.local;
+  }
+
+  resolvePath(filePath) {
+    return this.local.resolvePath(filePath);
+  }
+
+  sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  // Keeps a readable name but drops directories and anything unsafe in a path or object key
+  safeFileName(fileName) {
+    const name = path.basename(String(fileName || 'file')).replace(/[^\w.\- ]+/g, '_').trim();
+    return (name || 'file').slice(-120);
+  }
+
+  // Store an uploaded file for a report. Returns { file_path, checksum_sha256, file_size }.
+  // Keys are unique per upload so files with the same name never overwrite each other.
+  async saveFile(reportId, fileName, buffer, contentType) {
+    const backend = this.getWriteBackend();
+    const checksum = this.sha256(buffer);
+    const key = `${reportId}/${crypto.randomUUID()}-${this.safeFileName(fileName)}`;
+    const filePath = await backend.put(key, buffer, { contentType, checksum });
+
+    return { file_path: filePath, checksum_sha256: checksum, file_size: buffer.length };
+  }
+
+  // Preview images live beside the report's documents and are replaced when re-rendered
+  async saveThumbnail(reportId, documentId, buffer, contentType) {
+    return this.getWriteBackend().put(`${reportId}/thumbnails/${documentId}.jpg`, buffer, { contentType, overwrite: true });
+  }
+
+  // The image actually sent to OCR after preprocessing, kept in the report's folder beside the original
+  async saveProcessedImage(reportId, documentId, buffer, contentType) {
+    return this.getWriteBackend().put(`${reportId}/processed/${documentId}.png`, buffer, { contentType, overwrite: true });
+  }
+
+  // Resolves to a readable stream of a stored file, or null if it no longer exists
+  async createReadStream(filePath) {
+    return this.getBackend(filePath).createReadStream(filePath);
+  }
+
+  async readFile(filePath) {
+    const stream = await this.createReadStream(filePath);
+    if (!stream) return null;
+
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  // Delete a stored file. Returns false if it was already gone.
+  async removeFile(filePath) {
+    return this.getBackend(filePath).remove(filePath);
+  }
+
+  // Remove several files, collecting failures instead of stopping at the first one
+  async removeFiles(filePaths) {
+    const failed = [];
+    let removed = 0;
+
+    for (const filePath of filePaths) {
+      try {
+        if (await this.removeFile(filePath)) removed++;
+      } catch (error) {
+        console.error(`❌ Failed to remove stored file ${filePath}:`, error.message);
+        failed.push(filePath);
+      }
+    }
+    return { removed, failed };
+  }
+}
+
+// Export singleton instance
+const storageService = new StorageService();
+module.exports = storageService;
\ No newline at end of file
@@ -0,0 +1,92 @@
+// Cross-user access through the HTTP routes: a second valuer is refused with 403
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { users, report, document, mockAccessData, startServer, accessToken } = require('./helpers');
+const db = require('../database');
+const authService = require('../authService');
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = await startServer(app);
+  baseUrl = server.baseUrl;
+});
+
+after(async () => {
+  await server.close();
+  await db.pool.end();
+});
+
+beforeEach(() => mockAccessData(mock, db));
+afterEach(() => mock.restoreAll());
+
+async function call(method, path, user, body) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken(authService, user)}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('GET /api/reports/:id returns 403 to another valuer', async () => {
+  const { status, body } = await call('GET', `/api/reports/${report.id}`, users.otherValuer);
+  assert.equal(status, 403);
+  assert.equal(body.success, false);
+});
+
+test('GET /api/documents/:id returns 403 to another valuer', async () => {
+  const { status, body } = await call('GET', `/api/documents/${document.id}`, users.otherValuer);
+  assert.equal(status, 403);
+  assert.equal(body.success, false);
+});
+
+test('GET /api/documents/:id returns the document to the report owner', async () => {
+  const { status, body } = await call('GET', `/api/documents/${document.id}`, users.owner);
+  assert.equal(status, 200);
+  assert.equal(body.document.id, document.id);
+});
+
+test('GET /api/documents/:id leaves the OCR layout out of the document', async () => {
+  mock.method(db, 'getDocumentById', async () => ({ ...document, ocr_layout: { pages: [] } }));
+  const { status, body } = await call('GET', `/api/documents/${document.id}`, users.owner);
+  assert.equal(status, 200);
+  assert.equal('ocr_layout' in body.document, false);
+});
+
+test('PUT /api/auth/profile returns 403 when another valuer names the owner', async () => {
+  const updateUserProfile = mock.method(db, 'updateUserProfile', async () => users.owner);
+  const { status } = await call('PUT', '/api/auth/profile', users.otherValuer, { userId: users.owner.id, full_name: 'Taken Over' });
+  assert.equal(status, 403);
+  assert.equal(updateUserProfile.mock.callCount(), 0);
+});
+
+test('GET /api/reports/user/:userId returns 403 for another user', async () => {
+  const { status } = await call('GET', `/api/reports/user/${users.owner.id}`, users.otherValuer);
+  assert.equal(status, 403);
+});
+
+test('requests without a token get 401', async () => {
+  const response = await fetch(`${baseUrl}/api/reports/${report.id}`);
+  assert.equal(response.status, 401);
+});
+
+test('POST /api/ai/test and /api/vision/test are for platform admins only', async () => {
+  const aiExtractionService = require('../aiExtractionService');
+  const visionService = require('../visionService');
+  const aiTest = mock.method(aiExtractionService, 'testConnection', async () => ({ success: true }));
+  const visionTest = mock.method(visionService, 'testConnection', async () => ({ success: true, engine: 'tesseract', message: 'OCR ready' }));
+
+  for (const path of ['/api/ai/test', '/api/vision/test']) {
+    assert.equal((await fetch(baseUrl + path, { method: 'POST' })).status, 401);
+    assert.equal((await call('POST', path, users.firmAdmin)).status, 403);
+    assert.equal((await call('POST', path, users.platformAdmin)).status, 200);
+  }
+  assert.equal(aiTest.mock.callCount(), 1);
+  assert.equal(visionTest.mock.callCount(), 1);
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { users, report, document, runMiddleware, mockAccessData } = require('./helpers');
+const db = require('../database');
+const { requireReportAccess, requireDocumentAccess, requireJobAccess, requireSelf } = require('../authMiddleware');
+
+beforeEach(() => mockAccessData(mock, db));
+afterEach(() => mock.restoreAll());
+
+test('requireReportAccess lets the owner through and attaches the report', async () => {
+  const req = { user: users.owner, params: { id: String(report.id) } };
+  const { res, nextCalled } = await runMiddleware(requireReportAccess(r => r.params.id), req);
+  assert.equal(nextCalled, true);
+  assert.equal(res.body, null);
+  assert.equal(req.report, report);
+});
+
+test('requireReportAccess returns 403 to another valuer', async () => {
+  const req = { user: users.otherValuer, params: { id: String(report.id) } };
+  const { res, nextCalled } = await runMiddleware(requireReportAccess(r => r.params.id), req);
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.success, false);
+  assert.equal(req.report, undefined);
+});
+
+test('requireReportAccess returns 403 to another valuer updating the report', async () => {
+  const { res, nextCalled } = await runMiddleware(requireReportAccess(r => r.params.id, 'update'), { user: users.otherValuer, params: { id: '10' } });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+});
+
+test('requireReportAccess lets an assigned reviewer read but not update', async () => {
+  const read = await runMiddleware(requireReportAccess(r => r.params.id), { user: users.reviewer, params: { id: '10' } });
+  assert.equal(read.nextCalled, true);
+
+  const update = await runMiddleware(requireReportAccess(r => r.params.id, 'update'), { user: users.reviewer, params: { id: '10' } });
+  assert.equal(update.nextCalled, false);
+  assert.equal(update.res.statusCode, 403);
+});
+
+test('requireReportAccess returns 403 to a reviewer who is not assigned', async () => {
+  mock.restoreAll();
+  mockAccessData(mock, db, { reviewerIds: [] });
+  const { res, nextCalled } = await runMiddleware(requireReportAccess(r => r.params.id), { user: users.reviewer, params: { id: '10' } });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+});
+
+test('requireReportAccess returns 404 for a missing report and 400 without an id', async () => {
+  const missing = await runMiddleware(requireReportAccess(r => r.params.id), { user: users.owner, params: { id: '999' } });
+  assert.equal(missing.res.statusCode, 404);
+
+  const noId = await runMiddleware(requireReportAccess(r => r.params.id), { user: users.owner, params: {} });
+  assert.equal(noId.res.statusCode, 400);
+});
+
+test('requireReportAccess returns 404 without querying for an id that is not a row id', async () => {
+  for (const id of ['abc', '1x', '0', '-1', '1.5', '99999999999']) {
+    const { res, nextCalled } = await runMiddleware(requireReportAccess(r => r.body.report_id), { user: users.owner, body: { report_id: id } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 404, id);
+  }
+  assert.equal(db.getReportById.mock.callCount(), 0);
+});
+
+test('requireDocumentAccess lets the report owner through and attaches the document and report', async () => {
+  const req = { user: users.owner, params: { id: String(document.id) } };
+  const { nextCalled } = await runMiddleware(requireDocumentAccess(r => r.params.id, 'update'), req);
+  assert.equal(nextCalled, true);
+  assert.equal(req.document, document);
+  assert.equal(req.report, report);
+});
+
+test('requireDocumentAccess returns 403 to another valuer', async () => {
+  for (const access of ['read', 'update']) {
+    const req = { user: users.otherValuer, params: { id: String(document.id) } };
+    const { res, nextCalled } = await runMiddleware(requireDocumentAccess(r => r.params.id, access), req);
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(req.document, undefined);
+  }
+});
+
+test('requireDocumentAccess returns 404 for a missing document', async () => {
+  const { res } = await runMiddleware(requireDocumentAccess(r => r.params.id), { user: users.owner, params: { id: '999' } });
+  assert.equal(res.statusCode, 404);
+});
+
+test('requireDocumentAccess and requireJobAccess return 404 for an id that is not a row id', async () => {
+  const getProcessingJob = mock.method(db, 'getProcessingJob', async () => null);
+
+  const documentRes = (await runMiddleware(requireDocumentAccess(r => r.params.id), { user: users.owner, params: { id: 'abc' } })).res;
+  assert.equal(documentRes.statusCode, 404);
+  assert.equal(db.getDocumentById.mock.callCount(), 0);
+
+  const jobRes = (await runMiddleware(requireJobAccess(r => r.params.id), { user: users.owner, params: { id: '7; DROP' } })).res;
+  assert.equal(jobRes.statusCode, 404);
+  assert.equal(getProcessingJob.mock.callCount(), 0);
+});
+
+test('requireSelf allows only the account named in the route', async () => {
+  const own = await runMiddleware(requireSelf('userId'), { user: users.owner, params: { userId: String(users.owner.id) } });
+  assert.equal(own.nextCalled, true);
+
+  const other = await runMiddleware(requireSelf('userId'), { user: users.otherValuer, params: { userId: String(users.owner.id) } });
+  assert.equal(other.nextCalled, false);
+  assert.equal(other.res.statusCode, 403);
+});
\ No newline at end of file
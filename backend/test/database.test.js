@@ -0,0 +1,166 @@
+// SQL built by the database service, checked against a stubbed query method
+const { test, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const db = require('../database');
+
+after(() => db.pool.end());
+afterEach(() => mock.restoreAll());
+
+// Records every query and answers each one with the next list of rows
+function captureQueries(...answers) {
+  const calls = [];
+  mock.method(db, 'query', async (sql, params) => {
+    calls.push({ sql, params });
+    return { rows: answers.shift() || [] };
+  });
+  return calls;
+}
+
+// Runs db.transaction callbacks against a client that records queries the same way
+function captureTransaction(...answers) {
+  const calls = [];
+  const client = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: answers.shift() || [] };
+    }
+  };
+  mock.method(db, 'transaction', async (callback) => callback(client));
+  return { calls, client };
+}
+
+test('getAuditLogs matches field and action prefixes literally', async () => {
+  const calls = captureQueries([{ total: 0 }]);
+  await db.getAuditLogs({ field: 'report_data', action: 'report.*' });
+
+  const { sql, params } = calls[0];
+  assert.doesNotMatch(sql, /LIKE/);
+  assert.match(sql, /starts_with\(action, \$1\)/);
+  assert.match(sql, /k = \$2 OR starts_with\(k, \$2 \|\| '\.'\)/);
+  assert.deepEqual(params, ['report.', 'report_data']);
+});
+
+test('report cursors round-trip as opaque tokens', () => {
+  const cursor = { value: '2026-03-01 10:00:00', id: 42 };
+  const token = db.encodeReportCursor(cursor);
+
+  assert.match(token, /^[\w-]+$/);
+  assert.deepEqual(db.decodeReportCursor(token), cursor);
+});
+
+test('decodeReportCursor returns null for tokens it did not issue', () => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  for (const token of ['not-a-cursor', '', encode({ value: 'x', id: 1 }), encode([5, 1]), encode(['x', 1.5]), encode(['x', '1'])]) {
+    assert.equal(db.decodeReportCursor(token), null, token);
+  }
+});
+
+test('listReports returns a page and the cursor of its last row', async () => {
+  const rows = [
+    { id: 9, report_reference: 'R-9', sort_value: '2026-03-02 00:00:00' },
+    { id: 8, report_reference: 'R-8', sort_value: '2026-03-01 00:00:00' },
+    { id: 7, report_reference: 'R-7', sort_value: '2026-03-01 00:00:00' }
+  ];
+  const calls = captureQueries([{ total: 3 }], rows);
+
+  const page = await db.listReports(1, { limit: 2 });
+
+  assert.deepEqual(page.reports, [{ id: 9, report_reference: 'R-9' }, { id: 8, report_reference: 'R-8' }]);
+  assert.equal(page.total, 3);
+  assert.deepEqual(page.nextCursor, { value: '2026-03-01 00:00:00', id: 8 });
+  // Rows with the same sort value are ordered by id, so no row is skipped or repeated between pages
+  assert.match(calls[1].sql, /ORDER BY r\.created_at DESC, r\.id DESC/);
+  assert.deepEqual(calls[1].params, [1, 3]);
+});
+
+test('listReports continues after the cursor row, comparing sort value and id together', async () => {
+  const calls = captureQueries([{ total: 3 }], [{ id: 7, sort_value: '2026-03-01 00:00:00' }]);
+
+  const page = await db.listReports(1, { limit: 2, cursor: { value: '2026-03-01 00:00:00', id: 8 } });
+
+  assert.equal(page.nextCursor, null);
+  assert.doesNotMatch(calls[0].sql, /r\.id\) </, 'the total ignores the cursor');
+  assert.match(calls[1].sql, /\(r\.created_at, r\.id\) < \(\$2::timestamp, \$3\)/);
+  assert.deepEqual(calls[1].params, [1, '2026-03-01 00:00:00', 8, 3]);
+});
+
+test('listReports pages ascending sorts forwards from the cursor', async () => {
+  const calls = captureQueries([{ total: 0 }], []);
+  await db.listReports(1, { sort: 'market_value', order: 'asc', cursor: { value: '-1', id: 8 } });
+
+  assert.match(calls[1].sql, /\(COALESCE\(v\.market_value, -1\), r\.id\) > \(\$2::numeric, \$3\)/);
+  assert.match(calls[1].sql, /ORDER BY COALESCE\(v\.market_value, -1\) ASC, r\.id ASC/);
+});
+
+test('listReports rejects unknown sorts and states', async () => {
+  captureQueries();
+  await assert.rejects(db.listReports(1, { sort: 'password_hash' }), /Unknown report sort/);
+  await assert.rejects(db.listReports(1, { state: 'purged' }), /Unknown report state/);
+});
+
+test('purgeReport deletes a soft-deleted report and returns every stored file of its documents', async () => {
+  const { calls } = captureTransaction(
+    [
+      { file_path: '/uploads/10/a.pdf', thumbnail_path: '/uploads/10/thumbnails/20.jpg', processed_file_path: null },
+      { file_path: 's3://valuations/10/b.png', thumbnail_path: null, processed_file_path: 's3://valuations/10/processed/21.png' }
+    ],
+    [{ id: 10, deleted_at: '2026-03-01' }]
+  );
+
+  const purged = await db.purgeReport(10);
+
+  assert.match(calls[1].sql, /DELETE FROM valuation_reports WHERE id = \$1 AND deleted_at IS NOT NULL/);
+  assert.equal(purged.documentCount, 2);
+  assert.deepEqual(purged.filePaths, [
+    '/uploads/10/a.pdf', '/uploads/10/thumbnails/20.jpg', 's3://valuations/10/b.png', 's3://valuations/10/processed/21.png'
+  ]);
+});
+
+test('purgeReport leaves reports that are not deleted alone', async () => {
+  captureTransaction([{ file_path: '/uploads/10/a.pdf' }], []);
+  assert.equal(await db.purgeReport(10), null);
+});
+
+test('restoreReportRevision puts the old content back and records the restore as a new revision', async () => {
+  const revision = {
+    revision_number: 2, client_reference: 'BOC-7', property_address: '12 Galle Road',
+    gps_coordinates: { lat: 6.9, lng: 79.8 }, report_data: { owner_name: 'A. Perera' },
+    report_data_sources: { owner_name: { source: 'manual', user_id: 1 } }
+  };
+  const restoredReport = { id: 10, ...revision, report_data_sources: revision.report_data_sources };
+  const { calls, client } = captureTransaction([], [revision], [restoredReport]);
+  const saveReportContent = mock.method(db, 'saveReportContent', async () => {});
+  const refreshReportSearch = mock.method(db, 'refreshReportSearch', async () => {});
+  const createReportRevision = mock.method(db, 'createReportRevision', async () => ({ revision_number: 5 }));
+
+  const result = await db.restoreReportRevision(10, 2, 1);
+
+  assert.match(calls[0].sql, /FOR UPDATE/);
+  assert.deepEqual(calls[2].params, [
+    10, 'BOC-7', '12 Galle Road', JSON.stringify(revision.gps_coordinates),
+    JSON.stringify(revision.report_data), JSON.stringify(revision.report_data_sources)
+  ]);
+  assert.equal(saveReportContent.mock.calls[0].arguments[2], client);
+  assert.equal(refreshReportSearch.mock.calls[0].arguments[1], client);
+  assert.deepEqual(createReportRevision.mock.calls[0].arguments.slice(0, 2), [
+    restoredReport, { source: 'restore', created_by: 1, restored_from: 2 }
+  ]);
+  assert.deepEqual(result, { report: restoredReport, revision: { revision_number: 5 } });
+});
+
+test('restoreReportRevision returns null for a revision that does not exist', async () => {
+  const { calls } = captureTransaction([], []);
+  assert.equal(await db.restoreReportRevision(10, 9, 1), null);
+  assert.equal(calls.length, 2);
+});
+
+test('getDocumentsByChecksum ignores pending documents that no job will process', async () => {
+  const calls = captureQueries([]);
+  await db.getDocumentsByChecksum(10, ['abc']);
+
+  assert.match(calls[0].sql, /ocr_status' IS DISTINCT FROM 'pending'/);
+  assert.match(calls[0].sql, /EXISTS \(SELECT 1 FROM processing_job_items i WHERE i\.document_id = d\.id\)/);
+  assert.deepEqual(calls[0].params, [10, ['abc']]);
+});
\ No newline at end of file
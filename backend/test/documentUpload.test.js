@@ -0,0 +1,89 @@
+// Document upload: documents and their processing job are saved together or not at all
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { users, report, mockAccessData, startServer, accessToken } = require('./helpers');
+const db = require('../database');
+const authService = require('../authService');
+const auditService = require('../auditService');
+const storageService = require('../storageService');
+const app = require('../server');
+
+const png = (marker) => Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, marker]);
+
+let server;
+let client;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  await db.pool.end();
+});
+
+beforeEach(() => {
+  mockAccessData(mock, db);
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  mock.method(db, 'getDocumentsByChecksum', async () => []);
+  mock.method(db, 'findProcessedDocumentByChecksum', async () => undefined);
+  mock.method(storageService, 'saveFile', async (reportId, fileName, buffer) => ({
+    file_path: `/uploads/${reportId}/${fileName}`,
+    checksum_sha256: storageService.sha256(buffer),
+    file_size: buffer.length
+  }));
+  client = { query: async () => ({ rows: [] }) };
+  mock.method(db, 'transaction', async (callback) => callback(client));
+});
+afterEach(() => mock.restoreAll());
+
+function upload(files) {
+  const form = new FormData();
+  form.append('report_id', String(report.id));
+  for (const [name, buffer] of files) {
+    form.append('files', new Blob([buffer], { type: 'image/png' }), name);
+  }
+  return fetch(`${server.baseUrl}/api/documents/upload`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken(authService, users.owner)}` },
+    body: form
+  });
+}
+
+test('a failure while saving the documents removes every stored file and audits nothing', async () => {
+  let saved = 0;
+  mock.method(db, 'saveDocument', async (data, transactionClient) => {
+    assert.equal(transactionClient, client);
+    if (++saved === 2) throw new Error('connection lost');
+    return { id: 30 + saved, ...data };
+  });
+  const createProcessingJob = mock.method(db, 'createProcessingJob', async () => ({ id: 3 }));
+  const removeFiles = mock.method(storageService, 'removeFiles', async () => ({ removed: 2, failed: [] }));
+  const record = mock.method(auditService, 'record', async () => null);
+
+  const response = await upload([['deed.png', png(1)], ['plan.png', png(2)]]);
+
+  assert.equal(response.status, 500);
+  assert.equal(createProcessingJob.mock.callCount(), 0);
+  assert.deepEqual(removeFiles.mock.calls[0].arguments, [['/uploads/10/deed.png', '/uploads/10/plan.png']]);
+  assert.equal(record.mock.callCount(), 0);
+});
+
+test('the processing job is created in the same transaction as the documents', async () => {
+  mock.method(db, 'saveDocument', async (data) => ({ id: 31, ...data }));
+  const createProcessingJob = mock.method(db, 'createProcessingJob', async () => ({ id: 3 }));
+  mock.method(db, 'getProcessingJob', async () => ({ id: 3, status: 'queued', items: [] }));
+  const removeFiles = mock.method(storageService, 'removeFiles', async () => ({ removed: 0, failed: [] }));
+  const record = mock.method(auditService, 'record', async () => null);
+
+  const response = await upload([['deed.png', png(1)]]);
+  const body = await response.json();
+
+  assert.equal(response.status, 202);
+  assert.equal(createProcessingJob.mock.calls[0].arguments[1], client);
+  assert.deepEqual(createProcessingJob.mock.calls[0].arguments[0].document_ids, [31]);
+  assert.equal(body.files[0].status, 'queued');
+  assert.equal(record.mock.calls[0].arguments[1].action, 'document.uploaded');
+  assert.equal(removeFiles.mock.callCount(), 0);
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+// Shared fixtures for the backend tests. Tests never touch Postgres: database methods are
+// replaced per test with node:test mocks, so load this before anything that requires ./database.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.TOTP_ENCRYPTION_KEY = process.env.TOTP_ENCRYPTION_KEY || '00'.repeat(32);
+// The OpenAI client refuses to load without a key; no test calls the API
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const users = {
+  owner: { id: 1, email: 'owner@example.lk', role: 'valuer', firm_id: 1, is_active: true },
+  otherValuer: { id: 2, email: 'other@example.lk', role: 'valuer', firm_id: 1, is_active: true },
+  reviewer: { id: 3, email: 'reviewer@example.lk', role: 'reviewer', firm_id: 1, is_active: true },
+  firmAdmin: { id: 4, email: 'admin@example.lk', role: 'firm_admin', firm_id: 1, is_active: true },
+  platformAdmin: { id: 5, email: 'platform@example.lk', role: 'platform_admin', firm_id: null, is_active: true }
+};
+
+const report = { id: 10, valuer_id: users.owner.id, report_reference: 'VR-10' };
+const document = { id: 20, report_id: report.id, file_name: 'deed.pdf', file_type: 'application/pdf' };
+
+// A minimal Express response that records what the middleware sent
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    }
+  };
+}
+
+// Runs a middleware and resolves to { res, nextCalled }
+async function runMiddleware(middleware, req) {
+  const res = mockResponse();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+// Stubs the database reads behind requireAuth, requireReportAccess and requireDocumentAccess
+// with the fixtures above.
+// The session id of every test user is 100 + their id.
+function mockAccessData(mock, db, { reviewerIds = [users.reviewer.id] } = {}) {
+  const byId = Object.fromEntries(Object.values(users).map(user => [user.id, user]));
+  mock.method(db, 'getActiveSession', async (sessionId) => {
+    const user = byId[sessionId - 100];
+    return user ? { id: sessionId, user_id: user.id } : null;
+  });
+  mock.method(db, 'getUserById', async (id) => byId[id] || null);
+  mock.method(db, 'getReportById', async (id) => (String(id) === String(report.id) ? report : null));
+  mock.method(db, 'getDocumentById', async (id) => (String(id) === String(document.id) ? document : null));
+  mock.method(db, 'isReportReviewer', async (reportId, userId) => reviewerIds.includes(userId));
+}
+
+// Listens on a free port; resolves to { baseUrl, close }
+async function startServer(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function accessToken(authService, user) {
+  return authService.generateAccessToken(user, 100 + user.id).token;
+}
+
+module.exports = { users, report, document, mockResponse, runMiddleware, mockAccessData, startServer, accessToken };
\ No newline at end of file
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { users, report } = require('./helpers');
+const policyService = require('../policyService');
+
+test('canReadReport allows the owning valuer', () => {
+  assert.equal(policyService.canReadReport(users.owner, report), true);
+});
+
+test('canReadReport denies another valuer', () => {
+  assert.equal(policyService.canReadReport(users.otherValuer, report), false);
+  assert.equal(policyService.canReadReport(users.otherValuer, report, { isAssignedReviewer: true }), false);
+});
+
+test('canReadReport allows a reviewer only when assigned', () => {
+  assert.equal(policyService.canReadReport(users.reviewer, report, { isAssignedReviewer: true }), true);
+  assert.equal(policyService.canReadReport(users.reviewer, report, { isAssignedReviewer: false }), false);
+  assert.equal(policyService.canReadReport(users.reviewer, report), false);
+});
+
+test('canReadReport denies admins who do not own the report', () => {
+  assert.equal(policyService.canReadReport(users.firmAdmin, report), false);
+  assert.equal(policyService.canReadReport(users.platformAdmin, report), false);
+});
+
+test('canReadReport denies missing reports and actors', () => {
+  assert.equal(policyService.canReadReport(users.owner, null), false);
+  assert.equal(policyService.canReadReport(null, report), false);
+});
+
+test('canUpdateReport allows only the owning valuer', () => {
+  assert.equal(policyService.canUpdateReport(users.owner, report), true);
+  assert.equal(policyService.canUpdateReport(users.otherValuer, report), false);
+  assert.equal(policyService.canUpdateReport(users.reviewer, report), false);
+  assert.equal(policyService.canUpdateReport(users.platformAdmin, report), false);
+  assert.equal(policyService.canUpdateReport(users.owner, null), false);
+});
+
+test('canUpdateReport compares ids across string and number', () => {
+  assert.equal(policyService.canUpdateReport(users.owner, { ...report, valuer_id: String(users.owner.id) }), true);
+});
+
+test('canAccessUser allows only the account itself', () => {
+  assert.equal(policyService.canAccessUser(users.owner, String(users.owner.id)), true);
+  assert.equal(policyService.canAccessUser(users.otherValuer, users.owner.id), false);
+  assert.equal(policyService.canAccessUser(null, users.owner.id), false);
+});
+
+test('canAccessDocument follows the report the document belongs to', () => {
+  const document = { id: 20, report_id: report.id };
+  assert.equal(policyService.canAccessDocument(users.owner, document, report), true);
+  assert.equal(policyService.canAccessDocument(users.otherValuer, document, report), false);
+  assert.equal(policyService.canAccessDocument(users.owner, { ...document, report_id: 11 }, report), false);
+});
+
+test('canManageUser lets platform admins manage anyone but themselves', () => {
+  assert.equal(policyService.canManageUser(users.platformAdmin, users.owner), true);
+  assert.equal(policyService.canManageUser(users.platformAdmin, users.firmAdmin), true);
+  assert.equal(policyService.canManageUser(users.platformAdmin, users.platformAdmin), false);
+});
+
+test('canManageUser lets firm admins manage valuers and reviewers of their own firm', () => {
+  assert.equal(policyService.canManageUser(users.firmAdmin, users.owner), true);
+  assert.equal(policyService.canManageUser(users.firmAdmin, users.reviewer), true);
+  assert.equal(policyService.canManageUser(users.firmAdmin, { ...users.owner, firm_id: 2 }), false);
+  assert.equal(policyService.canManageUser(users.firmAdmin, { ...users.firmAdmin, id: 6 }), false);
+  assert.equal(policyService.canManageUser({ ...users.firmAdmin, firm_id: null }, { ...users.owner, firm_id: null }), false);
+});
+
+test('canManageUser denies valuers and reviewers', () => {
+  assert.equal(policyService.canManageUser(users.owner, users.otherValuer), false);
+  assert.equal(policyService.canManageUser(users.reviewer, users.owner), false);
+  assert.equal(policyService.canManageUser(users.platformAdmin, null), false);
+});
+
+test('canPurgeReport allows platform admins and firm admins of the owner\'s firm only', () => {
+  assert.equal(policyService.canPurgeReport(users.platformAdmin, report, users.owner), true);
+  assert.equal(policyService.canPurgeReport(users.firmAdmin, report, users.owner), true);
+  assert.equal(policyService.canPurgeReport(users.firmAdmin, report, { ...users.owner, firm_id: 2 }), false);
+  assert.equal(policyService.canPurgeReport({ ...users.firmAdmin, firm_id: null }, report, { ...users.owner, firm_id: null }), false);
+  assert.equal(policyService.canPurgeReport(users.owner, report, users.owner), false);
+  assert.equal(policyService.canPurgeReport(users.platformAdmin, null, users.owner), false);
+});
\ No newline at end of file
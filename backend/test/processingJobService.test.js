@@ -0,0 +1,112 @@
+// Job queue: claiming items, retries with backoff and when a job is completed
+const { test, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const db = require('../database');
+const processingJobService = require('../processingJobService');
+
+after(() => db.pool.end());
+afterEach(() => mock.restoreAll());
+
+const item = (attempts, max_attempts = 3) => ({ id: 7, job_id: 3, document_id: 20, attempts, max_attempts });
+
+// Runs db.transaction callbacks against a client that records queries and answers with rows in turn
+function fakeTransaction(...answers) {
+  const queries = [];
+  const client = {
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      return { rows: answers.shift() || [] };
+    }
+  };
+  mock.method(db, 'transaction', async (callback) => callback(client));
+  return queries;
+}
+
+test('retryDelaySeconds doubles with every failed attempt', () => {
+  assert.deepEqual([1, 2, 3, 4].map(attempts => processingJobService.retryDelaySeconds(attempts)), [5, 10, 20, 40]);
+});
+
+test('runItem puts an item that failed unexpectedly back in the queue with backoff', async () => {
+  mock.method(console, 'error', () => {});
+  mock.method(processingJobService, 'processItem', async () => { throw new Error('storage offline'); });
+  const requeue = mock.method(db, 'requeueProcessingJobItem', async () => ({}));
+  const finish = mock.method(db, 'finishProcessingJobItem', async () => ({}));
+  const completeJob = mock.method(processingJobService, 'completeJob', async () => {});
+
+  await processingJobService.runItem(item(2));
+
+  assert.deepEqual(requeue.mock.calls[0].arguments, [7, { error: 'storage offline', delaySeconds: 10 }]);
+  assert.equal(finish.mock.callCount(), 0);
+  assert.equal(completeJob.mock.callCount(), 0);
+});
+
+test('runItem fails an item on its last attempt and tries to complete the job', async () => {
+  mock.method(console, 'error', () => {});
+  mock.method(processingJobService, 'processItem', async () => { throw new Error('storage offline'); });
+  const requeue = mock.method(db, 'requeueProcessingJobItem', async () => ({}));
+  const finish = mock.method(db, 'finishProcessingJobItem', async () => ({}));
+  const completeJob = mock.method(processingJobService, 'completeJob', async () => {});
+
+  await processingJobService.runItem(item(3));
+
+  assert.equal(requeue.mock.callCount(), 0);
+  assert.deepEqual(finish.mock.calls[0].arguments, [7, { status: 'failed', error: 'storage offline' }]);
+  assert.deepEqual(completeJob.mock.calls[0].arguments, [3]);
+});
+
+test('runItem completes the job after a processed item', async () => {
+  mock.method(processingJobService, 'processItem', async () => {});
+  const completeJob = mock.method(processingJobService, 'completeJob', async () => {});
+
+  await processingJobService.runItem(item(1));
+  assert.deepEqual(completeJob.mock.calls[0].arguments, [3]);
+});
+
+test('processItem fails the item without retrying when the document was deleted', async () => {
+  mock.method(db, 'getDocumentById', async () => undefined);
+  const finish = mock.method(db, 'finishProcessingJobItem', async () => ({}));
+
+  await processingJobService.processItem(item(1));
+  assert.deepEqual(finish.mock.calls[0].arguments, [7, { status: 'failed', error: 'Document was deleted before it was processed' }]);
+});
+
+test('claimProcessingJobItem claims the next due item with SKIP LOCKED and starts its job', async () => {
+  const queries = fakeTransaction([{ id: 7, job_id: 3 }]);
+
+  const claimed = await db.claimProcessingJobItem('host:1#1');
+
+  assert.deepEqual(claimed, { id: 7, job_id: 3 });
+  assert.match(queries[0].sql, /status = 'queued' AND run_after <= NOW\(\)/);
+  assert.match(queries[0].sql, /ORDER BY run_after, id\s+FOR UPDATE SKIP LOCKED\s+LIMIT 1/);
+  assert.match(queries[0].sql, /attempts = attempts \+ 1/);
+  assert.deepEqual(queries[0].params, ['host:1#1']);
+  assert.match(queries[1].sql, /UPDATE processing_jobs\s+SET status = 'running'/);
+  assert.deepEqual(queries[1].params, [3]);
+});
+
+test('claimProcessingJobItem leaves jobs alone when nothing is due', async () => {
+  const queries = fakeTransaction([]);
+
+  assert.equal(await db.claimProcessingJobItem('host:1#1'), undefined);
+  assert.equal(queries.length, 1);
+});
+
+test('createJob completes a job of reused documents at once, unless it is inside a transaction', async () => {
+  mock.method(console, 'log', () => {});
+  const createProcessingJob = mock.method(db, 'createProcessingJob', async () => ({ id: 3 }));
+  const completeJob = mock.method(processingJobService, 'completeJob', async () => {});
+  const documents = [{ id: 20 }, { id: 21 }];
+
+  await processingJobService.createJob(10, 1, documents, { reusedDocumentIds: [20, 21] });
+  assert.deepEqual(createProcessingJob.mock.calls[0].arguments[0].document_ids, [20, 21]);
+  assert.equal(completeJob.mock.callCount(), 1);
+
+  const client = { query: async () => ({ rows: [] }) };
+  await processingJobService.createJob(10, 1, documents, { reusedDocumentIds: [20, 21], client });
+  assert.equal(createProcessingJob.mock.calls[1].arguments[1], client);
+  assert.equal(completeJob.mock.callCount(), 1);
+
+  await processingJobService.createJob(10, 1, documents, { reusedDocumentIds: [20] });
+  assert.equal(completeJob.mock.callCount(), 1);
+});
\ No newline at end of file
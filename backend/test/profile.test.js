@@ -0,0 +1,50 @@
+// Profile responses only carry whitelisted columns
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { users, mockAccessData, startServer, accessToken } = require('./helpers');
+const db = require('../database');
+const authService = require('../authService');
+const app = require('../server');
+
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  await db.pool.end();
+});
+
+beforeEach(() => mockAccessData(mock, db));
+afterEach(() => mock.restoreAll());
+
+test('GET /api/auth/profile leaves out secrets and lockout state', async () => {
+  const storedUser = {
+    ...users.owner,
+    full_name: 'Owner Valuer',
+    password_hash: '$2a$12$hash',
+    email_verification_token: 'token',
+    email_verification_expires_at: new Date().toISOString(),
+    totp_secret: 'JBSWY3DPEHPK3PXP',
+    totp_enabled: true,
+    totp_last_used_step: 123,
+    failed_login_attempts: 3,
+    locked_until: null
+  };
+  mock.method(db, 'getUserById', async () => storedUser);
+
+  const response = await fetch(`${server.baseUrl}/api/auth/profile`, {
+    headers: { Authorization: `Bearer ${accessToken(authService, users.owner)}` }
+  });
+  const { user } = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(user.full_name, 'Owner Valuer');
+  assert.equal(user.totp_enabled, true);
+  for (const column of ['password_hash', 'email_verification_token', 'email_verification_expires_at',
+    'totp_secret', 'totp_last_used_step', 'failed_login_attempts', 'locked_until']) {
+    assert.equal(column in user, false, `${column} must not be returned`);
+  }
+});
\ No newline at end of file
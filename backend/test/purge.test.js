@@ -0,0 +1,64 @@
+// Admin purge: a soft-deleted report is removed for good together with its stored files
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { users, report, mockAccessData, startServer, accessToken } = require('./helpers');
+const db = require('../database');
+const authService = require('../authService');
+const auditService = require('../auditService');
+const storageService = require('../storageService');
+const app = require('../server');
+
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  await db.pool.end();
+});
+
+beforeEach(() => {
+  mockAccessData(mock, db);
+  mock.method(auditService, 'record', async () => null);
+});
+afterEach(() => mock.restoreAll());
+
+const purgeReport = (user) => fetch(`${server.baseUrl}/api/admin/reports/${report.id}`, {
+  method: 'DELETE',
+  headers: { Authorization: `Bearer ${accessToken(authService, user)}` }
+});
+
+test('purging a deleted report removes the files of all its documents', async () => {
+  const filePaths = ['/uploads/10/a.pdf', '/uploads/10/thumbnails/20.jpg'];
+  mock.method(db, 'purgeReport', async () => ({ report, documentCount: 1, filePaths }));
+  const removeFiles = mock.method(storageService, 'removeFiles', async () => ({ removed: 2, failed: [] }));
+
+  const response = await purgeReport(users.platformAdmin);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(removeFiles.mock.calls[0].arguments, [filePaths]);
+  assert.equal(body.documents_removed, 1);
+  assert.equal(body.files_removed, 2);
+});
+
+test('a report that is not deleted is not purged and keeps its files', async () => {
+  mock.method(db, 'purgeReport', async () => null);
+  const removeFiles = mock.method(storageService, 'removeFiles', async () => ({ removed: 0, failed: [] }));
+
+  assert.equal((await purgeReport(users.firmAdmin)).status, 409);
+  assert.equal(removeFiles.mock.callCount(), 0);
+});
+
+test('only admins of the owner\'s firm may purge', async () => {
+  const purge = mock.method(db, 'purgeReport', async () => null);
+
+  assert.equal((await purgeReport(users.owner)).status, 403);
+
+  // The report owner has moved to another firm
+  mock.method(db, 'getUserById', async (id) => (id === users.owner.id ? { ...users.owner, firm_id: 2 } : users.firmAdmin));
+  assert.equal((await purgeReport(users.firmAdmin)).status, 403);
+  assert.equal(purge.mock.callCount(), 0);
+});
\ No newline at end of file
@@ -0,0 +1,118 @@
+// Rate limits (429 with Retry-After once a window is used up) and account lockout
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { runMiddleware, startServer } = require('./helpers');
+const { rateLimit, MemoryStore } = require('../rateLimiter');
+const db = require('../database');
+const authService = require('../authService');
+const app = require('../server');
+
+const limiter = (options = {}) => rateLimit({
+  name: 'test',
+  windowMs: 60 * 1000,
+  max: 2,
+  keyGenerator: (req) => req.ip,
+  store: new MemoryStore(),
+  ...options
+});
+
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  await db.pool.end();
+});
+
+afterEach(() => mock.restoreAll());
+
+test('rateLimit answers 429 with Retry-After once the window is used up', async () => {
+  mock.method(console, 'warn', () => {});
+  const middleware = limiter();
+  const req = { ip: '10.0.0.1' };
+
+  for (let i = 0; i < 2; i++) {
+    const { res, nextCalled } = await runMiddleware(middleware, req);
+    assert.equal(nextCalled, true);
+    assert.equal(res.headers['RateLimit-Remaining'], String(1 - i));
+  }
+
+  const { res, nextCalled } = await runMiddleware(middleware, req);
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers['Retry-After'], '60');
+  assert.equal(res.body.retry_after, 60);
+
+  // Other clients keep their own counters
+  assert.equal((await runMiddleware(middleware, { ip: '10.0.0.2' })).nextCalled, true);
+});
+
+test('rateLimit starts a new window once the old one expires', async () => {
+  mock.method(console, 'warn', () => {});
+  const middleware = limiter({ windowMs: 20, max: 1 });
+  const req = { ip: '10.0.0.1' };
+
+  await runMiddleware(middleware, req);
+  assert.equal((await runMiddleware(middleware, req)).res.statusCode, 429);
+
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal((await runMiddleware(middleware, req)).nextCalled, true);
+});
+
+test('rateLimit skips requests without a key', async () => {
+  const middleware = limiter({ max: 0, keyGenerator: () => null });
+  assert.equal((await runMiddleware(middleware, {})).nextCalled, true);
+});
+
+test('rateLimit works with an asynchronous shared store and passes its errors on', async () => {
+  const hits = new Map();
+  const sharedStore = {
+    async increment(key, windowMs) {
+      const count = (hits.get(key) || 0) + 1;
+      hits.set(key, count);
+      return { count, resetAt: Date.now() + windowMs };
+    }
+  };
+  const middleware = limiter({ max: 5, store: sharedStore });
+
+  await runMiddleware(middleware, { ip: '10.0.0.1' });
+  assert.equal(hits.get('test:10.0.0.1'), 1);
+
+  const failing = limiter({ store: { increment: async () => { throw new Error('store offline'); } } });
+  let passedError;
+  await failing({ ip: '10.0.0.1' }, {}, (error) => { passedError = error; });
+  assert.equal(passedError.message, 'store offline');
+});
+
+test('lockoutSecondsRemaining counts down to the end of the lock', () => {
+  assert.equal(authService.lockoutSecondsRemaining(null), 0);
+  assert.equal(authService.lockoutSecondsRemaining({ locked_until: null }), 0);
+  assert.equal(authService.lockoutSecondsRemaining({ locked_until: new Date(Date.now() - 1000) }), 0);
+  assert.equal(authService.lockoutSecondsRemaining({ locked_until: new Date(Date.now() + 90 * 1000) }), 90);
+});
+
+test('POST /api/auth/login refuses a locked account with 429 before checking the password', async () => {
+  const lockedUser = {
+    id: 1,
+    email: 'owner@example.lk',
+    password_hash: await authService.hashPassword('Correct-horse-1'),
+    locked_until: new Date(Date.now() + 5 * 60 * 1000).toISOString()
+  };
+  mock.method(db, 'getUserByEmail', async () => lockedUser);
+  const verifyPassword = mock.method(authService, 'verifyPassword');
+
+  const response = await fetch(`${server.baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: lockedUser.email, password: 'Correct-horse-1' })
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 429);
+  assert.ok(body.retry_after > 290 && body.retry_after <= 300);
+  assert.equal(response.headers.get('retry-after'), String(body.retry_after));
+  assert.equal(verifyPassword.mock.callCount(), 0);
+});
\ No newline at end of file
@@ -0,0 +1,53 @@
+// Registration follows the same password policy and hashing as reset and change-password
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const db = require('../database');
+const authService = require('../authService');
+const auditService = require('../auditService');
+const emailService = require('../emailService');
+const app = require('../server');
+
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  await db.pool.end();
+});
+
+afterEach(() => mock.restoreAll());
+
+async function register(body) {
+  const response = await fetch(`${server.baseUrl}/api/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('POST /api/auth/register rejects a password shorter than the policy allows', async () => {
+  const createUser = mock.method(db, 'createUser', async () => { throw new Error('must not be called'); });
+  mock.method(db, 'getUserByEmail', async () => null);
+
+  const { status, body } = await register({ email: 'short@example.lk', password: 'x', full_name: 'Short Password' });
+  assert.equal(status, 400);
+  assert.equal(body.error, authService.validatePassword('x'));
+  assert.equal(createUser.mock.callCount(), 0);
+});
+
+test('POST /api/auth/register stores a hash that authService can verify', async () => {
+  mock.method(db, 'getUserByEmail', async () => null);
+  const createUser = mock.method(db, 'createUser', async (data) => ({ id: 7, email: data.email, full_name: data.full_name }));
+  mock.method(auditService, 'record', async () => {});
+  mock.method(emailService, 'sendVerificationEmail', async () => {});
+
+  const { status } = await register({ email: 'new@example.lk', password: 'long enough', full_name: 'New Valuer' });
+  assert.equal(status, 201);
+  const { password_hash: passwordHash } = createUser.mock.calls[0].arguments[0];
+  assert.equal(await authService.verifyPassword('long enough', passwordHash), true);
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+// Merge-patch rules for report_data and the provenance that protects manual edits
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const reportDataService = require('../reportDataService');
+
+const manual = { source: 'manual', user_id: 1 };
+const fromDocument = { source: 'document', document_id: 20, document_name: 'deed.pdf' };
+
+test('merge merges nested objects and records each written path', () => {
+  const data = { parcel: { lot_number: '5', plan_number: '1234' }, owner_name: 'A. Perera' };
+  const { data: merged, sources } = reportDataService.merge(data, {}, { parcel: { lot_number: '6' } }, manual);
+
+  assert.deepEqual(merged, { parcel: { lot_number: '6', plan_number: '1234' }, owner_name: 'A. Perera' });
+  assert.deepEqual(Object.keys(sources), ['parcel.lot_number']);
+  assert.equal(sources['parcel.lot_number'].source, 'manual');
+  assert.equal(data.parcel.lot_number, '5', 'the input is not modified');
+});
+
+test('merge leaves an existing object unchanged for an empty object patch', () => {
+  const data = { parcel: { lot_number: '5' } };
+  const sources = { 'parcel.lot_number': { source: 'manual', user_id: 1 } };
+  const result = reportDataService.merge(data, sources, { parcel: {} }, manual);
+
+  assert.deepEqual(result.data, data);
+  assert.deepEqual(result.sources, sources);
+});
+
+test('merge replaces arrays instead of merging them', () => {
+  const data = { buildings: [{ building_type: 'House' }, { building_type: 'Garage' }] };
+  const { data: merged } = reportDataService.merge(data, {}, { buildings: [{ building_type: 'Shop' }] }, manual);
+
+  assert.deepEqual(merged.buildings, [{ building_type: 'Shop' }]);
+});
+
+test('merge removes fields patched with null and the sources beneath them', () => {
+  const data = { parcel: { lot_number: '5', plan_number: '1234' } };
+  const sources = { 'parcel.plan_number': { source: 'document', document_id: 20 } };
+  const result = reportDataService.merge(data, sources, { parcel: { plan_number: null } }, manual);
+
+  assert.deepEqual(result.data, { parcel: { lot_number: '5' } });
+  assert.equal(result.sources['parcel.plan_number'].source, 'manual');
+  assert.equal(result.sources['parcel.plan_number'].removed, true);
+
+  const withChildren = reportDataService.merge(data, sources, { parcel: null }, manual);
+  assert.equal('parcel' in withChildren.data, false);
+  assert.deepEqual(Object.keys(withChildren.sources), ['parcel']);
+});
+
+test('merge skips automated writes over manual edits, including their children', () => {
+  const data = { owner_name: 'Edited', parcel: { lot_number: '5' } };
+  const sources = {
+    owner_name: { source: 'manual', user_id: 1 },
+    parcel: { source: 'manual', user_id: 1 }
+  };
+  const result = reportDataService.merge(data, sources, {
+    owner_name: 'Extracted',
+    parcel: { lot_number: '9' },
+    deed_number: '42'
+  }, fromDocument);
+
+  assert.deepEqual(result.skipped, ['owner_name', 'parcel.lot_number']);
+  assert.deepEqual(result.data, { owner_name: 'Edited', parcel: { lot_number: '5' }, deed_number: '42' });
+  assert.equal(result.sources.deed_number.source, 'document');
+});
+
+test('a manual removal stops automated sources from filling the field again', () => {
+  const removed = reportDataService.merge({ owner_name: 'Wrong' }, {}, { owner_name: null }, manual);
+  assert.equal(removed.sources.owner_name.removed, true);
+
+  const refill = reportDataService.merge(removed.data, removed.sources, { owner_name: 'Wrong' }, fromDocument);
+  assert.deepEqual(refill.skipped, ['owner_name']);
+  assert.equal('owner_name' in refill.data, false);
+
+  // The valuer can still set it again by hand
+  const edited = reportDataService.merge(removed.data, removed.sources, { owner_name: 'Right' }, manual);
+  assert.equal(edited.data.owner_name, 'Right');
+});
+
+test('blank extraction placeholders and nulls do not overwrite known values', () => {
+  const data = { land_extent: '1A-2R-10P', deed_number: '42' };
+  const result = reportDataService.merge(data, {}, { land_extent: 'Not specified', deed_number: null, survey_date: 'N/A' }, fromDocument);
+
+  assert.equal(result.data.land_extent, '1A-2R-10P');
+  assert.equal(result.data.deed_number, '42');
+  assert.equal(result.data.survey_date, 'N/A', 'placeholders may still fill empty fields');
+  assert.deepEqual(result.skipped, []);
+});
+
+test('merge rejects unknown provenance and non-object patches', () => {
+  assert.throws(() => reportDataService.merge({}, {}, { a: 1 }, { source: 'guess' }), /provenance/);
+  assert.throws(() => reportDataService.merge({}, {}, [1], manual), /must be an object/);
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+// Revision history routes: diffs between snapshots and restoring an old revision
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { users, report, mockAccessData, startServer, accessToken } = require('./helpers');
+const db = require('../database');
+const authService = require('../authService');
+const auditService = require('../auditService');
+const app = require('../server');
+
+const revisions = {
+  1: {
+    revision_number: 1, status: 'draft', client_reference: 'BOC-7', property_address: '12 Galle Road',
+    gps_coordinates: null, report_data: { owner_name: 'A. Perera', parcel: { lot_number: '5' } },
+    report_data_sources: {}, created_at: '2026-03-01T00:00:00.000Z', created_by_name: 'Owner'
+  },
+  2: {
+    revision_number: 2, status: 'draft', client_reference: 'BOC-7', property_address: '12 Galle Road',
+    gps_coordinates: null, report_data: { owner_name: 'A. B. Perera', parcel: { lot_number: '5', plan_number: '1234' } },
+    report_data_sources: { owner_name: { source: 'manual' } }, created_at: '2026-03-02T00:00:00.000Z', created_by_name: 'Owner'
+  }
+};
+
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  await db.pool.end();
+});
+
+beforeEach(() => {
+  mockAccessData(mock, db);
+  mock.method(db, 'getReportRevisions', async () => [revisions[2], revisions[1]]);
+  mock.method(db, 'getReportRevision', async (reportId, number) => revisions[number]);
+});
+afterEach(() => mock.restoreAll());
+
+async function call(method, path, user = users.owner) {
+  const response = await fetch(server.baseUrl + path, {
+    method,
+    headers: { Authorization: `Bearer ${accessToken(authService, user)}` }
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the revision diff compares the latest revision with the one before by default', async () => {
+  const { status, body } = await call('GET', `/api/reports/${report.id}/revisions/diff`);
+
+  assert.equal(status, 200);
+  assert.equal(body.from.revision_number, 1);
+  assert.equal(body.to.revision_number, 2);
+  // Sorted by path; provenance bookkeeping is not part of the diff
+  assert.deepEqual(body.changes, [
+    { path: 'report_data.owner_name', before: 'A. Perera', after: 'A. B. Perera' },
+    { path: 'report_data.parcel.plan_number', before: null, after: '1234' }
+  ]);
+});
+
+test('the revision diff rejects bad revision numbers and reports missing revisions', async () => {
+  assert.equal((await call('GET', `/api/reports/${report.id}/revisions/diff?from=abc&to=2`)).status, 400);
+  assert.equal((await call('GET', `/api/reports/${report.id}/revisions/diff?to=0`)).status, 400);
+  assert.equal((await call('GET', `/api/reports/${report.id}/revisions/diff?from=1&to=9`)).status, 404);
+});
+
+test('restoring a revision is refused to readers who cannot update the report', async () => {
+  const restore = mock.method(db, 'restoreReportRevision', async () => null);
+  const { status } = await call('POST', `/api/reports/${report.id}/revisions/1/restore`, users.reviewer);
+
+  assert.equal(status, 403);
+  assert.equal(restore.mock.callCount(), 0);
+});
+
+test('restoring a revision returns the report and the new revision', async () => {
+  const restoredReport = { ...report, report_data: revisions[1].report_data };
+  mock.method(db, 'restoreReportRevision', async () => ({ report: restoredReport, revision: { revision_number: 3 } }));
+  const record = mock.method(auditService, 'record', async () => null);
+
+  const { status, body } = await call('POST', `/api/reports/${report.id}/revisions/1/restore`);
+
+  assert.equal(status, 200);
+  assert.equal(body.message, '✅ Report restored to revision 1');
+  assert.equal(body.revision.revision_number, 3);
+  assert.equal(record.mock.calls[0].arguments[1].action, 'report.restored');
+  assert.equal((await call('POST', `/api/reports/${report.id}/revisions/x/restore`)).status, 404);
+});
\ No newline at end of file
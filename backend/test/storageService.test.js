@@ -0,0 +1,108 @@
+// Stored file paths: local paths stay inside the uploads directory, S3 paths carry bucket and key
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+const storageService = require('../storageService');
+
+const LocalStorage = storageService.local.constructor;
+const configuredBucket = storageService.s3.bucket;
+let uploadsDir;
+let local;
+
+before(async () => {
+  uploadsDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'uploads-test-'));
+  local = new LocalStorage(uploadsDir);
+});
+
+after(() => fs.promises.rm(uploadsDir, { recursive: true, force: true }));
+
+afterEach(() => {
+  mock.restoreAll();
+  storageService.driver = 'local';
+  storageService.s3.bucket = configuredBucket;
+});
+
+test('resolvePath keeps stored paths inside the uploads directory', () => {
+  assert.equal(local.resolvePath('/uploads/10/deed.pdf'), path.join(uploadsDir, '10', 'deed.pdf'));
+  assert.equal(local.resolvePath('10/deed.pdf'), path.join(uploadsDir, '10', 'deed.pdf'));
+  assert.equal(local.resolvePath('/uploads/../secrets.txt'), null);
+  assert.equal(local.resolvePath('/uploads/10/../../etc/passwd'), null);
+  assert.equal(local.resolvePath('/etc/passwd'), null);
+  assert.equal(local.resolvePath('/uploads/'), null);
+  assert.equal(local.resolvePath(null), null);
+});
+
+test('LocalStorage stores, reads and removes a file, and never overwrites by default', async () => {
+  const filePath = await local.put('10/a.txt', Buffer.from('first'));
+  assert.equal(filePath, '/uploads/10/a.txt');
+  await assert.rejects(local.put('10/a.txt', Buffer.from('second')), { code: 'EEXIST' });
+  await local.put('10/a.txt', Buffer.from('third'), { overwrite: true });
+
+  const chunks = [];
+  for await (const chunk of await local.createReadStream(filePath)) chunks.push(chunk);
+  assert.equal(Buffer.concat(chunks).toString(), 'third');
+
+  assert.equal(await local.remove(filePath), true);
+  assert.equal(await local.remove(filePath), false);
+  assert.equal(await local.createReadStream(filePath), null);
+  await assert.rejects(local.put('../escape.txt', Buffer.from('x')), /outside the uploads directory/);
+});
+
+test('safeFileName drops directories and characters unsafe in paths or object keys', () => {
+  assert.equal(storageService.safeFileName('../../etc/passwd'), 'passwd');
+  assert.equal(storageService.safeFileName('C:\\scans\\deed.pdf'), 'C_scans_deed.pdf');
+  assert.equal(storageService.safeFileName('plan #12 (final).pdf'), 'plan _12 _final_.pdf');
+  assert.equal(storageService.safeFileName(''), 'file');
+  assert.equal(storageService.safeFileName('x'.repeat(200) + '.pdf').length, 120);
+});
+
+test('S3 paths parse into bucket and key and route to the S3 backend', () => {
+  assert.deepEqual(storageService.s3.parsePath('s3://valuations/10/abc-deed.pdf'), { bucket: 'valuations', key: '10/abc-deed.pdf' });
+  assert.throws(() => storageService.s3.parsePath('s3://valuations'), /Invalid S3 file path/);
+  assert.throws(() => storageService.s3.parsePath('/uploads/10/deed.pdf'), /Invalid S3 file path/);
+
+  assert.equal(storageService.getBackend('s3://valuations/10/deed.pdf'), storageService.s3);
+  assert.equal(storageService.getBackend('/uploads/10/deed.pdf'), storageService.local);
+});
+
+test('saveFile writes to S3 under a unique per-report key with the checksum', async () => {
+  const sent = [];
+  mock.method(storageService.s3, 'getClient', () => ({ send: async (command) => { sent.push(command.input); } }));
+  storageService.s3.bucket = 'valuations';
+  storageService.driver = 's3';
+
+  const buffer = Buffer.from('%PDF-1.7 test');
+  const first = await storageService.saveFile(10, '../deed.pdf', buffer, 'application/pdf');
+  const second = await storageService.saveFile(10, '../deed.pdf', buffer, 'application/pdf');
+
+  assert.match(first.file_path, /^s3:\/\/valuations\/10\/[0-9a-f-]{36}-deed\.pdf$/);
+  assert.notEqual(first.file_path, second.file_path);
+  assert.equal(first.checksum_sha256, storageService.sha256(buffer));
+  assert.equal(first.file_size, buffer.length);
+  assert.equal(sent[0].Bucket, 'valuations');
+  assert.equal(`s3://valuations/${sent[0].Key}`, first.file_path);
+  assert.equal(sent[0].ContentType, 'application/pdf');
+  assert.deepEqual(sent[0].Metadata, { sha256: first.checksum_sha256 });
+});
+
+test('the write backend must be configured', () => {
+  storageService.driver = 's3';
+  storageService.s3.bucket = undefined;
+  assert.throws(() => storageService.getWriteBackend(), /S3_BUCKET must be set/);
+
+  storageService.driver = 'ftp';
+  assert.throws(() => storageService.getWriteBackend(), /Unknown STORAGE_DRIVER ftp/);
+});
+
+test('removeFiles reports files it could not remove instead of stopping', async () => {
+  mock.method(storageService, 'removeFile', async (filePath) => {
+    if (filePath === 'b') throw new Error('denied');
+    return filePath !== 'c';
+  });
+  mock.method(console, 'error', () => {});
+
+  assert.deepEqual(await storageService.removeFiles(['a', 'b', 'c']), { removed: 1, failed: ['b'] });
+});
\ No newline at end of file
@@ -0,0 +1,28 @@
+// TOTP secrets are sealed before they are stored and opened again for verification
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const totpService = require('../totpService');
+
+test('sealSecret encrypts the secret and openSecret restores it', () => {
+  const secret = totpService.generateSecret();
+  const sealed = totpService.sealSecret(secret);
+
+  assert.ok(sealed.startsWith('enc:v1:'));
+  assert.equal(sealed.includes(secret), false);
+  assert.notEqual(totpService.sealSecret(secret), sealed);
+  assert.equal(totpService.openSecret(sealed), secret);
+});
+
+test('openSecret rejects a tampered value', () => {
+  const sealed = totpService.sealSecret(totpService.generateSecret());
+  const parts = sealed.split(':');
+  parts[4] = Buffer.from('tampered').toString('base64');
+
+  assert.throws(() => totpService.openSecret(parts.join(':')));
+});
+
+test('openSecret refuses a secret that was not sealed', () => {
+  assert.throws(() => totpService.openSecret('JBSWY3DPEHPK3PXP'), /not encrypted/);
+  assert.equal(totpService.openSecret(null), null);
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+// Upload checks: type by magic bytes, size limits and PDFs that cannot be processed
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+require('./helpers');
+const uploadValidationService = require('../uploadValidationService');
+
+const file = (buffer, originalname = 'upload.bin') => ({ buffer, size: buffer.length, originalname });
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]);
+const tiffLittleEndian = Buffer.from([0x49, 0x49, 0x2a, 0x00, 8, 0, 0, 0]);
+const tiffBigEndian = Buffer.from([0x4d, 0x4d, 0x00, 0x2a, 0, 0, 0, 8]);
+// Hand-written because pdf-lib adds a blank page to any document it saves
+const pdfWithoutPages = Buffer.from(
+  '%PDF-1.4\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n' +
+  '2 0 obj\n<< /Type /Pages /Kids [] /Count 0 >>\nendobj\ntrailer\n<< /Size 3 /Root 1 0 R >>\n%%EOF\n'
+);
+let pdf;
+
+before(async () => {
+  const document = await PDFDocument.create();
+  document.addPage();
+  pdf = Buffer.from(await document.save({ useObjectStreams: false }));
+});
+
+test('detectType reads the type from the leading bytes', () => {
+  assert.equal(uploadValidationService.detectType(pdf), 'application/pdf');
+  assert.equal(uploadValidationService.detectType(png), 'image/png');
+  assert.equal(uploadValidationService.detectType(jpeg), 'image/jpeg');
+  assert.equal(uploadValidationService.detectType(tiffLittleEndian), 'image/tiff');
+  assert.equal(uploadValidationService.detectType(tiffBigEndian), 'image/tiff');
+});
+
+test('detectType rejects other content whatever the file is called', () => {
+  assert.equal(uploadValidationService.detectType(Buffer.from('just text, renamed to deed.pdf')), null);
+  assert.equal(uploadValidationService.detectType(Buffer.from('GIF89a')), null);
+  assert.equal(uploadValidationService.detectType(Buffer.from('%PD')), null, 'a truncated signature does not match');
+  assert.equal(uploadValidationService.detectType(Buffer.alloc(0)), null);
+});
+
+test('inspect accepts a valid file and returns the detected type', async () => {
+  assert.deepEqual(await uploadValidationService.inspect(file(pdf, 'deed.jpg')), { type: 'application/pdf', error: null, status: null });
+  assert.deepEqual(await uploadValidationService.inspect(file(png)), { type: 'image/png', error: null, status: null });
+});
+
+test('inspect rejects empty, oversized and unsupported files with matching statuses', async () => {
+  assert.equal((await uploadValidationService.inspect(file(Buffer.alloc(0)))).status, 400);
+
+  const oversized = { ...file(png), size: uploadValidationService.maxFileBytes + 1 };
+  const tooLarge = await uploadValidationService.inspect(oversized);
+  assert.equal(tooLarge.status, 413);
+  assert.equal(tooLarge.error, `Each file must be ${uploadValidationService.megabytes(uploadValidationService.maxFileBytes)}MB or smaller`);
+
+  const unsupported = await uploadValidationService.inspect(file(Buffer.from('<html></html>'), 'deed.pdf'));
+  assert.equal(unsupported.status, 415);
+  assert.equal(unsupported.type, null);
+});
+
+test('inspect rejects damaged, encrypted and empty PDFs with 422', async () => {
+  const damaged = await uploadValidationService.inspect(file(pdf.subarray(0, 60)));
+  assert.equal(damaged.status, 422);
+  assert.match(damaged.error, /damaged or malformed/);
+
+  const encryptedPdf = Buffer.from(
+    pdf.toString('latin1').replace('/Root', '/Encrypt << /Filter /Standard /V 1 /R 2 >>\n/Root'),
+    'latin1'
+  );
+  const encrypted = await uploadValidationService.inspect(file(encryptedPdf));
+  assert.equal(encrypted.status, 422);
+  assert.match(encrypted.error, /Encrypted or password-protected/);
+
+  const empty = await uploadValidationService.inspect(file(pdfWithoutPages));
+  assert.equal(empty.status, 422);
+  assert.equal(empty.error, 'PDF has no pages');
+});
\ No newline at end of file
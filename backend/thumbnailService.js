@@ -0,0 +1,51 @@
+const sharp = require('sharp');
+
+// JPEG previews of uploaded documents: images are scaled down, PDFs show their first page.
+class ThumbnailService {
+  constructor() {
+    this.maxSize = 320;
+    this.contentType = 'image/jpeg';
+  }
+
+  supports(mimeType) {
+    return mimeType === 'application/pdf' || /^image\//.test(mimeType || '');
+  }
+
+  // mupdf ships as an ES module with WebAssembly, so it is loaded on first use
+  async renderPdfFirstPage(pdfBuffer) {
+    const mupdf = await import('mupdf');
+    const document = mupdf.Document.openDocument(pdfBuffer, 'application/pdf');
+    try {
+      if (document.countPages() === 0) {
+        throw new Error('PDF has no pages');
+      }
+      const page = document.loadPage(0);
+      const [x0, y0, x1, y1] = page.getBounds();
+      // Render at twice the thumbnail size so the downscale stays sharp
+      const scale = Math.min(2, (this.maxSize * 2) / Math.max(x1 - x0, y1 - y0));
+      const pixmap = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceRGB, false, true);
+      return Buffer.from(pixmap.asPNG());
+    } finally {
+      document.destroy();
+    }
+  }
+
+  // Returns a JPEG buffer no larger than maxSize on either side
+  async create(buffer, mimeType) {
+    if (!this.supports(mimeType)) {
+      throw new Error(`Previews are not available for ${mimeType || 'this file type'}`);
+    }
+
+    const source = mimeType === 'application/pdf' ? await this.renderPdfFirstPage(buffer) : buffer;
+    return sharp(source)
+      .rotate()
+      .resize({ width: this.maxSize, height: this.maxSize, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+  }
+}
+
+// Export singleton instance
+const thumbnailService = new ThumbnailService();
+module.exports = thumbnailService;
\ No newline at end of file
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SEALED_PREFIX = 'enc:v1:';
+
+// Time-based one-time passwords (RFC 6238) compatible with Google Authenticator, Authy etc.
+class TotpService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'AI Valuation System';
+    this.digits = 6;
+    this.periodSeconds = 30;
+    // Accept codes from one step either side to tolerate phone clock drift
+    this.window = 1;
+    this.recoveryCodeCount = 10;
+    // 32-byte AES key as 64 hex characters; secrets are sealed with it before they reach the database
+    this.encryptionKey = process.env.TOTP_ENCRYPTION_KEY;
+  }
+
+  getEncryptionKey() {
+    const key = Buffer.from(this.encryptionKey || '', 'hex');
+    if (key.length !== 32) {
+      throw new Error('TOTP encryption key not configured');
+    }
+    return key;
+  }
+
+  // AES-256-GCM so a leaked users table (or backup) does not leak working 2FA secrets
+  sealSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return SEALED_PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  openSecret(stored) {
+    if (!stored) return null;
+    if (!stored.startsWith(SEALED_PREFIX)) {
+      throw new Error('Stored TOTP secret is not encrypted');
+    }
+
+    const [iv, tag, encrypted] = stored.slice(SEALED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character in TOTP secret');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  // 160-bit secret, the size recommended by RFC 4226
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / this.periodSeconds);
+  }
+
+  // HOTP (RFC 4226) value for a single time step
+  generateCode(secret, step = this.currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  // Returns the matching time step, or null. Steps at or before lastUsedStep are rejected
+  // so a code cannot be replayed within its validity window.
+  verifyCode(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!secret || !/^\d+$/.test(normalized) || normalized.length !== this.digits) return null;
+
+    const step = this.currentStep();
+    for (let candidate = step - this.window; candidate <= step + this.window; candidate++) {
+      if (lastUsedStep !== null && candidate <= Number(lastUsedStep)) continue;
+
+      const expected = Buffer.from(this.generateCode(secret, candidate));
+      if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  // otpauth:// URI for authenticator apps (usually rendered as a QR code)
+  buildProvisioningUri(accountName, secret) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.periodSeconds)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Single-use backup codes formatted as xxxxx-xxxxx
+  generateRecoveryCodes() {
+    return Array.from({ length: this.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  normalizeRecoveryCode(code) {
+    return String(code || '').trim().toLowerCase().replace(/[^0-9a-f]/g, '');
+  }
+}
+
+// Export singleton instance
+const totpService = new TotpService();
+module.exports = totpService;
\ No newline at end of file
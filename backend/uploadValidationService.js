@@ -0,0 +1,71 @@
+const { PDFDocument } = require('pdf-lib');
+
+// Server-side checks for uploaded documents. A file's type is decided by its leading bytes
+// (magic numbers), never by its name or the Content-Type the browser sent.
+class UploadValidationService {
+  constructor() {
+    this.maxFileBytes = parseInt(process.env.UPLOAD_MAX_FILE_MB || '10') * 1024 * 1024;
+    this.maxRequestBytes = parseInt(process.env.UPLOAD_MAX_REQUEST_MB || '50') * 1024 * 1024;
+    this.maxFiles = parseInt(process.env.UPLOAD_MAX_FILES || '20');
+    this.allowedTypesLabel = 'PDF, JPEG, PNG or TIFF';
+    this.signatures = [
+      { type: 'application/pdf', prefixes: [[0x25, 0x50, 0x44, 0x46, 0x2d]] }, // %PDF-
+      { type: 'image/jpeg', prefixes: [[0xff, 0xd8, 0xff]] },
+      { type: 'image/png', prefixes: [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]] },
+      { type: 'image/tiff', prefixes: [[0x49, 0x49, 0x2a, 0x00], [0x4d, 0x4d, 0x00, 0x2a]] } // little and big endian
+    ];
+  }
+
+  megabytes(bytes) {
+    return Math.round(bytes / (1024 * 1024));
+  }
+
+  // MIME type from the file's magic bytes, or null if it is not an allowed type
+  detectType(buffer) {
+    const signature = this.signatures.find(({ prefixes }) =>
+      prefixes.some(prefix => buffer.length >= prefix.length && prefix.every((byte, index) => buffer[index] === byte))
+    );
+    return signature ? signature.type : null;
+  }
+
+  // Returns an error message, or null if the PDF parses, is not encrypted and has pages
+  async checkPdf(buffer) {
+    let pdf;
+    try {
+      pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false, throwOnInvalidObject: true });
+    } catch (error) {
+      return `PDF is damaged or malformed: ${error.message}`;
+    }
+
+    if (pdf.isEncrypted) {
+      return 'Encrypted or password-protected PDFs are not supported';
+    }
+    return pdf.getPageCount() > 0 ? null : 'PDF has no pages';
+  }
+
+  // Check one uploaded file. Returns { type, error, status }: error is null for an acceptable
+  // file, otherwise a message to reject it with and the HTTP status to use.
+  async inspect(file) {
+    if (file.size === 0) {
+      return { type: null, error: 'File is empty', status: 400 };
+    }
+    if (file.size > this.maxFileBytes) {
+      return { type: null, error: `Each file must be ${this.megabytes(this.maxFileBytes)}MB or smaller`, status: 413 };
+    }
+
+    const type = this.detectType(file.buffer);
+    if (!type) {
+      return { type: null, error: `Unsupported file type; upload ${this.allowedTypesLabel} files`, status: 415 };
+    }
+
+    if (type === 'application/pdf') {
+      const pdfError = await this.checkPdf(file.buffer);
+      if (pdfError) return { type, error: pdfError, status: 422 };
+    }
+    return { type, error: null, status: null };
+  }
+}
+
+// Export singleton instance
+const uploadValidationService = new UploadValidationService();
+module.exports = uploadValidationService;
\ No newline at end of file
@@ -1,44 +1,349 @@
-const vision = require('@google-cloud/vision');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const sharp = require('sharp');
+const ocrLayoutService = require('./ocrLayoutService');
 
+// Vision's synchronous files:annotate call accepts at most 5 pages per request
+const PAGES_PER_FILE_REQUEST = 5;
+
+// OCR engines behind VisionService. A provider has a name, a label and
+// - recognizeImage(buffer, mimeType) resolving to { text, confidence, layout } for a single image
+// - recognizePages(buffer, mimeType, pageNumbers) resolving to [{ page, text, confidence, layout, error }]
+//   for pages of a PDF or TIFF
+// - test() that rejects if the engine cannot be used
+// layout is a page of word geometry in ocrLayoutService's format, and confidence the mean of its
+// word confidences (0 to 1). A provider throws only when the engine itself fails (credentials,
+// network, quota); finding no text is not an error.
+
+class GoogleVisionProvider {
+  constructor(config) {
+    this.name = 'google';
+    this.label = 'Google Cloud Vision';
+    this.config = config;
+    this.client = null;
+  }
+
+  // The client library is only loaded once Vision is actually used
+  getClient() {
+    if (!this.client) {
+      const vision = require('@google-cloud/vision');
+      this.client = new vision.ImageAnnotatorClient({
+        keyFilename: this.config.keyFilename,
+        projectId: this.config.projectId
+      });
+    }
+    return this.client;
+  }
+
+  // Images have pixel vertices; pages of files have normalizedVertices
+  toBox(boundingBox, width, height) {
+    const normalized = Boolean(boundingBox && boundingBox.normalizedVertices && boundingBox.normalizedVertices.length);
+    const vertices = normalized ? boundingBox.normalizedVertices : (boundingBox && boundingBox.vertices) || [];
+    if (vertices.length === 0) return ocrLayoutService.box(0, 0, 0, 0, 1, 1);
+
+    const xs = vertices.map(vertex => vertex.x || 0);
+    const ys = vertices.map(vertex => vertex.y || 0);
+    return ocrLayoutService.box(
+      Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys),
+      normalized ? 1 : width, normalized ? 1 : height
+    );
+  }
+
+  // A page of fullTextAnnotation as a layout page
+  toLayoutPage(annotationPage, pageNumber) {
+    const width = annotationPage.width || 1;
+    const height = annotationPage.height || 1;
+    const page = {
+      page: pageNumber,
+      width: width,
+      height: height,
+      blocks: (annotationPage.blocks || []).map(block => ({
+        bbox: this.toBox(block.boundingBox, width, height),
+        confidence: ocrLayoutService.round(block.confidence || 0),
+        paragraphs: (block.paragraphs || []).map(paragraph => ({
+          bbox: this.toBox(paragraph.boundingBox, width, height),
+          confidence: ocrLayoutService.round(paragraph.confidence || 0),
+          words: (paragraph.words || []).map(word => ({
+            text: (word.symbols || []).map(symbol => symbol.text).join(''),
+            confidence: ocrLayoutService.round(word.confidence || 0),
+            bbox: this.toBox(word.boundingBox, width, height)
+          }))
+        }))
+      }))
+    };
+    page.confidence = ocrLayoutService.round(ocrLayoutService.pageConfidence(page));
+    return page;
+  }
+
+  // Text, confidence and layout of one page's fullTextAnnotation
+  readAnnotation(annotation, pageNumber) {
+    const annotationPage = annotation && annotation.pages && annotation.pages[0];
+    if (!annotationPage) {
+      return { text: '', confidence: 0, layout: null };
+    }
+    const layout = this.toLayoutPage(annotationPage, pageNumber);
+    return { text: annotation.text.trim(), confidence: layout.confidence, layout: layout };
+  }
+
+  async recognizeImage(buffer) {
+    const [result] = await this.getClient().annotateImage({
+      image: { content: buffer.toString('base64') },
+      features: [{ type: 'DOCUMENT_TEXT_DETECTION', maxResults: 1 }]
+    });
+    if (result.error && result.error.message) {
+      throw new Error(result.error.message);
+    }
+    return this.readAnnotation(result.fullTextAnnotation, 1);
+  }
+
+  async recognizePages(buffer, mimeType, pageNumbers) {
+    const content = buffer.toString('base64');
+    const pages = [];
+    for (let first = 0; first < pageNumbers.length; first += PAGES_PER_FILE_REQUEST) {
+      const batch = pageNumbers.slice(first, first + PAGES_PER_FILE_REQUEST);
+      const [result] = await this.getClient().batchAnnotateFiles({
+        requests: [{
+          inputConfig: { content: content, mimeType: mimeType },
+          features: [{ type: 'DOCUMENT_TEXT_DETECTION' }],
+          pages: batch
+        }]
+      });
+      const fileResponse = result.responses[0];
+      if (fileResponse.error && fileResponse.error.message) {
+        throw new Error(fileResponse.error.message);
+      }
+
+      batch.forEach((page, index) => {
+        const pageResponse = (fileResponse.responses || [])[index] || {};
+        pages.push({
+          page: page,
+          ...this.readAnnotation(pageResponse.fullTextAnnotation, page),
+          error: (pageResponse.error && pageResponse.error.message) || null
+        });
+      });
+    }
+    return pages;
+  }
+
+  async test() {
+    // A 1x1 white pixel
+    const testImageBase64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==';
+    await this.getClient().annotateImage({
+      image: { content: testImageBase64 },
+      features: [{ type: 'LABEL_DETECTION', maxResults: 1 }]
+    });
+  }
+}
+
+// Offline OCR with tesseract.js (WebAssembly, no credentials). Trained data for each language
+// comes from its @tesseract.js-data package; tesseract.js reads every language from one
+// directory, so the files are copied into dataDir on first use. A traineddata file already in
+// dataDir is used as it is, which allows custom models.
+class TesseractProvider {
+  constructor({ languages, dataDir }) {
+    this.name = 'tesseract';
+    this.label = 'Tesseract (offline)';
+    this.languages = languages;
+    this.dataDir = dataDir;
+    // PDF pages are rendered at 300 DPI, but never larger than maxRenderSize on either side
+    this.renderDpi = 300;
+    this.maxRenderSize = 4000;
+    this.worker = null;
+  }
+
+  async prepareLanguageData() {
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    for (const code of this.languages) {
+      const target = path.join(this.dataDir, `${code}.traineddata.gz`);
+      if (fs.existsSync(target)) continue;
+
+      let packageDir;
+      try {
+        packageDir = path.dirname(require.resolve(`@tesseract.js-data/${code}/package.json`));
+      } catch (error) {
+        throw new Error(`No Tesseract data for language ${code}: install @tesseract.js-data/${code} or add ${target}`);
+      }
+      await fs.promises.copyFile(path.join(packageDir, '4.0.0_best_int', `${code}.traineddata.gz`), target);
+    }
+  }
+
+  // One worker is started on first use and kept; it runs recognitions one at a time
+  getWorker() {
+    if (!this.worker) {
+      this.worker = (async () => {
+        await this.prepareLanguageData();
+        const { createWorker, OEM } = require('tesseract.js');
+        const worker = await createWorker(this.languages.join('+'), OEM.LSTM_ONLY, {
+          langPath: this.dataDir,
+          cacheMethod: 'none',
+          gzip: true
+        });
+        console.log(`🔤 Tesseract ready (${this.languages.join(', ')})`);
+        return worker;
+      })();
+      this.worker.catch(() => { this.worker = null; });
+    }
+    return this.worker;
+  }
+
+  // Tesseract's blocks as a layout page. Lines are folded into their paragraphs
+  // and confidences scaled from 0-100 to 0-1.
+  toLayoutPage(blocks, width, height, pageNumber) {
+    const toBox = bbox => ocrLayoutService.box(bbox.x0, bbox.y0, bbox.x1, bbox.y1, width, height);
+    const page = {
+      page: pageNumber,
+      width: width,
+      height: height,
+      blocks: (blocks || []).map(block => ({
+        bbox: toBox(block.bbox),
+        confidence: ocrLayoutService.round(block.confidence / 100),
+        paragraphs: block.paragraphs.map(paragraph => ({
+          bbox: toBox(paragraph.bbox),
+          confidence: ocrLayoutService.round(paragraph.confidence / 100),
+          words: paragraph.lines
+            .flatMap(line => line.words)
+            .filter(word => word.text.trim())
+            .map(word => ({
+              text: word.text.trim(),
+              confidence: ocrLayoutService.round(word.confidence / 100),
+              bbox: toBox(word.bbox)
+            }))
+        }))
+      }))
+    };
+    page.confidence = ocrLayoutService.round(ocrLayoutService.pageConfidence(page));
+    return page;
+  }
+
+  async recognize(image, pageNumber) {
+    const worker = await this.getWorker();
+    const { width, height } = await sharp(image).metadata();
+    const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+    const layout = this.toLayoutPage(data.blocks, width, height, pageNumber);
+    return { text: data.text.trim(), confidence: layout.confidence, layout: layout };
+  }
+
+  async recognizeImage(buffer) {
+    // Leptonica's JPEG and TIFF support is limited; PNG always works
+    const image = await sharp(buffer).rotate().png().toBuffer();
+    return this.recognize(image, 1);
+  }
+
+  renderPdfPage(mupdf, document, page) {
+    const pdfPage = document.loadPage(page - 1);
+    const [x0, y0, x1, y1] = pdfPage.getBounds();
+    const scale = Math.min(this.renderDpi / 72, this.maxRenderSize / Math.max(x1 - x0, y1 - y0));
+    const pixmap = pdfPage.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceGray, false, true);
+    return Buffer.from(pixmap.asPNG());
+  }
+
+  async recognizePages(buffer, mimeType, pageNumbers) {
+    await this.getWorker();
+
+    // mupdf ships as an ES module with WebAssembly, so it is loaded on first use
+    const mupdf = mimeType === 'application/pdf' ? await import('mupdf') : null;
+    const document = mupdf ? mupdf.Document.openDocument(buffer, 'application/pdf') : null;
+    try {
+      const pages = [];
+      for (const page of pageNumbers) {
+        try {
+          const image = document
+            ? this.renderPdfPage(mupdf, document, page)
+            : await sharp(buffer, { page: page - 1 }).png().toBuffer();
+          pages.push({ page: page, ...(await this.recognize(image, page)), error: null });
+        } catch (error) {
+          pages.push({ page: page, text: '', confidence: 0, layout: null, error: error.message });
+        }
+      }
+      return pages;
+    } finally {
+      if (document) document.destroy();
+    }
+  }
+
+  async test() {
+    await this.getWorker();
+  }
+}
+
+// Text extraction for uploaded documents. OCR_PROVIDER picks the engine (google by default, or
+// tesseract); when it fails, the document is read again with OCR_FALLBACK_PROVIDER (tesseract
+// by default, none to disable).
 class VisionService {
   constructor() {
-    // Initialize Google Cloud Vision client
-    // In production, you would set GOOGLE_APPLICATION_CREDENTIALS environment variable
-    // pointing to your service account key file
-    this.client = new vision.ImageAnnotatorClient({
-      // For now, we'll handle credentials via environment variables
+    this.providers = {};
+    this.register(new GoogleVisionProvider({
       keyFilename: process.env.GOOGLE_SERVICE_ACCOUNT_PATH,
       projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
-    });
+    }));
+    this.register(new TesseractProvider({
+      languages: (process.env.TESSERACT_LANGS || 'sin+tam+eng').split('+').map(code => code.trim()).filter(Boolean),
+      dataDir: process.env.TESSERACT_DATA_DIR || path.join(os.tmpdir(), 'vp-app-tessdata')
+    }));
+    this.driver = process.env.OCR_PROVIDER || 'google';
+    this.fallbackDriver = process.env.OCR_FALLBACK_PROVIDER || 'tesseract';
+  }
+
+  // Add or replace a provider; select it with OCR_PROVIDER=<name>
+  register(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  getProvider(name, setting) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw new Error(`Unknown ${setting} ${name}`);
+    }
+    return provider;
+  }
+
+  // The configured provider followed by the fallback, if there is a different one
+  getEngines() {
+    const engines = [this.getProvider(this.driver, 'OCR_PROVIDER')];
+    if (this.fallbackDriver !== 'none' && this.fallbackDriver !== this.driver) {
+      engines.push(this.getProvider(this.fallbackDriver, 'OCR_FALLBACK_PROVIDER'));
+    }
+    return engines;
+  }
+
+  // Runs recognize(provider) with each engine in turn until one succeeds. Resolves to
+  // { result, engine, fallback } where fallback says which engine failed and why.
+  async recognizeWithFallback(recognize) {
+    const failures = [];
+    for (const provider of this.getEngines()) {
+      try {
+        const result = await recognize(provider);
+        const fallback = failures.length > 0 ? { from: failures[0].engine, reason: failures[0].error } : null;
+        return { result, engine: provider.name, fallback };
+      } catch (error) {
+        console.error(`❌ ${provider.label} OCR error:`, error.message);
+        failures.push({ engine: provider.name, error: error.message });
+      }
+    }
+    throw new Error(failures.map(failure => `${failure.engine}: ${failure.error}`).join('; '));
   }
 
   async extractTextFromBuffer(imageBuffer, mimeType) {
     try {
       console.log('🔍 Starting text extraction from document...');
 
-      const request = {
-        image: {
-          content: imageBuffer.toString('base64')
-        },
-        features: [
-          {
-            type: 'DOCUMENT_TEXT_DETECTION',
-            maxResults: 1
-          }
-        ]
-      };
+      const { result, engine, fallback } = await this.recognizeWithFallback(provider => provider.recognizeImage(imageBuffer, mimeType));
+      const extractedText = result.text;
 
-      const [result] = await this.client.annotateImage(request);
-      const detections = result.textAnnotations;
-
-      if (detections && detections.length > 0) {
-        const extractedText = detections[0].description;
-        console.log(`✅ Text extraction successful: ${extractedText.length} characters extracted`);
+      if (extractedText) {
+        console.log(`✅ Text extraction successful with ${engine}: ${extractedText.length} characters extracted`);
 
         return {
           success: true,
           extractedText: extractedText,
-          confidence: detections[0].boundingPoly ? 0.9 : 0.7, // Rough confidence estimate
+          confidence: result.confidence,
+          pageCount: 1,
+          pages: [{ page: 1, success: true, confidence: result.confidence, characters: extractedText.length }],
+          layout: { engine: engine, pages: result.layout ? [result.layout] : [] },
+          engine: engine,
+          engineFallback: fallback,
           metadata: {
             language: this.detectLanguage(extractedText),
             documentType: this.classifyDocument(extractedText),
@@ -51,12 +356,14 @@ class VisionService {
           success: false,
           error: 'No text detected in the document',
           extractedText: '',
-          confidence: 0
+          confidence: 0,
+          engine: engine,
+          engineFallback: fallback
         };
       }
 
     } catch (error) {
-      console.error('❌ Vision API error:', error);
+      console.error('❌ Text extraction error:', error.message);
       return {
         success: false,
         error: error.message,
@@ -66,13 +373,109 @@ class VisionService {
     }
   }
 
+  async countPages(buffer, mimeType) {
+    if (mimeType === 'image/tiff') {
+      const metadata = await sharp(buffer).metadata()
+        .catch(error => { throw new Error(`Could not read TIFF: ${error.message}`); });
+      return metadata.pages || 1;
+    }
+    const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false })
+      .catch(error => { throw new Error(`Could not read PDF: ${error.message}`); });
+    return pdf.getPageCount();
+  }
+
+  // Multi-page PDFs and TIFFs are OCR'd page by page; the text of each page follows a
+  // "--- Page n ---" marker and per-page results are returned in pages
+  async extractTextByPage(buffer, mimeType) {
+    try {
+      const pageCount = await this.countPages(buffer, mimeType);
+      console.log(`🔍 Starting text extraction from ${pageCount}-page ${mimeType === 'image/tiff' ? 'TIFF' : 'PDF'}...`);
+
+      const pageNumbers = Array.from({ length: pageCount }, (_, index) => index + 1);
+      const { result, engine, fallback } = await this.recognizeWithFallback(provider => provider.recognizePages(buffer, mimeType, pageNumbers));
+      const pages = result.map(page => ({
+        page: page.page,
+        success: !page.error && page.text.length > 0,
+        confidence: page.confidence,
+        characters: page.text.length,
+        text: page.text,
+        ...(page.error ? { error: page.error } : {})
+      }));
+
+      const pagesWithText = pages.filter(page => page.success);
+      if (pagesWithText.length === 0) {
+        console.log('⚠️ No text found in document');
+        return {
+          success: false,
+          error: 'No text detected in the document',
+          extractedText: '',
+          confidence: 0,
+          pageCount: pageCount,
+          pages: pages.map(({ text, ...page }) => page),
+          engine: engine,
+          engineFallback: fallback
+        };
+      }
+
+      const extractedText = pages
+        .map(page => `--- Page ${page.page} ---\n${page.text}`)
+        .join('\n\n');
+      const confidence = pagesWithText.reduce((sum, page) => sum + page.confidence, 0) / pagesWithText.length;
+      console.log(`✅ Page-by-page text extraction successful with ${engine}: ${pagesWithText.length}/${pageCount} pages, ${extractedText.length} characters`);
+
+      return {
+        success: true,
+        extractedText: extractedText,
+        confidence: confidence,
+        pageCount: pageCount,
+        pages: pages.map(({ text, ...page }) => page),
+        layout: { engine: engine, pages: result.map(page => page.layout).filter(Boolean) },
+        engine: engine,
+        engineFallback: fallback,
+        metadata: {
+          language: this.detectLanguage(extractedText),
+          documentType: this.classifyDocument(extractedText),
+          extractedAt: new Date().toISOString()
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Page-by-page text extraction error:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        extractedText: '',
+        confidence: 0
+      };
+    }
+  }
+
+  isPdf(buffer, mimeType) {
+    return mimeType === 'application/pdf' || buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+  }
+
+  // Vision only reads TIFFs through the file API, like PDFs
+  isTiff(buffer, mimeType) {
+    const header = buffer.subarray(0, 4).toString('hex');
+    return mimeType === 'image/tiff' || header === '49492a00' || header === '4d4d002a';
+  }
+
+  // Extract text from a stored file, dispatching PDFs and TIFFs to page-by-page OCR
+  async extractText(buffer, mimeType) {
+    if (this.isPdf(buffer, mimeType)) {
+      return this.extractTextByPage(buffer, 'application/pdf');
+    }
+    if (this.isTiff(buffer, mimeType)) {
+      return this.extractTextByPage(buffer, 'image/tiff');
+    }
+    return this.extractTextFromBuffer(buffer, mimeType);
+  }
+
   async extractTextFromBase64(base64Data, mimeType) {
     try {
       // Remove data URL prefix if present
-      const base64Clean = base64Data.replace(/^data:image\/[a-z]+;base64,/, '');
-      const buffer = Buffer.from(base64Clean, 'base64');
-
-      return await this.extractTextFromBuffer(buffer, mimeType);
+      const base64Clean = base64Data.replace(/^data:[\w.+-]+\/[\w.+-]+;base64,/, '');
+      return await this.extractText(Buffer.from(base64Clean, 'base64'), mimeType);
     } catch (error) {
       console.error('❌ Base64 processing error:', error);
       return {
@@ -153,33 +556,30 @@ class VisionService {
     return results;
   }
 
-  // Test method for API connectivity
+  // Checks every configured engine. The active engine is the first one that works,
+  // which is the one documents are currently read with.
   async testConnection() {
-    try {
-      // Create a simple test image (1x1 white pixel) in base64
-      const testImageBase64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==';
-      const buffer = Buffer.from(testImageBase64, 'base64');
-
-      const request = {
-        image: { content: testImageBase64 },
-        features: [{ type: 'LABEL_DETECTION', maxResults: 1 }]
-      };
-
-      await this.client.annotateImage(request);
-
-      return {
-        success: true,
-        message: 'Google Vision API connection successful',
-        timestamp: new Date().toISOString()
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        message: 'Google Vision API connection failed',
-        timestamp: new Date().toISOString()
-      };
+    const engines = [];
+    for (const provider of this.getEngines()) {
+      try {
+        await provider.test();
+        engines.push({ name: provider.name, label: provider.label, available: true });
+      } catch (error) {
+        engines.push({ name: provider.name, label: provider.label, available: false, error: error.message });
+      }
     }
+
+    const active = engines.find(engine => engine.available);
+    return {
+      success: Boolean(active),
+      engine: active ? active.name : null,
+      provider: this.driver,
+      fallback: engines.length > 1 ? engines[1].name : null,
+      engines: engines,
+      message: active ? `OCR is using ${active.label}` : 'No OCR engine is available',
+      error: active ? undefined : engines.map(engine => `${engine.name}: ${engine.error}`).join('; '),
+      timestamp: new Date().toISOString()
+    };
   }
 }
 
@@ -1,6 +1,8 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import './App.css';
+import { apiFetch, clearSession, getAccessToken, logout, streamEvents } from './services/api';
+import LoginPage from './pages/LoginPage';
 
 // Simple HomePage component
 const HomePage = () => (
@@ -295,87 +297,26 @@ const RegisterPage = () => {
   );
 };
 
-// Working LoginPage
-const LoginPage = () => {
-  const [formData, setFormData] = React.useState({
-    email: '',
-    password: ''
-  });
-  const [loading, setLoading] = React.useState(false);
-  const [error, setError] = React.useState('');
-
-  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-
-    if (!formData.email || !formData.password) {
-      setError('Please fill in all fields');
-      return;
-    }
-
-    setLoading(true);
-    setError('');
-
-    try {
-      const response = await fetch(`${API_BASE_URL}/api/auth/profile?email=${formData.email}`);
-      const data = await response.json();
-
-      if (data.success && data.user) {
-        // Store user and redirect to dashboard
-        localStorage.setItem('currentUser', JSON.stringify(data.user));
-        window.location.href = `/dashboard?userId=${data.user.id}`;
-      } else {
-        setError('User not found. Please register first.');
-      }
-    } catch (err) {
-      setError('Network error. Please try again.');
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  return (
-    <div className="form-page">
-      <div className="form-container">
-        <h1 className="form-title">🔐 Valuer Login</h1>
-
-        {error && <div className="error-message">{error}</div>}
-
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label className="form-label">Email Address</label>
-            <input
-              type="email"
-              className="form-input"
-              value={formData.email}
-              onChange={(e) => setFormData({...formData, email: e.target.value})}
-              required
-            />
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Password</label>
-            <input
-              type="password"
-              className="form-input"
-              value={formData.password}
-              onChange={(e) => setFormData({...formData, password: e.target.value})}
-              required
-            />
-          </div>
-
-          <button type="submit" className="form-button" disabled={loading}>
-            {loading ? 'Signing in...' : '🔐 Sign In'}
-          </button>
-        </form>
+// Progress of an uploaded file while its processing job runs
+const fileStatusLabels = {
+  uploading: '⏳ Processing',
+  ready: '✅ Ready',
+  queued: '⏳ Queued',
+  running: '🤖 Extracting',
+  succeeded: '✅ Extracted',
+  failed: '❌ Failed',
+  duplicate: '🔗 Duplicate'
+};
 
-        <div className="form-link">
-          Don't have an account? <a href="/register">Register here</a>
-        </div>
-      </div>
-    </div>
-  );
+const fileStageLabels = {
+  queued: 'Waiting to be processed...',
+  starting: 'Starting...',
+  preprocessing: 'Cleaning up the image...',
+  ocr: 'Reading text (OCR)...',
+  extraction: 'Extracting property data with AI...',
+  succeeded: 'Data extracted',
+  reused: 'Reused results from an identical document',
+  duplicate: 'Already uploaded; linked to the existing copy'
 };
 
 // Working DashboardPage
@@ -390,6 +331,77 @@ const DashboardPage = () => {
   const [newReportData, setNewReportData] = React.useState({});
   const [uploadedFiles, setUploadedFiles] = React.useState([]);
   const [processingFiles, setProcessingFiles] = React.useState(false);
+  // Latest summary of the job extracting data from the uploaded files
+  const [processingJob, setProcessingJob] = React.useState(null);
+  const jobStream = React.useRef(null);
+
+  const closeNewReport = () => {
+    if (jobStream.current) jobStream.current.abort();
+    setShowNewReport(false);
+    setNewReportData({});
+    setUploadedFiles([]);
+    setProcessingJob(null);
+  };
+
+  // Show each uploaded file's progress from a processing job summary
+  const applyJobProgress = (job) => {
+    setProcessingJob(job);
+    setUploadedFiles(prev => prev.map(f => {
+      if (f.status === 'duplicate') return f;
+      const item = job.items.find(i => i.document_id === f.documentId);
+      return item ? { ...f, status: item.status, stage: item.stage, error: item.error } : f;
+    }));
+  };
+
+  // Follow a job's progress events until it finishes; resolves to the last summary received
+  const followProcessingJob = async (job) => {
+    let latest = job;
+    applyJobProgress(job);
+    jobStream.current = new AbortController();
+    try {
+      await streamEvents(job.links.events, (event, data) => {
+        if (event === 'progress' || event === 'done') {
+          latest = data;
+          applyJobProgress(data);
+        }
+      }, jobStream.current.signal);
+    } catch (error) {
+      if (error.name !== 'AbortError') console.error('Job progress stream failed:', error);
+    }
+    return latest;
+  };
+
+  // Report how a finished job went; the modal stays open while documents can be retried
+  const finishProcessingJob = (job) => {
+    const { progress } = job;
+    if (job.status === 'completed') {
+      alert(`✅ Report "${newReportData.report_reference}" created and data extracted from ${progress.total} document(s)!`);
+      closeNewReport();
+    } else if (job.status === 'completed_with_errors' || job.status === 'failed') {
+      alert(`⚠️ ${progress.failed} of ${progress.total} document(s) could not be processed. You can retry them or close and continue without them.`);
+    } else {
+      alert(`✅ Report "${newReportData.report_reference}" created. Documents are still being processed in the background.`);
+      closeNewReport();
+    }
+  };
+
+  const retryFailedDocuments = async () => {
+    try {
+      setProcessingFiles(true);
+      const response = await apiFetch(processingJob.links.retry, { method: 'POST' });
+      const data = await response.json();
+      if (!data.success) {
+        alert(`Failed to retry documents: ${data.error}`);
+        return;
+      }
+      finishProcessingJob(await followProcessingJob(data.job));
+    } catch (error) {
+      console.error('Error retrying documents:', error);
+      alert('Failed to retry documents. Please try again.');
+    } finally {
+      setProcessingFiles(false);
+    }
+  };
 
   // File upload handler function
   const handleFileUpload = async (files) => {
@@ -431,29 +443,23 @@ const DashboardPage = () => {
   };
 
   React.useEffect(() => {
-    // Get user from localStorage or URL
-    const urlParams = new URLSearchParams(window.location.search);
-    const userId = urlParams.get('userId');
-
-    if (userId) {
-      fetchUser(userId);
+    // The profile is resolved from the stored access token
+    if (getAccessToken()) {
+      fetchUser();
     } else {
-      const storedUser = localStorage.getItem('currentUser');
-      if (storedUser) {
-        setUser(JSON.parse(storedUser));
-      }
       setLoading(false);
     }
   }, []);
 
-  const fetchUser = async (userId) => {
+  const fetchUser = async () => {
     try {
-      const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-      const response = await fetch(`${API_BASE_URL}/api/auth/profile?userId=${userId}`);
+      const response = await apiFetch('/api/auth/profile');
       const data = await response.json();
 
       if (data.success) {
         setUser(data.user);
+      } else if (response.status === 401) {
+        clearSession();
       }
     } catch (err) {
       console.error('Failed to fetch user:', err);
@@ -462,8 +468,8 @@ const DashboardPage = () => {
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('currentUser');
+  const handleLogout = async () => {
+    await logout();
     window.location.href = '/';
   };
 
@@ -763,11 +769,9 @@ const DashboardPage = () => {
                 setEditError('');
 
                 try {
-                  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-                  const response = await fetch(`${API_BASE_URL}/api/auth/update-profile`, {
+                  const response = await apiFetch('/api/auth/update-profile', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ userId: user.id, ...editFormData })
+                    body: JSON.stringify(editFormData)
                   });
 
                   const data = await response.json();
@@ -1284,7 +1288,7 @@ const DashboardPage = () => {
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '25px' }}>
                 <h2 style={{ margin: '0' }}>📋 Create New Valuation Report</h2>
                 <button
-                  onClick={() => {setShowNewReport(false); setNewReportData({}); setUploadedFiles([]);}}
+                  onClick={closeNewReport}
                   style={{
                     background: 'rgba(255,255,255,0.2)',
                     border: 'none',
@@ -1396,7 +1400,7 @@ const DashboardPage = () => {
                         <div style={{ flex: 1 }}>
                           <div style={{ fontWeight: '600', fontSize: '14px' }}>{file.name}</div>
                           <div style={{ fontSize: '12px', opacity: '0.7' }}>
-                            {(file.size / 1024).toFixed(1)} KB • {file.status === 'uploading' ? 'Processing...' : 'Ready'}
+                            {(file.size / 1024).toFixed(1)} KB • {file.error || fileStageLabels[file.stage] || (file.status === 'uploading' ? 'Processing...' : 'Ready')}
                           </div>
                         </div>
                         <div style={{
@@ -1404,12 +1408,15 @@ const DashboardPage = () => {
                           borderRadius: '12px',
                           fontSize: '12px',
                           fontWeight: '600',
-                          background: file.status === 'ready' ? 'rgba(76, 175, 80, 0.3)' : 'rgba(255, 152, 0, 0.3)',
-                          color: file.status === 'ready' ? '#4CAF50' : '#FF9800'
+                          background: ['ready', 'succeeded'].includes(file.status) ? 'rgba(76, 175, 80, 0.3)'
+                            : file.status === 'failed' ? 'rgba(244, 67, 54, 0.3)' : 'rgba(255, 152, 0, 0.3)',
+                          color: ['ready', 'succeeded'].includes(file.status) ? '#4CAF50'
+                            : file.status === 'failed' ? '#F44336' : '#FF9800'
                         }}>
-                          {file.status === 'ready' ? '✅ Ready' : '⏳ Processing'}
+                          {fileStatusLabels[file.status] || '⏳ Processing'}
                         </div>
                         <button
+                          disabled={!!processingJob}
                           onClick={() => setUploadedFiles(prev => prev.filter(f => f.id !== file.id))}
                           style={{
                             background: 'rgba(255,0,0,0.3)',
@@ -1433,7 +1440,7 @@ const DashboardPage = () => {
               {/* Action Buttons */}
               <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '15px' }}>
                 <button
-                  onClick={() => {setShowNewReport(false); setNewReportData({}); setUploadedFiles([]);}}
+                  onClick={closeNewReport}
                   style={{
                     padding: '12px 25px',
                     background: 'rgba(255,255,255,0.2)',
@@ -1446,20 +1453,33 @@ const DashboardPage = () => {
                 >
                   Cancel
                 </button>
+                {processingJob && processingJob.progress.failed > 0 && ['completed_with_errors', 'failed'].includes(processingJob.status) && (
+                  <button
+                    disabled={processingFiles}
+                    onClick={retryFailedDocuments}
+                    style={{
+                      padding: '12px 25px',
+                      background: 'rgba(255, 152, 0, 0.3)',
+                      border: '1px solid rgba(255, 152, 0, 0.6)',
+                      color: 'white',
+                      borderRadius: '10px',
+                      cursor: processingFiles ? 'not-allowed' : 'pointer',
+                      fontWeight: '600'
+                    }}
+                  >
+                    🔁 Retry Failed Documents
+                  </button>
+                )}
                 <button
-                  disabled={!newReportData.report_reference || uploadedFiles.length === 0 || processingFiles}
+                  disabled={!newReportData.report_reference || uploadedFiles.length === 0 || processingFiles || !!processingJob}
                   onClick={async () => {
                     try {
                       setProcessingFiles(true);
 
-                      const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-
                       // Create the report first
-                      const reportResponse = await fetch(`${API_BASE_URL}/api/reports/create`, {
+                      const reportResponse = await apiFetch('/api/reports/create', {
                         method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify({
-                          valuer_id: user.id,
                           report_reference: newReportData.report_reference,
                           client_reference: '',
                           property_address: 'To be extracted from uploaded documents'
@@ -1476,30 +1496,47 @@ const DashboardPage = () => {
 
                       // If there are files, upload and process them
                       if (uploadedFiles.length > 0) {
-                        const filesData = uploadedFiles.map(f => ({
-                          name: f.name,
-                          size: f.size,
-                          type: f.type
-                        }));
+                        const formData = new FormData();
+                        formData.append('report_id', reportData.report.id);
+                        uploadedFiles.forEach(f => formData.append('files', f.file, f.name));
 
-                        const docsResponse = await fetch(`${API_BASE_URL}/api/documents/upload`, {
+                        const docsResponse = await apiFetch('/api/documents/upload', {
                           method: 'POST',
-                          headers: { 'Content-Type': 'application/json' },
-                          body: JSON.stringify({
-                            report_id: reportData.report.id,
-                            files: filesData
-                          })
+                          body: formData
                         });
 
                         const docsData = await docsResponse.json();
-                        console.log('Documents processed:', docsData);
+                        if (!docsData.success) {
+                          const rejected = (docsData.rejected_files || []).map(f => `\n• ${f.file_name}: ${f.error}`).join('');
+                          alert(`Report created, but the documents could not be uploaded: ${docsData.error}${rejected}`);
+                          closeNewReport();
+                          setProcessingFiles(false);
+                          return;
+                        }
+
+                        // Files already in the report are linked rather than uploaded again
+                        setUploadedFiles(prev => prev.map((f, i) => {
+                          const result = docsData.files[i];
+                          if (!result) return f;
+                          return result.status === 'duplicate'
+                            ? { ...f, documentId: result.document_id, status: 'duplicate', stage: 'duplicate' }
+                            : { ...f, documentId: result.document_id };
+                        }));
+                        if (docsData.duplicates.length > 0) {
+                          alert(`🔗 Skipped ${docsData.duplicates.length} duplicate file(s): ${docsData.duplicates.map(d => `${d.file_name} (same as ${d.document_name})`).join(', ')}`);
+                        }
+
+                        // Extraction runs in the background; follow its progress per document
+                        if (docsData.job) {
+                          finishProcessingJob(await followProcessingJob(docsData.job));
+                        } else {
+                          alert(`✅ Report "${newReportData.report_reference}" created.`);
+                          closeNewReport();
+                        }
+                      } else {
+                        alert(`✅ Report "${newReportData.report_reference}" created successfully!`);
+                        closeNewReport();
                       }
-
-                      // Success - close modal and show success message
-                      alert(`✅ Report "${newReportData.report_reference}" created successfully!`);
-                      setShowNewReport(false);
-                      setNewReportData({});
-                      setUploadedFiles([]);
                       setProcessingFiles(false);
 
                     } catch (error) {
@@ -1522,7 +1559,9 @@ const DashboardPage = () => {
                     fontWeight: '600'
                   }}
                 >
-                  {processingFiles ? 'Creating Report...' : '🚀 Create Report & Extract Data'}
+                  {processingJob && !['completed', 'completed_with_errors', 'failed'].includes(processingJob.status)
+                    ? `Extracting Data... ${processingJob.progress.percent}%`
+                    : processingFiles ? 'Creating Report...' : '🚀 Create Report & Extract Data'}
                 </button>
               </div>
             </div>
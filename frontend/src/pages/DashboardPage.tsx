@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { useSearchParams, useNavigate } from 'react-router-dom';
+import { useNavigate } from 'react-router-dom';
+import { apiFetch, clearSession, getAccessToken, logout } from '../services/api';
 
 interface User {
   id: number;
@@ -23,35 +24,230 @@ interface User {
   created_at: string;
 }
 
+interface Session {
+  id: number;
+  user_agent?: string;
+  ip_address?: string;
+  created_at: string;
+  last_used_at: string;
+  current: boolean;
+}
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  recovery_codes_remaining: number;
+}
+
+interface TwoFactorSetup {
+  secret: string;
+  provisioning_uri: string;
+}
+
+interface Report {
+  id: number;
+  report_reference: string;
+  client_reference?: string;
+  property_address?: string;
+  status: string;
+  created_at: string;
+  updated_at: string;
+  district?: string | null;
+  market_value?: number | null;
+}
+
+interface ReportFilters {
+  state: string;
+  status: string;
+  client_reference: string;
+  district: string;
+  from: string;
+  to: string;
+  min_value: string;
+  max_value: string;
+  sort: string;
+  order: string;
+}
+
+const defaultReportFilters: ReportFilters = {
+  state: 'active',
+  status: '',
+  client_reference: '',
+  district: '',
+  from: '',
+  to: '',
+  min_value: '',
+  max_value: '',
+  sort: 'created_at',
+  order: 'desc'
+};
+
+const reportSortLabels: Record<string, string> = {
+  created_at: 'Date created',
+  updated_at: 'Last updated',
+  report_reference: 'Report reference',
+  client_reference: 'Client reference',
+  market_value: 'Market value'
+};
+
+interface ReportDocument {
+  id: number;
+  report_id: number;
+  file_name: string;
+  file_type: string;
+  file_size: number;
+  uploaded_at: string;
+  extraction_summary: {
+    ocr_status: string | null;
+    ai_status: string | null;
+    document_type: string | null;
+    page_count: number | null;
+    ocr_confidence: number;
+    data_fields_found: number;
+  };
+  links: { file: string; download: string; thumbnail: string | null; processed: string | null; layout: string | null };
+}
+
+// OCR boxes are fractions of the page, so they can be drawn over the page image at any size
+interface LayoutBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+interface FieldSource {
+  page: number;
+  text: string;
+  confidence: number;
+  bbox: LayoutBox;
+  boxes: LayoutBox[];
+}
+
+interface DocumentSources {
+  document: ReportDocument;
+  // Image of the first page, which the boxes are drawn over
+  imageUrl: string | null;
+  fieldSources: Record<string, FieldSource[]>;
+  selectedField: string | null;
+}
+
+interface SearchResults {
+  reports: (Report & { snippet: string })[];
+  documents: { id: number; report_id: number; report_reference: string; file_name: string; snippet: string }[];
+}
+
+// Search snippets wrap matches in <mark></mark>; everything else is rendered as plain text
+const renderSnippet = (snippet: string) => snippet.split(/<mark>|<\/mark>/).map((part, index) => (
+  index % 2 === 1 ? <mark key={index}>{part}</mark> : <React.Fragment key={index}>{part}</React.Fragment>
+));
+
+interface ReportRevision {
+  id: number;
+  revision_number: number;
+  status: string;
+  source: string;
+  restored_from?: number | null;
+  created_by_name?: string | null;
+  created_at: string;
+}
+
+interface RevisionDiff {
+  from: number;
+  to: number;
+  changes: { path: string; before: unknown; after: unknown }[];
+}
+
+const revisionSourceLabels: Record<string, string> = {
+  created: 'Created',
+  manual: 'Manual edit',
+  document: 'Document extraction',
+  location: 'Location analysis',
+  mixed: 'Multiple sources',
+  status: 'Status change',
+  restore: 'Restore'
+};
+
+const formatRevisionValue = (value: unknown) => {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
 const DashboardPage: React.FC = () => {
-  const [searchParams] = useSearchParams();
   const navigate = useNavigate();
-  const userId = searchParams.get('userId');
 
   const [user, setUser] = useState<User | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [activeTab, setActiveTab] = useState('reports');
-
-  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+  const [passwordForm, setPasswordForm] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [passwordSaving, setPasswordSaving] = useState(false);
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [sessionsError, setSessionsError] = useState<string | null>(null);
+  const [twoFactor, setTwoFactor] = useState<TwoFactorStatus | null>(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState<TwoFactorSetup | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [twoFactorPassword, setTwoFactorPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [twoFactorMessage, setTwoFactorMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+  const [passwordMessage, setPasswordMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+  const [reports, setReports] = useState<Report[]>([]);
+  const [reportsError, setReportsError] = useState<string | null>(null);
+  const [reportFilters, setReportFilters] = useState<ReportFilters>(defaultReportFilters);
+  const [reportQuery, setReportQuery] = useState<ReportFilters>(defaultReportFilters);
+  const [reportsTotal, setReportsTotal] = useState(0);
+  const [reportsCursor, setReportsCursor] = useState<string | null>(null);
+  const [historyReport, setHistoryReport] = useState<Report | null>(null);
+  const [revisions, setRevisions] = useState<ReportRevision[]>([]);
+  const [revisionDiff, setRevisionDiff] = useState<RevisionDiff | null>(null);
+  const [documentsReport, setDocumentsReport] = useState<Report | null>(null);
+  const [documents, setDocuments] = useState<ReportDocument[]>([]);
+  const [documentThumbnails, setDocumentThumbnails] = useState<Record<number, string>>({});
+  const [documentsError, setDocumentsError] = useState<string | null>(null);
+  const [documentSources, setDocumentSources] = useState<DocumentSources | null>(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState<SearchResults | null>(null);
+  const [searchError, setSearchError] = useState<string | null>(null);
+  const [historyMessage, setHistoryMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
 
   useEffect(() => {
-    if (!userId) {
+    if (!getAccessToken()) {
       setError('Access denied. Please log in.');
       setLoading(false);
       return;
     }
     fetchUserProfile();
-  }, [userId]);
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'profile') {
+      fetchSessions();
+    }
+    if (activeTab === 'credentials') {
+      fetchTwoFactorStatus();
+    }
+  }, [activeTab]);
+
+  useEffect(() => {
+    if (activeTab === 'reports' && user) {
+      fetchReports(reportQuery);
+    }
+  }, [activeTab, user, reportQuery]);
 
   const fetchUserProfile = async () => {
     try {
       setLoading(true);
-      const response = await fetch(`${API_BASE_URL}/api/auth/profile?userId=${userId}`);
+      const response = await apiFetch('/api/auth/profile');
       const data = await response.json();
 
       if (data.success) {
         setUser(data.user);
+      } else if (response.status === 401) {
+        clearSession();
+        setError('Your session has expired. Please log in again.');
       } else {
         setError(data.error || 'Failed to fetch profile');
       }
@@ -62,6 +258,397 @@ const DashboardPage: React.FC = () => {
     }
   };
 
+  const fetchSessions = async () => {
+    try {
+      const response = await apiFetch('/api/auth/sessions');
+      const data = await response.json();
+
+      if (data.success) {
+        setSessions(data.sessions);
+        setSessionsError(null);
+      } else {
+        setSessionsError(data.error || 'Failed to load sessions');
+      }
+    } catch (err) {
+      setSessionsError('Network error occurred');
+    }
+  };
+
+  const handleRevokeSession = async (sessionId: number) => {
+    try {
+      const response = await apiFetch(`/api/auth/sessions/${sessionId}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (data.success) {
+        setSessions(prev => prev.filter(session => session.id !== sessionId));
+      } else {
+        setSessionsError(data.error || 'Failed to revoke session');
+      }
+    } catch (err) {
+      setSessionsError('Network error occurred');
+    }
+  };
+
+  // Without a cursor the list is replaced; with one the next page is appended
+  const fetchReports = async (filters: ReportFilters, cursor?: string) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    if (cursor) params.set('cursor', cursor);
+
+    try {
+      const response = await apiFetch(`/api/reports?${params.toString()}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setReports(prev => (cursor ? [...prev, ...data.reports] : data.reports));
+        setReportsTotal(data.total);
+        setReportsCursor(data.next_cursor);
+        setReportsError(null);
+      } else {
+        setReportsError(data.error || 'Failed to load reports');
+      }
+    } catch (err) {
+      setReportsError('Network error occurred');
+    }
+  };
+
+  const loadRevisionDiff = async (reportId: number, from: number, to: number) => {
+    try {
+      const response = await apiFetch(`/api/reports/${reportId}/revisions/diff?from=${from}&to=${to}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setRevisionDiff({ from, to, changes: data.changes });
+      } else {
+        setHistoryMessage({ type: 'error', text: data.error || 'Failed to compare revisions' });
+      }
+    } catch (err) {
+      setHistoryMessage({ type: 'error', text: 'Network error occurred' });
+    }
+  };
+
+  // Load a report's revisions and compare the latest with the one before it
+  const openReportHistory = async (report: Report) => {
+    setHistoryReport(report);
+    setRevisionDiff(null);
+    setHistoryMessage(null);
+
+    try {
+      const response = await apiFetch(`/api/reports/${report.id}/revisions`);
+      const data = await response.json();
+
+      if (!data.success) {
+        setHistoryMessage({ type: 'error', text: data.error || 'Failed to load revisions' });
+        return;
+      }
+      setRevisions(data.revisions);
+      if (data.revisions.length > 1) {
+        loadRevisionDiff(report.id, data.revisions[1].revision_number, data.revisions[0].revision_number);
+      }
+    } catch (err) {
+      setHistoryMessage({ type: 'error', text: 'Network error occurred' });
+    }
+  };
+
+  // Thumbnails and files need the auth header, so they are fetched as blobs and shown via object URLs
+  const openReportDocuments = async (report: Report) => {
+    Object.values(documentThumbnails).forEach(url => URL.revokeObjectURL(url));
+    setDocumentThumbnails({});
+    setDocuments([]);
+    setDocumentsReport(report);
+    setDocumentsError(null);
+
+    try {
+      const response = await apiFetch(`/api/reports/${report.id}/documents`);
+      const data = await response.json();
+
+      if (!data.success) {
+        setDocumentsError(data.error || 'Failed to load documents');
+        return;
+      }
+      setDocuments(data.documents);
+
+      for (const document of data.documents as ReportDocument[]) {
+        if (!document.links.thumbnail) continue;
+        const thumbnailResponse = await apiFetch(document.links.thumbnail);
+        if (thumbnailResponse.ok) {
+          const url = URL.createObjectURL(await thumbnailResponse.blob());
+          setDocumentThumbnails(prev => ({ ...prev, [document.id]: url }));
+        }
+      }
+    } catch (err) {
+      setDocumentsError('Network error occurred');
+    }
+  };
+
+  const closeReportDocuments = () => {
+    closeDocumentSources();
+    Object.values(documentThumbnails).forEach(url => URL.revokeObjectURL(url));
+    setDocumentThumbnails({});
+    setDocuments([]);
+    setDocumentsReport(null);
+  };
+
+  // Shows where each extracted field was read. Boxes are drawn over the image OCR read, or for
+  // PDFs over the first-page preview, which has the same proportions.
+  const openDocumentSources = async (document: ReportDocument) => {
+    if (!document.links.layout) return;
+    closeDocumentSources();
+
+    try {
+      const response = await apiFetch(document.links.layout);
+      const data = await response.json();
+      if (!data.success) {
+        setDocumentsError(data.error || 'Failed to load document sources');
+        return;
+      }
+
+      let imageUrl: string | null = null;
+      const imageLink = data.image || (document.file_type === 'application/pdf' ? document.links.thumbnail : null);
+      if (imageLink) {
+        const imageResponse = await apiFetch(imageLink);
+        if (imageResponse.ok) {
+          imageUrl = URL.createObjectURL(await imageResponse.blob());
+        }
+      }
+
+      const fields = Object.keys(data.field_sources);
+      setDocumentSources({
+        document,
+        imageUrl,
+        fieldSources: data.field_sources,
+        selectedField: fields.length > 0 ? fields[0] : null
+      });
+    } catch (err) {
+      setDocumentsError('Network error occurred');
+    }
+  };
+
+  const closeDocumentSources = () => {
+    setDocumentSources(prev => {
+      if (prev?.imageUrl) URL.revokeObjectURL(prev.imageUrl);
+      return null;
+    });
+  };
+
+  const openDocumentFile = async (document: ReportDocument, download = false) => {
+    // Opened before the request so popup blockers treat it as a click
+    const preview = download ? null : window.open('', '_blank');
+
+    try {
+      const response = await apiFetch(download ? document.links.download : document.links.file);
+      if (!response.ok) {
+        const data = await response.json();
+        preview?.close();
+        setDocumentsError(data.error || 'Failed to open document');
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      if (preview) {
+        preview.location.href = url;
+      } else {
+        const link = window.document.createElement('a');
+        link.href = url;
+        link.download = document.file_name;
+        link.click();
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      preview?.close();
+      setDocumentsError('Network error occurred');
+    }
+  };
+
+  const handleRestoreRevision = async (revisionNumber: number) => {
+    if (!historyReport || !window.confirm(`Restore report ${historyReport.report_reference} to revision ${revisionNumber}?`)) {
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/api/reports/${historyReport.id}/revisions/${revisionNumber}/restore`, { method: 'POST' });
+      const data = await response.json();
+
+      if (data.success) {
+        await openReportHistory(data.report);
+        setHistoryMessage({ type: 'success', text: data.message });
+        fetchReports(reportQuery);
+      } else {
+        setHistoryMessage({ type: 'error', text: data.error || 'Failed to restore revision' });
+      }
+    } catch (err) {
+      setHistoryMessage({ type: 'error', text: 'Network error occurred' });
+    }
+  };
+
+  const handleSearch = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!searchQuery.trim()) {
+      setSearchResults(null);
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/api/search?q=${encodeURIComponent(searchQuery.trim())}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setSearchResults({ reports: data.reports, documents: data.documents });
+        setSearchError(null);
+      } else {
+        setSearchError(data.error || 'Search failed');
+      }
+    } catch (err) {
+      setSearchError('Network error occurred');
+    }
+  };
+
+  // Search results link to the report's history in the Reports tab
+  const openSearchResult = async (reportId: number) => {
+    try {
+      const response = await apiFetch(`/api/reports/${reportId}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setSearchResults(null);
+        setActiveTab('reports');
+        await openReportHistory(data.report);
+      } else {
+        setSearchError(data.error || 'Failed to open report');
+      }
+    } catch (err) {
+      setSearchError('Network error occurred');
+    }
+  };
+
+  const handleReportFilterChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    const { name, value } = e.target;
+    setReportFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleApplyReportFilters = (e: React.FormEvent) => {
+    e.preventDefault();
+    setReportQuery({ ...reportFilters });
+  };
+
+  const handleResetReportFilters = () => {
+    setReportFilters(defaultReportFilters);
+    setReportQuery(defaultReportFilters);
+  };
+
+  const fetchTwoFactorStatus = async () => {
+    try {
+      const response = await apiFetch('/api/auth/2fa');
+      const data = await response.json();
+
+      if (data.success) {
+        setTwoFactor({ enabled: data.enabled, recovery_codes_remaining: data.recovery_codes_remaining });
+      }
+    } catch (err) {
+      setTwoFactorMessage({ type: 'error', text: 'Network error occurred' });
+    }
+  };
+
+  // Shared by the setup, enable, disable and recovery-code actions
+  const postTwoFactor = async (path: string, body: object = {}) => {
+    try {
+      const response = await apiFetch(path, { method: 'POST', body: JSON.stringify(body) });
+      const data = await response.json();
+
+      if (!data.success) {
+        setTwoFactorMessage({ type: 'error', text: data.error || 'Request failed' });
+        return null;
+      }
+      setTwoFactorMessage(null);
+      return data;
+    } catch (err) {
+      setTwoFactorMessage({ type: 'error', text: 'Network error occurred' });
+      return null;
+    }
+  };
+
+  const handleStartTwoFactorSetup = async () => {
+    const data = await postTwoFactor('/api/auth/2fa/setup');
+    if (data) {
+      setTwoFactorSetup({ secret: data.secret, provisioning_uri: data.provisioning_uri });
+      setRecoveryCodes(null);
+    }
+  };
+
+  const handleEnableTwoFactor = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const data = await postTwoFactor('/api/auth/2fa/enable', { code: twoFactorCode });
+    setTwoFactorCode('');
+    if (data) {
+      setTwoFactorSetup(null);
+      setRecoveryCodes(data.recovery_codes);
+      setTwoFactorMessage({ type: 'success', text: data.message });
+      fetchTwoFactorStatus();
+    }
+  };
+
+  const handleDisableTwoFactor = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const data = await postTwoFactor('/api/auth/2fa/disable', { password: twoFactorPassword, code: twoFactorCode });
+    setTwoFactorCode('');
+    setTwoFactorPassword('');
+    if (data) {
+      setRecoveryCodes(null);
+      setTwoFactorMessage({ type: 'success', text: data.message });
+      fetchTwoFactorStatus();
+    }
+  };
+
+  const handleRegenerateRecoveryCodes = async () => {
+    const data = await postTwoFactor('/api/auth/2fa/recovery-codes', { code: twoFactorCode });
+    setTwoFactorCode('');
+    if (data) {
+      setRecoveryCodes(data.recovery_codes);
+      setTwoFactorMessage({ type: 'success', text: data.message });
+      fetchTwoFactorStatus();
+    }
+  };
+
+  const handlePasswordInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value } = e.target;
+    setPasswordForm(prev => ({ ...prev, [name]: value }));
+    setPasswordMessage(null);
+  };
+
+  const handleChangePassword = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setPasswordMessage({ type: 'error', text: 'New passwords do not match' });
+      return;
+    }
+
+    try {
+      setPasswordSaving(true);
+      const response = await apiFetch('/api/auth/change-password', {
+        method: 'POST',
+        body: JSON.stringify({
+          current_password: passwordForm.currentPassword,
+          new_password: passwordForm.newPassword
+        })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+        setPasswordMessage({ type: 'success', text: data.message });
+      } else {
+        setPasswordMessage({ type: 'error', text: data.error || 'Failed to change password' });
+      }
+    } catch (err) {
+      setPasswordMessage({ type: 'error', text: 'Network error occurred' });
+    } finally {
+      setPasswordSaving(false);
+    }
+  };
+
   const formatQualifications = (qualifications: string[] | string | undefined) => {
     if (!qualifications) return 'Not specified';
     if (typeof qualifications === 'string') {
@@ -85,8 +672,8 @@ const DashboardPage: React.FC = () => {
     return addressParts.length > 0 ? addressParts.join(', ') : 'Address not provided';
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('currentUser');
+  const handleLogout = async (allDevices = false) => {
+    await logout(allDevices);
     navigate('/');
   };
 
@@ -141,6 +728,8 @@ const DashboardPage: React.FC = () => {
     );
   }
 
+  const reportFiltersApplied = JSON.stringify(reportQuery) !== JSON.stringify(defaultReportFilters);
+
   return (
     <div style={{
       minHeight: '100vh',
@@ -164,6 +753,17 @@ const DashboardPage: React.FC = () => {
             {user.professional_title || 'Professional Valuer'}
           </p>
         </div>
+        <form onSubmit={handleSearch} style={{ flex: '0 1 400px', display: 'flex', gap: '8px' }}>
+          <input
+            type="search"
+            className="form-input"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search reports, owners, deeds, plans…"
+            aria-label="Search reports and documents"
+          />
+          <button type="submit" className="form-button" style={{ width: 'auto' }}>🔍</button>
+        </form>
         <div style={{ display: 'flex', gap: '15px', alignItems: 'center' }}>
           <div style={{ textAlign: 'right', fontSize: '14px' }}>
             {user.email_verified ? (
@@ -176,7 +776,7 @@ const DashboardPage: React.FC = () => {
             )}
           </div>
           <button
-            onClick={handleLogout}
+            onClick={() => handleLogout()}
             style={{
               padding: '8px 16px',
               background: 'rgba(255,255,255,0.2)',
@@ -192,6 +792,56 @@ const DashboardPage: React.FC = () => {
         </div>
       </div>
 
+      {(searchResults || searchError) && (
+        <div style={{ background: 'rgba(0,0,0,0.2)', padding: '20px 30px', fontSize: '14px' }}>
+          <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+              <strong>🔍 Search results</strong>
+              <button
+                onClick={() => { setSearchResults(null); setSearchError(null); }}
+                style={{ background: 'transparent', border: 'none', color: 'white', cursor: 'pointer' }}
+              >
+                ✕ Close
+              </button>
+            </div>
+            {searchError && <div className="error-message">{searchError}</div>}
+            {searchResults && searchResults.reports.length === 0 && searchResults.documents.length === 0 && (
+              <div style={{ opacity: 0.8 }}>No reports or documents match "{searchQuery}".</div>
+            )}
+            {searchResults && searchResults.reports.length > 0 && (
+              <div style={{ marginBottom: '10px' }}>
+                <div style={{ opacity: 0.8, marginBottom: '5px' }}>Reports</div>
+                {searchResults.reports.map(report => (
+                  <div
+                    key={`report-${report.id}`}
+                    onClick={() => openSearchResult(report.id)}
+                    style={{ padding: '8px', background: 'rgba(255,255,255,0.05)', borderRadius: '8px', marginBottom: '5px', cursor: 'pointer' }}
+                  >
+                    <div><strong>{report.report_reference}</strong> • {report.status}</div>
+                    <div style={{ opacity: 0.8 }}>{renderSnippet(report.snippet)}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {searchResults && searchResults.documents.length > 0 && (
+              <div>
+                <div style={{ opacity: 0.8, marginBottom: '5px' }}>Documents</div>
+                {searchResults.documents.map(document => (
+                  <div
+                    key={`document-${document.id}`}
+                    onClick={() => openSearchResult(document.report_id)}
+                    style={{ padding: '8px', background: 'rgba(255,255,255,0.05)', borderRadius: '8px', marginBottom: '5px', cursor: 'pointer' }}
+                  >
+                    <div><strong>📄 {document.file_name}</strong> • {document.report_reference}</div>
+                    <div style={{ opacity: 0.8 }}>{renderSnippet(document.snippet)}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Navigation Tabs */}
       <div style={{
         display: 'flex',
@@ -306,6 +956,69 @@ const DashboardPage: React.FC = () => {
                 </div>
               </div>
             </div>
+
+            <div style={{
+              background: 'rgba(255,255,255,0.1)',
+              borderRadius: '15px',
+              padding: '25px',
+              marginTop: '25px'
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3>🔒 Active Sessions</h3>
+                <button
+                  onClick={() => handleLogout(true)}
+                  style={{
+                    padding: '8px 16px',
+                    background: 'rgba(255,255,255,0.2)',
+                    border: '1px solid rgba(255,255,255,0.3)',
+                    color: 'white',
+                    borderRadius: '8px',
+                    cursor: 'pointer',
+                    fontSize: '14px'
+                  }}
+                >
+                  Log out all devices
+                </button>
+              </div>
+              {sessionsError && <div className="error-message">{sessionsError}</div>}
+              <div style={{ display: 'grid', gap: '10px', fontSize: '14px' }}>
+                {sessions.map(session => (
+                  <div
+                    key={session.id}
+                    style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      padding: '10px',
+                      background: 'rgba(255,255,255,0.05)',
+                      borderRadius: '8px'
+                    }}
+                  >
+                    <div>
+                      <div><strong>{session.user_agent || 'Unknown device'}</strong>{session.current && ' (this device)'}</div>
+                      <div style={{ opacity: 0.8 }}>
+                        {session.ip_address || 'Unknown IP'} • Signed in {new Date(session.created_at).toLocaleString()} • Last active {new Date(session.last_used_at).toLocaleString()}
+                      </div>
+                    </div>
+                    {!session.current && (
+                      <button
+                        onClick={() => handleRevokeSession(session.id)}
+                        style={{
+                          padding: '6px 12px',
+                          background: 'transparent',
+                          border: '1px solid rgba(255,255,255,0.3)',
+                          color: 'white',
+                          borderRadius: '8px',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
           </div>
         )}
 
@@ -349,6 +1062,143 @@ const DashboardPage: React.FC = () => {
                   Document upload functionality will be available in the next update.
                 </p>
               </div>
+
+              <div style={{
+                background: 'rgba(255,255,255,0.1)',
+                borderRadius: '15px',
+                padding: '25px'
+              }}>
+                <h3>🔐 Two-Factor Authentication</h3>
+                {twoFactorMessage && (
+                  <div className={twoFactorMessage.type === 'success' ? 'success-message' : 'error-message'}>
+                    {twoFactorMessage.text}
+                  </div>
+                )}
+
+                {recoveryCodes && (
+                  <div style={{ fontSize: '14px', marginBottom: '15px' }}>
+                    <p>Recovery codes - each works once if you lose your authenticator. They will not be shown again.</p>
+                    <div style={{
+                      display: 'grid',
+                      gridTemplateColumns: 'repeat(2, max-content)',
+                      gap: '5px 20px',
+                      fontFamily: 'monospace'
+                    }}>
+                      {recoveryCodes.map(code => <span key={code}>{code}</span>)}
+                    </div>
+                  </div>
+                )}
+
+                {twoFactor && !twoFactor.enabled && !twoFactorSetup && (
+                  <div style={{ fontSize: '14px' }}>
+                    <p>Protect your account and signed reports with a code from an authenticator app.</p>
+                    <button className="form-button" style={{ maxWidth: '400px' }} onClick={handleStartTwoFactorSetup}>
+                      Set Up Two-Factor Authentication
+                    </button>
+                  </div>
+                )}
+
+                {twoFactorSetup && (
+                  <form onSubmit={handleEnableTwoFactor} style={{ display: 'grid', gap: '10px', maxWidth: '400px', fontSize: '14px' }}>
+                    <p>
+                      Add this account to your authenticator app by opening the link below on your phone,
+                      or enter the key manually.
+                    </p>
+                    <a href={twoFactorSetup.provisioning_uri} style={{ color: 'white', wordBreak: 'break-all' }}>
+                      {twoFactorSetup.provisioning_uri}
+                    </a>
+                    <div><strong>Key:</strong> <span style={{ fontFamily: 'monospace' }}>{twoFactorSetup.secret}</span></div>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                      placeholder="6-digit code from the app"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      required
+                    />
+                    <button type="submit" className="form-button">Confirm and Enable</button>
+                  </form>
+                )}
+
+                {twoFactor && twoFactor.enabled && (
+                  <form onSubmit={handleDisableTwoFactor} style={{ display: 'grid', gap: '10px', maxWidth: '400px', fontSize: '14px' }}>
+                    <div>✅ Enabled • {twoFactor.recovery_codes_remaining} recovery codes left</div>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                      placeholder="Current 6-digit code"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      required
+                    />
+                    <button type="button" className="form-button" onClick={handleRegenerateRecoveryCodes}>
+                      Generate New Recovery Codes
+                    </button>
+                    <input
+                      type="password"
+                      className="form-input"
+                      value={twoFactorPassword}
+                      onChange={(e) => setTwoFactorPassword(e.target.value)}
+                      placeholder="Password (required to disable)"
+                      autoComplete="current-password"
+                    />
+                    <button type="submit" className="form-button">Disable Two-Factor Authentication</button>
+                  </form>
+                )}
+              </div>
+
+              <div style={{
+                background: 'rgba(255,255,255,0.1)',
+                borderRadius: '15px',
+                padding: '25px'
+              }}>
+                <h3>🔑 Change Password</h3>
+                {passwordMessage && (
+                  <div className={passwordMessage.type === 'success' ? 'success-message' : 'error-message'}>
+                    {passwordMessage.text}
+                  </div>
+                )}
+                <form onSubmit={handleChangePassword} style={{ display: 'grid', gap: '10px', maxWidth: '400px' }}>
+                  <input
+                    type="password"
+                    name="currentPassword"
+                    className="form-input"
+                    value={passwordForm.currentPassword}
+                    onChange={handlePasswordInputChange}
+                    placeholder="Current password"
+                    required
+                    autoComplete="current-password"
+                  />
+                  <input
+                    type="password"
+                    name="newPassword"
+                    className="form-input"
+                    value={passwordForm.newPassword}
+                    onChange={handlePasswordInputChange}
+                    placeholder="New password (at least 8 characters)"
+                    required
+                    minLength={8}
+                    autoComplete="new-password"
+                  />
+                  <input
+                    type="password"
+                    name="confirmPassword"
+                    className="form-input"
+                    value={passwordForm.confirmPassword}
+                    onChange={handlePasswordInputChange}
+                    placeholder="Confirm new password"
+                    required
+                    autoComplete="new-password"
+                  />
+                  <button type="submit" className="form-button" disabled={passwordSaving}>
+                    {passwordSaving ? 'Saving...' : 'Update Password'}
+                  </button>
+                </form>
+              </div>
             </div>
           </div>
         )}
@@ -356,49 +1206,590 @@ const DashboardPage: React.FC = () => {
         {activeTab === 'reports' && (
           <div>
             <h2>📋 Valuation Reports</h2>
-            <div style={{
-              background: 'rgba(255,255,255,0.1)',
-              borderRadius: '15px',
-              padding: '25px',
-              textAlign: 'center'
-            }}>
-              <div style={{ fontSize: '3rem', marginBottom: '20px' }}>📝</div>
-              <h3>No Reports Created Yet</h3>
-              <p style={{ opacity: 0.8, marginBottom: '25px' }}>
-                Start creating your first professional valuation report with AI-powered document processing
-              </p>
-              <div style={{ display: 'flex', gap: '15px', justifyContent: 'center' }}>
-                <button
-                  style={{
-                    padding: '15px 30px',
-                    background: 'linear-gradient(45deg, #FF6B6B, #4ECDC4)',
-                    color: 'white',
-                    border: 'none',
-                    borderRadius: '25px',
-                    fontSize: '16px',
-                    fontWeight: '600',
-                    cursor: 'pointer'
-                  }}
-                >
-                  ➕ Create New Report
-                </button>
-                <button
-                  onClick={() => navigate('/location-test')}
-                  style={{
-                    padding: '15px 30px',
-                    background: 'linear-gradient(45deg, #4ECDC4, #45B7D1)',
-                    color: 'white',
-                    border: 'none',
-                    borderRadius: '25px',
-                    fontSize: '16px',
-                    fontWeight: '600',
-                    cursor: 'pointer'
-                  }}
-                >
-                  🌍 Test Location Intelligence
-                </button>
+            {reportsError && <div className="error-message">{reportsError}</div>}
+            <form
+              onSubmit={handleApplyReportFilters}
+              style={{
+                background: 'rgba(255,255,255,0.1)',
+                borderRadius: '15px',
+                padding: '20px',
+                marginBottom: '20px',
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+                gap: '10px',
+                fontSize: '14px'
+              }}
+            >
+              <select name="state" className="form-input" value={reportFilters.state} onChange={handleReportFilterChange}>
+                <option value="active">Active</option>
+                <option value="archived">Archived</option>
+                <option value="deleted">Deleted</option>
+                <option value="all">Active and archived</option>
+              </select>
+              <input
+                type="text"
+                name="status"
+                className="form-input"
+                value={reportFilters.status}
+                onChange={handleReportFilterChange}
+                placeholder="Status (e.g. draft,completed)"
+              />
+              <input
+                type="text"
+                name="client_reference"
+                className="form-input"
+                value={reportFilters.client_reference}
+                onChange={handleReportFilterChange}
+                placeholder="Client reference"
+              />
+              <input
+                type="text"
+                name="district"
+                className="form-input"
+                value={reportFilters.district}
+                onChange={handleReportFilterChange}
+                placeholder="District"
+              />
+              <input
+                type="date"
+                name="from"
+                className="form-input"
+                value={reportFilters.from}
+                onChange={handleReportFilterChange}
+                title="Created from"
+              />
+              <input
+                type="date"
+                name="to"
+                className="form-input"
+                value={reportFilters.to}
+                onChange={handleReportFilterChange}
+                title="Created to"
+              />
+              <input
+                type="number"
+                name="min_value"
+                className="form-input"
+                value={reportFilters.min_value}
+                onChange={handleReportFilterChange}
+                placeholder="Min value (LKR)"
+                min="0"
+              />
+              <input
+                type="number"
+                name="max_value"
+                className="form-input"
+                value={reportFilters.max_value}
+                onChange={handleReportFilterChange}
+                placeholder="Max value (LKR)"
+                min="0"
+              />
+              <select name="sort" className="form-input" value={reportFilters.sort} onChange={handleReportFilterChange}>
+                {Object.entries(reportSortLabels).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <select name="order" className="form-input" value={reportFilters.order} onChange={handleReportFilterChange}>
+                <option value="desc">Descending</option>
+                <option value="asc">Ascending</option>
+              </select>
+              <button type="submit" className="form-button">🔍 Apply</button>
+              <button
+                type="button"
+                onClick={handleResetReportFilters}
+                style={{
+                  padding: '6px 12px',
+                  background: 'transparent',
+                  border: '1px solid rgba(255,255,255,0.3)',
+                  color: 'white',
+                  borderRadius: '8px',
+                  cursor: 'pointer'
+                }}
+              >
+                Reset
+              </button>
+            </form>
+
+            {reports.length > 0 && (
+              <div style={{
+                background: 'rgba(255,255,255,0.1)',
+                borderRadius: '15px',
+                padding: '25px',
+                marginBottom: '20px'
+              }}>
+                <div style={{ marginBottom: '10px', fontSize: '14px', opacity: 0.8 }}>
+                  Showing {reports.length} of {reportsTotal} report{reportsTotal === 1 ? '' : 's'}
+                </div>
+                <div style={{ display: 'grid', gap: '10px', fontSize: '14px' }}>
+                  {reports.map(report => (
+                    <div
+                      key={report.id}
+                      style={{
+                        display: 'flex',
+                        justifyContent: 'space-between',
+                        alignItems: 'center',
+                        padding: '10px',
+                        background: historyReport?.id === report.id ? 'rgba(255,255,255,0.15)' : 'rgba(255,255,255,0.05)',
+                        borderRadius: '8px'
+                      }}
+                    >
+                      <div>
+                        <div><strong>{report.report_reference}</strong> • {report.status}</div>
+                        <div style={{ opacity: 0.8 }}>
+                          {report.property_address || 'No address'} • Updated {new Date(report.updated_at).toLocaleString()}
+                        </div>
+                        <div style={{ opacity: 0.8 }}>
+                          {report.client_reference || 'No client reference'}
+                          {report.district && ` • ${report.district}`}
+                          {report.market_value !== null && report.market_value !== undefined &&
+                            ` • LKR ${report.market_value.toLocaleString()}`}
+                        </div>
+                      </div>
+                      <div style={{ display: 'flex', gap: '8px' }}>
+                        <button
+                          onClick={() => openReportHistory(report)}
+                          style={{
+                            padding: '6px 12px',
+                            background: 'transparent',
+                            border: '1px solid rgba(255,255,255,0.3)',
+                            color: 'white',
+                            borderRadius: '8px',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          🕘 History
+                        </button>
+                        <button
+                          onClick={() => openReportDocuments(report)}
+                          style={{
+                            padding: '6px 12px',
+                            background: 'transparent',
+                            border: '1px solid rgba(255,255,255,0.3)',
+                            color: 'white',
+                            borderRadius: '8px',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          📄 Documents
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                {reportsCursor && (
+                  <button
+                    onClick={() => fetchReports(reportQuery, reportsCursor)}
+                    style={{
+                      marginTop: '15px',
+                      padding: '8px 16px',
+                      background: 'transparent',
+                      border: '1px solid rgba(255,255,255,0.3)',
+                      color: 'white',
+                      borderRadius: '8px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Load more
+                  </button>
+                )}
               </div>
-            </div>
+            )}
+
+            {documentsReport && (
+              <div style={{
+                background: 'rgba(255,255,255,0.1)',
+                borderRadius: '15px',
+                padding: '25px',
+                marginBottom: '20px'
+              }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <h3>📄 Documents of {documentsReport.report_reference}</h3>
+                  <button
+                    onClick={closeReportDocuments}
+                    style={{
+                      padding: '6px 12px',
+                      background: 'transparent',
+                      border: '1px solid rgba(255,255,255,0.3)',
+                      color: 'white',
+                      borderRadius: '8px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Close
+                  </button>
+                </div>
+                {documentsError && <div className="error-message">{documentsError}</div>}
+                {documents.length === 0 && !documentsError && (
+                  <p style={{ opacity: 0.8 }}>No documents have been uploaded for this report.</p>
+                )}
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+                  gap: '15px',
+                  fontSize: '14px'
+                }}>
+                  {documents.map(document => (
+                    <div
+                      key={document.id}
+                      style={{ background: 'rgba(255,255,255,0.05)', borderRadius: '8px', padding: '10px' }}
+                    >
+                      <div style={{
+                        height: '160px',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        background: 'rgba(0,0,0,0.2)',
+                        borderRadius: '6px',
+                        marginBottom: '8px',
+                        fontSize: '3rem'
+                      }}>
+                        {documentThumbnails[document.id] ? (
+                          <img
+                            src={documentThumbnails[document.id]}
+                            alt={`Preview of ${document.file_name}`}
+                            style={{ maxWidth: '100%', maxHeight: '160px', borderRadius: '6px' }}
+                          />
+                        ) : (document.file_type === 'application/pdf' ? '📄' : '🖼️')}
+                      </div>
+                      <div style={{ fontWeight: 600, wordBreak: 'break-all' }}>{document.file_name}</div>
+                      <div style={{ opacity: 0.8 }}>
+                        {(document.file_size / 1024).toFixed(1)} KB
+                        {document.extraction_summary.page_count ? ` • ${document.extraction_summary.page_count} page(s)` : ''}
+                      </div>
+                      <div style={{ opacity: 0.8 }}>
+                        {document.extraction_summary.document_type || 'unknown'} • OCR {document.extraction_summary.ocr_status || 'pending'}
+                        {' • '}{document.extraction_summary.data_fields_found} field(s)
+                      </div>
+                      <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                        <button
+                          onClick={() => openDocumentFile(document)}
+                          style={{
+                            padding: '4px 10px',
+                            background: 'transparent',
+                            border: '1px solid rgba(255,255,255,0.3)',
+                            color: 'white',
+                            borderRadius: '6px',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          Open
+                        </button>
+                        <button
+                          onClick={() => openDocumentFile(document, true)}
+                          style={{
+                            padding: '4px 10px',
+                            background: 'transparent',
+                            border: '1px solid rgba(255,255,255,0.3)',
+                            color: 'white',
+                            borderRadius: '6px',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          ⬇️ Download
+                        </button>
+                        {document.links.layout && (
+                          <button
+                            onClick={() => openDocumentSources(document)}
+                            style={{
+                              padding: '4px 10px',
+                              background: 'transparent',
+                              border: '1px solid rgba(255,255,255,0.3)',
+                              color: 'white',
+                              borderRadius: '6px',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            🔍 Sources
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {documentSources && (
+                  <div style={{ marginTop: '20px', background: 'rgba(0,0,0,0.2)', borderRadius: '8px', padding: '15px' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                      <h4 style={{ margin: 0 }}>🔍 Where the data in {documentSources.document.file_name} was read</h4>
+                      <button
+                        onClick={closeDocumentSources}
+                        style={{
+                          padding: '4px 10px',
+                          background: 'transparent',
+                          border: '1px solid rgba(255,255,255,0.3)',
+                          color: 'white',
+                          borderRadius: '6px',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        Close
+                      </button>
+                    </div>
+                    {Object.keys(documentSources.fieldSources).length === 0 ? (
+                      <p style={{ opacity: 0.8 }}>None of the extracted values could be found in the OCR text.</p>
+                    ) : (
+                      <div style={{ display: 'flex', gap: '20px', marginTop: '15px', flexWrap: 'wrap', fontSize: '14px' }}>
+                        <div style={{ flex: '1 1 220px', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                          {Object.entries(documentSources.fieldSources).map(([field, spans]) => (
+                            <button
+                              key={field}
+                              onClick={() => setDocumentSources(prev => prev && { ...prev, selectedField: field })}
+                              style={{
+                                padding: '6px 10px',
+                                textAlign: 'left',
+                                background: documentSources.selectedField === field ? 'rgba(255,215,0,0.25)' : 'transparent',
+                                border: '1px solid rgba(255,255,255,0.3)',
+                                color: 'white',
+                                borderRadius: '6px',
+                                cursor: 'pointer'
+                              }}
+                            >
+                              <div style={{ fontWeight: 600 }}>{field.replace(/_/g, ' ')}</div>
+                              <div style={{ opacity: 0.8 }}>
+                                "{spans[0].text}" • page {spans[0].page} • {Math.round(spans[0].confidence * 100)}%
+                                {spans.length > 1 ? ` • ${spans.length} places` : ''}
+                              </div>
+                            </button>
+                          ))}
+                        </div>
+                        <div style={{ flex: '2 1 320px' }}>
+                          {documentSources.imageUrl ? (
+                            <div style={{ position: 'relative', display: 'inline-block', maxWidth: '100%' }}>
+                              <img
+                                src={documentSources.imageUrl}
+                                alt={`Page 1 of ${documentSources.document.file_name}`}
+                                style={{ display: 'block', maxWidth: '100%', borderRadius: '6px', background: 'white' }}
+                              />
+                              {(documentSources.selectedField ? documentSources.fieldSources[documentSources.selectedField] : [])
+                                .filter(span => span.page === 1)
+                                .flatMap(span => span.boxes)
+                                .map((box, index) => (
+                                  <div
+                                    key={index}
+                                    style={{
+                                      position: 'absolute',
+                                      left: `${box.x * 100}%`,
+                                      top: `${box.y * 100}%`,
+                                      width: `${box.width * 100}%`,
+                                      height: `${box.height * 100}%`,
+                                      background: 'rgba(255,215,0,0.35)',
+                                      outline: '2px solid #ffd700',
+                                      pointerEvents: 'none'
+                                    }}
+                                  />
+                                ))}
+                            </div>
+                          ) : (
+                            <p style={{ opacity: 0.8 }}>No page image is available for this document.</p>
+                          )}
+                          {documentSources.selectedField && documentSources.fieldSources[documentSources.selectedField]
+                            .some(span => span.page !== 1 || !documentSources.imageUrl) && (
+                            <p style={{ opacity: 0.8 }}>
+                              {documentSources.imageUrl ? 'Also read on' : 'Read on'} page(s) {Array.from(new Set(documentSources.fieldSources[documentSources.selectedField]
+                                .filter(span => span.page !== 1 || !documentSources.imageUrl)
+                                .map(span => span.page))).join(', ')}
+                            </p>
+                          )}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {historyReport && (
+              <div style={{
+                background: 'rgba(255,255,255,0.1)',
+                borderRadius: '15px',
+                padding: '25px',
+                marginBottom: '20px'
+              }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <h3>🕘 History of {historyReport.report_reference}</h3>
+                  <button
+                    onClick={() => setHistoryReport(null)}
+                    style={{
+                      padding: '6px 12px',
+                      background: 'transparent',
+                      border: '1px solid rgba(255,255,255,0.3)',
+                      color: 'white',
+                      borderRadius: '8px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Close
+                  </button>
+                </div>
+                {historyMessage && (
+                  <div className={historyMessage.type === 'success' ? 'success-message' : 'error-message'}>
+                    {historyMessage.text}
+                  </div>
+                )}
+
+                <div style={{ display: 'grid', gap: '10px', fontSize: '14px', marginBottom: '20px' }}>
+                  {revisions.map((revision, index) => (
+                    <div
+                      key={revision.id}
+                      style={{
+                        display: 'flex',
+                        justifyContent: 'space-between',
+                        alignItems: 'center',
+                        padding: '10px',
+                        background: 'rgba(255,255,255,0.05)',
+                        borderRadius: '8px'
+                      }}
+                    >
+                      <div>
+                        <div>
+                          <strong>Revision {revision.revision_number}</strong> • {revisionSourceLabels[revision.source] || revision.source}
+                          {revision.restored_from && ` of revision ${revision.restored_from}`} • {revision.status}
+                        </div>
+                        <div style={{ opacity: 0.8 }}>
+                          {revision.created_by_name || 'Unknown user'} • {new Date(revision.created_at).toLocaleString()}
+                        </div>
+                      </div>
+                      <div style={{ display: 'flex', gap: '8px' }}>
+                        {index < revisions.length - 1 && (
+                          <button
+                            onClick={() => loadRevisionDiff(historyReport.id, revisions[index + 1].revision_number, revision.revision_number)}
+                            style={{
+                              padding: '6px 12px',
+                              background: 'transparent',
+                              border: '1px solid rgba(255,255,255,0.3)',
+                              color: 'white',
+                              borderRadius: '8px',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            Changes
+                          </button>
+                        )}
+                        {index > 0 && (
+                          <>
+                            <button
+                              onClick={() => loadRevisionDiff(historyReport.id, revision.revision_number, revisions[0].revision_number)}
+                              style={{
+                                padding: '6px 12px',
+                                background: 'transparent',
+                                border: '1px solid rgba(255,255,255,0.3)',
+                                color: 'white',
+                                borderRadius: '8px',
+                                cursor: 'pointer'
+                              }}
+                            >
+                              Compare with latest
+                            </button>
+                            <button
+                              onClick={() => handleRestoreRevision(revision.revision_number)}
+                              style={{
+                                padding: '6px 12px',
+                                background: 'rgba(255,255,255,0.2)',
+                                border: '1px solid rgba(255,255,255,0.3)',
+                                color: 'white',
+                                borderRadius: '8px',
+                                cursor: 'pointer'
+                              }}
+                            >
+                              Restore
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {revisionDiff && (
+                  <div>
+                    <h4>Revision {revisionDiff.from} → Revision {revisionDiff.to}</h4>
+                    {revisionDiff.changes.length === 0 ? (
+                      <p style={{ opacity: 0.8 }}>No content changes between these revisions</p>
+                    ) : (
+                      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                        <thead>
+                          <tr style={{ textAlign: 'left', background: 'rgba(255,255,255,0.1)' }}>
+                            <th style={{ padding: '8px' }}>Field</th>
+                            <th style={{ padding: '8px' }}>Revision {revisionDiff.from}</th>
+                            <th style={{ padding: '8px' }}>Revision {revisionDiff.to}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {revisionDiff.changes.map(change => (
+                            <tr key={change.path} style={{ borderTop: '1px solid rgba(255,255,255,0.1)', verticalAlign: 'top' }}>
+                              <td style={{ padding: '8px', fontFamily: 'monospace' }}>{change.path}</td>
+                              <td style={{ padding: '8px', background: 'rgba(255,107,107,0.15)', wordBreak: 'break-word' }}>
+                                {formatRevisionValue(change.before)}
+                              </td>
+                              <td style={{ padding: '8px', background: 'rgba(78,205,196,0.15)', wordBreak: 'break-word' }}>
+                                {formatRevisionValue(change.after)}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {reports.length === 0 && reportFiltersApplied && (
+              <div style={{
+                background: 'rgba(255,255,255,0.1)',
+                borderRadius: '15px',
+                padding: '25px',
+                textAlign: 'center'
+              }}>
+                No reports match these filters.
+              </div>
+            )}
+
+            {reports.length === 0 && !reportFiltersApplied && (
+              <div style={{
+                background: 'rgba(255,255,255,0.1)',
+                borderRadius: '15px',
+                padding: '25px',
+                textAlign: 'center'
+              }}>
+                <div style={{ fontSize: '3rem', marginBottom: '20px' }}>📝</div>
+                <h3>No Reports Created Yet</h3>
+                <p style={{ opacity: 0.8, marginBottom: '25px' }}>
+                  Start creating your first professional valuation report with AI-powered document processing
+                </p>
+                <div style={{ display: 'flex', gap: '15px', justifyContent: 'center' }}>
+                  <button
+                    style={{
+                      padding: '15px 30px',
+                      background: 'linear-gradient(45deg, #FF6B6B, #4ECDC4)',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '25px',
+                      fontSize: '16px',
+                      fontWeight: '600',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    ➕ Create New Report
+                  </button>
+                  <button
+                    onClick={() => navigate('/location-test')}
+                    style={{
+                      padding: '15px 30px',
+                      background: 'linear-gradient(45deg, #4ECDC4, #45B7D1)',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '25px',
+                      fontSize: '16px',
+                      fontWeight: '600',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    🌍 Test Location Intelligence
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
         )}
       </div>
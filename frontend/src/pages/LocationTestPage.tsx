@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { apiFetch } from '../services/api';
 
 interface LocationAnalysis {
   coordinates: { lat: number; lng: number };
@@ -35,8 +36,6 @@ const LocationTestPage: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   const navigate = useNavigate();
 
-  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-
   // Preset locations for quick testing
   const presetLocations = [
     { name: 'Colombo Fort', lat: 6.9344, lng: 79.8428 },
@@ -87,9 +86,8 @@ const LocationTestPage: React.FC = () => {
     setError(null);
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/location/analyze`, {
+      const response = await apiFetch('/api/location/analyze', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           coordinates: {
             lat: parseFloat(coordinates.lat),
@@ -115,9 +113,8 @@ const LocationTestPage: React.FC = () => {
   const testApiConnection = async () => {
     setLoading(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/location/test`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
+      const response = await apiFetch('/api/location/test', {
+        method: 'POST'
       });
 
       const data = await response.json();
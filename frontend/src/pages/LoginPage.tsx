@@ -1,21 +1,52 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { apiFetch, saveSession } from '../services/api';
 
 interface LoginData {
   email: string;
   password: string;
+  newPassword: string;
+  confirmPassword: string;
+  twoFactorCode: string;
 }
 
+// login: sign in, twoFactor: enter an authenticator or recovery code,
+// forgot: request a reset link, reset: choose a new password from the emailed link
+type LoginMode = 'login' | 'twoFactor' | 'forgot' | 'reset';
+
+const linkButtonStyle: React.CSSProperties = {
+  background: 'none',
+  border: 'none',
+  color: 'inherit',
+  textDecoration: 'underline',
+  cursor: 'pointer',
+  padding: 0
+};
+
 const LoginPage: React.FC = () => {
   const [formData, setFormData] = useState<LoginData>({
     email: '',
-    password: ''
+    password: '',
+    newPassword: '',
+    confirmPassword: '',
+    twoFactorCode: ''
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [verificationRequired, setVerificationRequired] = useState(false);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
 
-  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+  const resetToken = searchParams.get('reset_token');
+  const [mode, setMode] = useState<LoginMode>(resetToken ? 'reset' : 'login');
+  const [twoFactorToken, setTwoFactorToken] = useState<string | null>(null);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  // Set by the link in the verification email
+  const verificationStatus = searchParams.get('verified') === '1'
+    ? '✅ Email verified. You can now sign in.'
+    : searchParams.get('verification') ? 'This verification link is invalid or has expired. Sign in to request a new one.' : null;
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const { name, value } = e.target;
@@ -31,33 +62,96 @@ const LoginPage: React.FC = () => {
       return;
     }
 
+    setLoading(true);
+    setError(null);
+    setNotice(null);
+    setVerificationRequired(false);
+
+    try {
+      const response = await apiFetch('/api/auth/login', {
+        method: 'POST',
+        body: JSON.stringify({ email: formData.email, password: formData.password })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success && data.two_factor_required) {
+        setTwoFactorToken(data.two_factor_token);
+        setMode('twoFactor');
+      } else if (response.ok && data.success) {
+        // Store the access token and user info for the session
+        saveSession(data.access_token, data.user, data.refresh_token);
+        navigate('/dashboard');
+      } else {
+        setError(data.error || 'Login failed. Please check your credentials.');
+        setVerificationRequired(!!data.verification_required);
+      }
+    } catch (err) {
+      setError('Network error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiFetch('/api/auth/login/2fa', {
+        method: 'POST',
+        body: JSON.stringify({
+          two_factor_token: twoFactorToken,
+          ...(useRecoveryCode ? { recovery_code: formData.twoFactorCode } : { code: formData.twoFactorCode })
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        saveSession(data.access_token, data.user, data.refresh_token);
+        navigate('/dashboard');
+      } else {
+        setFormData(prev => ({ ...prev, twoFactorCode: '' }));
+        setError(data.error || 'Invalid authentication code');
+      }
+    } catch (err) {
+      setError('Network error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const switchMode = (nextMode: LoginMode) => {
+    setMode(nextMode);
+    setError(null);
+    setNotice(null);
+    setVerificationRequired(false);
+  };
+
+  const handleForgotPassword = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!formData.email) {
+      setError('Please enter your email address');
+      return;
+    }
+
     setLoading(true);
     setError(null);
 
     try {
-      // Check if user exists and get their profile
-      const profileResponse = await fetch(`${API_BASE_URL}/api/auth/profile?email=${formData.email}`, {
-        method: 'GET',
-        headers: { 'Content-Type': 'application/json' }
+      const response = await apiFetch('/api/auth/forgot-password', {
+        method: 'POST',
+        body: JSON.stringify({ email: formData.email })
       });
+      const data = await response.json();
 
-      if (profileResponse.ok) {
-        const profileData = await profileResponse.json();
-        if (profileData.success && profileData.user) {
-          // Check if email is verified
-          if (!profileData.user.email_verified) {
-            setError('Please verify your email address before logging in.');
-            return;
-          }
-
-          // Store user info for session
-          localStorage.setItem('currentUser', JSON.stringify(profileData.user));
-          navigate(`/dashboard?userId=${profileData.user.id}`);
-        } else {
-          setError('User not found. Please register first.');
-        }
+      if (data.success) {
+        setMode('login');
+        setNotice(data.message);
       } else {
-        setError('Login failed. Please check your credentials.');
+        setError(data.error || 'Failed to request password reset');
       }
     } catch (err) {
       setError('Network error occurred. Please try again.');
@@ -66,76 +160,255 @@ const LoginPage: React.FC = () => {
     }
   };
 
+  const handleResetPassword = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiFetch('/api/auth/reset-password', {
+        method: 'POST',
+        body: JSON.stringify({ token: resetToken, password: formData.newPassword })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        // Drop the used token from the URL
+        setSearchParams({});
+        setFormData(prev => ({ ...prev, newPassword: '', confirmPassword: '' }));
+        setMode('login');
+        setNotice(data.message);
+      } else {
+        setError(data.error || 'Failed to reset password');
+      }
+    } catch (err) {
+      setError('Network error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await apiFetch('/api/auth/resend-verification', {
+        method: 'POST',
+        body: JSON.stringify({ email: formData.email })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setError(null);
+        setVerificationRequired(false);
+        setNotice(data.message);
+      } else {
+        setError(data.error || 'Failed to resend verification email');
+      }
+    } catch (err) {
+      setError('Network error occurred. Please try again.');
+    }
+  };
+
+  const titles: Record<LoginMode, { title: string; subtitle: string }> = {
+    login: { title: '🔐 Valuer Login', subtitle: 'Access your professional dashboard' },
+    twoFactor: { title: '🔐 Two-Factor Authentication', subtitle: 'Enter the code from your authenticator app' },
+    forgot: { title: '🔑 Forgot Password', subtitle: 'We will email you a link to choose a new password' },
+    reset: { title: '🔑 Choose a New Password', subtitle: 'Enter a new password for your account' }
+  };
+
   return (
     <div className="form-page">
       <div className="form-container">
-        <h1 className="form-title">🔐 Valuer Login</h1>
+        <h1 className="form-title">{titles[mode].title}</h1>
         <p style={{ textAlign: 'center', color: '#666', marginBottom: '30px' }}>
-          Access your professional dashboard
+          {titles[mode].subtitle}
         </p>
 
+        {(notice || verificationStatus) && !error && (
+          <div className="success-message">
+            {notice || verificationStatus}
+          </div>
+        )}
+
         {error && (
           <div className="error-message">
             {error}
+            {verificationRequired && (
+              <div style={{ marginTop: '10px' }}>
+                <button
+                  type="button"
+                  onClick={handleResendVerification}
+                  style={linkButtonStyle}
+                >
+                  Resend verification email
+                </button>
+              </div>
+            )}
           </div>
         )}
 
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label className="form-label">Email Address</label>
-            <input
-              type="email"
-              name="email"
-              className="form-input"
-              value={formData.email}
-              onChange={handleInputChange}
-              placeholder="your.email@example.com"
-              required
-              autoComplete="email"
-            />
-          </div>
+        {mode === 'login' && (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label className="form-label">Email Address</label>
+              <input
+                type="email"
+                name="email"
+                className="form-input"
+                value={formData.email}
+                onChange={handleInputChange}
+                placeholder="your.email@example.com"
+                required
+                autoComplete="email"
+              />
+            </div>
+  
+            <div className="form-group">
+              <label className="form-label">Password</label>
+              <input
+                type="password"
+                name="password"
+                className="form-input"
+                value={formData.password}
+                onChange={handleInputChange}
+                placeholder="Enter your password"
+                required
+                autoComplete="current-password"
+              />
+            </div>
+  
+            <button
+              type="submit"
+              className="form-button"
+              disabled={loading}
+            >
+              {loading ? 'Signing in...' : '🔐 Sign In'}
+            </button>
+  
+            <div className="form-link">
+              <button type="button" onClick={() => switchMode('forgot')} style={linkButtonStyle}>
+                Forgot your password?
+              </button>
+            </div>
+          </form>
+        )}
 
-          <div className="form-group">
-            <label className="form-label">Password</label>
-            <input
-              type="password"
-              name="password"
-              className="form-input"
-              value={formData.password}
-              onChange={handleInputChange}
-              placeholder="Enter your password"
-              required
-              autoComplete="current-password"
-            />
-          </div>
+        {mode === 'twoFactor' && (
+          <form onSubmit={handleTwoFactorSubmit}>
+            <div className="form-group">
+              <label className="form-label">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+              <input
+                type="text"
+                name="twoFactorCode"
+                className="form-input"
+                value={formData.twoFactorCode}
+                onChange={handleInputChange}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                required
+                autoFocus
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+              />
+            </div>
+
+            <button type="submit" className="form-button" disabled={loading}>
+              {loading ? 'Verifying...' : '🔐 Verify'}
+            </button>
 
-          <button
-            type="submit"
-            className="form-button"
-            disabled={loading}
-          >
-            {loading ? 'Signing in...' : '🔐 Sign In'}
-          </button>
-        </form>
+            <div className="form-link">
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setFormData(prev => ({ ...prev, twoFactorCode: '' }));
+                  setError(null);
+                }}
+                style={linkButtonStyle}
+              >
+                {useRecoveryCode ? 'Use your authenticator app instead' : 'Lost your device? Use a recovery code'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {mode === 'forgot' && (
+          <form onSubmit={handleForgotPassword}>
+            <div className="form-group">
+              <label className="form-label">Email Address</label>
+              <input
+                type="email"
+                name="email"
+                className="form-input"
+                value={formData.email}
+                onChange={handleInputChange}
+                placeholder="your.email@example.com"
+                required
+                autoComplete="email"
+              />
+            </div>
+
+            <button type="submit" className="form-button" disabled={loading}>
+              {loading ? 'Sending...' : '📧 Send Reset Link'}
+            </button>
+
+            <div className="form-link">
+              <button type="button" onClick={() => switchMode('login')} style={linkButtonStyle}>
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        )}
+
+        {mode === 'reset' && (
+          <form onSubmit={handleResetPassword}>
+            <div className="form-group">
+              <label className="form-label">New Password</label>
+              <input
+                type="password"
+                name="newPassword"
+                className="form-input"
+                value={formData.newPassword}
+                onChange={handleInputChange}
+                placeholder="At least 8 characters"
+                required
+                minLength={8}
+                autoComplete="new-password"
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Confirm New Password</label>
+              <input
+                type="password"
+                name="confirmPassword"
+                className="form-input"
+                value={formData.confirmPassword}
+                onChange={handleInputChange}
+                required
+                autoComplete="new-password"
+              />
+            </div>
+
+            <button type="submit" className="form-button" disabled={loading}>
+              {loading ? 'Saving...' : '🔑 Reset Password'}
+            </button>
+
+            <div className="form-link">
+              <button type="button" onClick={() => { setSearchParams({}); switchMode('login'); }} style={linkButtonStyle}>
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        )}
 
         <div className="form-link">
           Don't have an account? <a href="/register">Register here</a>
         </div>
-
-        <div style={{
-          marginTop: '30px',
-          padding: '20px',
-          background: '#f5f5f5',
-          borderRadius: '10px',
-          fontSize: '14px',
-          color: '#666'
-        }}>
-          <h4 style={{ margin: '0 0 10px 0', color: '#333' }}>Demo Instructions:</h4>
-          <p style={{ margin: '0' }}>
-            This is a demo login. First register a new account, then use the same
-            email address to log in. The system will automatically find your profile.
-          </p>
-        </div>
       </div>
     </div>
   );
@@ -0,0 +1,126 @@
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const ACCESS_TOKEN_KEY = 'accessToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const CURRENT_USER_KEY = 'currentUser';
+
+export const getAccessToken = (): string | null => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+export const saveSession = (accessToken: string, user: unknown, refreshToken?: string) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  localStorage.setItem(CURRENT_USER_KEY, JSON.stringify(user));
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(CURRENT_USER_KEY);
+};
+
+const request = (path: string, options: RequestInit) => {
+  const token = getAccessToken();
+  const headers: Record<string, string> = {
+    ...(options.headers as Record<string, string>)
+  };
+
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (options.body && !(options.body instanceof FormData) && !headers['Content-Type']) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  return fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+};
+
+// Shared so parallel requests that hit an expired token only rotate the refresh token once
+let refreshInFlight: Promise<boolean> | null = null;
+
+const refreshSession = (): Promise<boolean> => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) return Promise.resolve(false);
+
+  if (!refreshInFlight) {
+    refreshInFlight = fetch(`${API_BASE_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: refreshToken })
+    })
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok || !data.success) return false;
+        localStorage.setItem(ACCESS_TOKEN_KEY, data.access_token);
+        localStorage.setItem(REFRESH_TOKEN_KEY, data.refresh_token);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+};
+
+// fetch wrapper that sends the stored access token as a Bearer header and,
+// when the access token has expired, refreshes the session once and retries
+export const apiFetch = async (path: string, options: RequestInit = {}) => {
+  const response = await request(path, options);
+
+  if (response.status === 401 && getAccessToken() && await refreshSession()) {
+    return request(path, options);
+  }
+  return response;
+};
+
+// Read a server-sent events stream through apiFetch so the request carries the access token
+// (EventSource cannot send an Authorization header). Calls onEvent with each event's name and
+// parsed JSON data until the server closes the stream or signal aborts it.
+export const streamEvents = async (
+  path: string,
+  onEvent: (event: string, data: any) => void,
+  signal?: AbortSignal
+) => {
+  const response = await apiFetch(path, { headers: { Accept: 'text/event-stream' }, signal });
+  if (!response.ok || !response.body) {
+    throw new Error(`Event stream failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let chunk = await reader.read();
+
+  while (!chunk.done) {
+    buffer += decoder.decode(chunk.value, { stream: true });
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary >= 0) {
+      const lines = buffer.slice(0, boundary).split('\n');
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+
+      let event = 'message';
+      const data: string[] = [];
+      for (const line of lines) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      }
+      if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+    }
+    chunk = await reader.read();
+  }
+};
+
+// Revoke the session on the server (or every session with allDevices) and forget it locally
+export const logout = async (allDevices = false) => {
+  try {
+    await apiFetch(allDevices ? '/api/auth/logout-all' : '/api/auth/logout', { method: 'POST' });
+  } catch (err) {
+    // Still clear the local session if the server cannot be reached
+  } finally {
+    clearSession();
+  }
+};
\ No newline at end of file